@@ -0,0 +1,645 @@
+// src/app.js - 게임 서버 구성 (HTTP / Socket.IO / 서비스 / 주기 작업)
+// createApp()은 서버를 구성만 하고 포트를 열거나 프로세스를 종료하지 않는다. 실행은 server.js에서 한다.
+import express from 'express';
+import { createServer } from 'http';
+import { Server as SocketIOServer } from 'socket.io';
+import cors from 'cors';
+import helmet from 'helmet';
+import rateLimit from 'express-rate-limit';
+
+// 라우트 및 서비스 임포트
+import DatabaseManager from './database/DatabaseManager.js';
+import AuthService from './services/AuthService.js';
+import GameService from './services/GameService.js';
+import TradeService from './services/TradeService.js';
+import PresenceService from './services/PresenceService.js';
+import EventService from './services/EventService.js';
+import AdminService from './services/AdminService.js';
+import PlayerService from './services/PlayerService.js';
+import HaggleService from './services/HaggleService.js';
+import AuctionService from './services/AuctionService.js';
+import createAuthRoutes from './routes/auth.js';
+import createGameRoutes from './routes/game.js';
+import createTradeRoutes from './routes/trade.js';
+import createAdminRoutes from './routes/admin.js';
+import createAuctionRoutes from './routes/auction.js';
+import { authenticateSocket } from './middleware/socketAuth.js';
+import { loadConfig, useConfig, getConfig, getConfigInfo, onConfigReload } from './config/gameConfig.js';
+import { logger, setLogLevel } from './utils/logger.js';
+
+const invalidCommand = (error) => ({ success: false, error, code: 'INVALID_REQUEST' });
+
+// options.dbPath: DB 파일 경로 또는 ':memory:' (기본값은 DatabaseManager 참고)
+// options.config: 게임 설정 객체 (없으면 config/game.json 또는 GAME_CONFIG_PATH 파일)
+// options.rateLimitMax: 15분당 API 요청 제한 (기본값: RATE_LIMIT_MAX 환경 변수, 없으면 100)
+// options.logRequests: 요청 로그 출력 여부 (기본값: true)
+// options.logLevel: 진행 로그 수준 'info' | 'silent' (기본값: LOG_LEVEL 환경 변수, 없으면 info)
+export class GameServer {
+    constructor(options = {}) {
+        this.options = options;
+        
+        if (options.logLevel) {
+            setLogLevel(options.logLevel);
+        }
+        
+        this.app = express();
+        this.server = createServer(this.app);
+        this.io = new SocketIOServer(this.server, {
+            cors: {
+                origin: process.env.CORS_ORIGIN || "*",
+                methods: ["GET", "POST"],
+                credentials: true
+            }
+        });
+        
+        // 서비스 초기화는 데이터베이스 연결 후에 수행
+        this.db = null;
+        this.authService = null;
+        this.gameService = null;
+        this.tradeService = null;
+        this.presenceService = null;
+        this.eventService = null;
+        this.adminService = null;
+        this.playerService = null;
+        this.haggleService = null;
+        this.auctionService = null;
+        
+        // 주기 작업 타이머 (close()에서 정리)
+        this.timers = [];
+        this.priceUpdateTimer = null;
+        this.unsubscribeConfigReload = null;
+        
+        this.setupMiddleware();
+    }
+    
+    async initializeDatabase() {
+        try {
+            logger.info('🗄 데이터베이스 초기화 시작...');
+            
+            this.db = new DatabaseManager(this.options.dbPath);
+            await this.db.initialize();
+            await this.db.migrate();
+            await this.db.createInitialData();
+            
+            // 서비스 초기화 (데이터베이스 연결 후)
+            this.authService = new AuthService(this.db, this.io);
+            this.app.locals.authService = this.authService;
+            this.playerService = new PlayerService(this.db, this.io);
+            this.gameService = new GameService(this.db, { io: this.io, playerService: this.playerService });
+            this.tradeService = new TradeService(this.db, this.io, { playerService: this.playerService });
+            this.presenceService = new PresenceService(this.db, this.io);
+            this.eventService = new EventService(this.db, this.io);
+            this.adminService = new AdminService(this.db, this.io, {
+                gameService: this.gameService,
+                eventService: this.eventService,
+                playerService: this.playerService
+            });
+            this.haggleService = new HaggleService(this.db, this.io, { gameService: this.gameService });
+            this.auctionService = new AuctionService(this.db, this.io, { playerService: this.playerService });
+            
+            logger.info('✅ 데이터베이스 및 서비스 초기화 완료');
+        } catch (error) {
+            console.error('❌ 데이터베이스 초기화 실패:', error);
+            throw error;
+        }
+    }
+    
+    setupMiddleware() {
+        // 보안 미들웨어
+        this.app.use(helmet({
+            contentSecurityPolicy: false, // 개발 환경용
+            crossOriginEmbedderPolicy: false
+        }));
+        
+        this.app.use(cors({
+            origin: process.env.CORS_ORIGIN || "*",
+            credentials: true
+        }));
+        
+        this.app.use(express.json({ limit: '10mb' }));
+        this.app.use(express.urlencoded({ extended: true }));
+        
+        // Rate limiting
+        const limiter = rateLimit({
+            windowMs: 15 * 60 * 1000, // 15분
+            max: this.options.rateLimitMax ?? parseInt(process.env.RATE_LIMIT_MAX || '100'), // 요청 제한
+            message: {
+                success: false,
+                error: '너무 많은 요청이 발생했습니다. 잠시 후 다시 시도해주세요.'
+            }
+        });
+        this.app.use('/api/', limiter);
+        
+        // 로깅 미들웨어
+        if (this.options.logRequests !== false) {
+            this.app.use((req, res, next) => {
+                const timestamp = new Date().toISOString();
+                logger.info(`${timestamp} - ${req.method} ${req.url} - IP: ${req.ip}`);
+                next();
+            });
+        }
+    }
+    
+    setupRoutes() {
+        // 기본 라우트
+        this.app.get('/', (req, res) => {
+            res.json({
+                message: '🎮 서울 대무역상 게임 서버',
+                version: '1.0.0',
+                status: 'running',
+                database: 'connected',
+                features: ['auth', 'trading', 'realtime', 'websocket'],
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime()
+            });
+        });
+        
+        this.app.get('/health', (req, res) => {
+            res.json({
+                status: 'healthy',
+                uptime: process.uptime(),
+                memory: process.memoryUsage(),
+                database: this.db ? 'connected' : 'disconnected',
+                services: {
+                    auth: this.authService ? 'ready' : 'not ready',
+                    game: this.gameService ? 'ready' : 'not ready',
+                    trade: this.tradeService ? 'ready' : 'not ready',
+                    events: this.eventService ? 'ready' : 'not ready'
+                },
+                onlinePlayers: this.presenceService ? this.presenceService.getOnlineCount() : 0,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        this.app.get('/api', (req, res) => {
+            res.json({
+                message: 'Seoul Trader Game API',
+                version: '1.0.0',
+                endpoints: {
+                    auth: {
+                        register: 'POST /api/auth/register',
+                        login: 'POST /api/auth/login',
+                        refresh: 'POST /api/auth/refresh',
+                        logout: 'POST /api/auth/logout (인증 필요)',
+                        logoutAll: 'POST /api/auth/logout-all (인증 필요)'
+                    },
+                    game: {
+                        player: 'GET /api/game/player (인증 필요)',
+                        updateLocation: 'PUT /api/game/player/location (인증 필요)',
+                        locationSharing: 'PUT /api/game/player/location-sharing (인증 필요)',
+                        relationships: 'GET /api/game/player/relationships (인증 필요)',
+                        dailyReward: 'GET /api/game/daily-reward (인증 필요)',
+                        claimDailyReward: 'POST /api/game/daily-reward/claim (인증 필요)',
+                        stats: 'GET /api/game/player/stats (인증 필요)',
+                        portfolio: 'GET /api/game/player/portfolio?window=day|week|all (인증 필요)',
+                        leaderboard: 'GET /api/game/leaderboard?type=money|trust|license|networth&limit=10',
+                        buyItem: 'POST /api/game/trade/buy (인증 필요)',
+                        sellItem: 'POST /api/game/trade/sell (인증 필요)',
+                        quotes: 'GET /api/game/quotes?itemId=&merchantIds=id1,id2 (인증 필요)',
+                        tradeHistory: 'GET /api/game/trade/history (인증 필요)',
+                        items: 'GET /api/game/items',
+                        marketPrices: 'GET /api/game/market/prices?district=강남구',
+                        priceHistory: 'GET /api/game/market/prices/:itemId/history?district=강남구&interval=hour|day|week&from=&to=',
+                        marketEvents: 'GET /api/game/events',
+                        merchants: 'GET /api/game/merchants?latitude=&longitude=&radius=1000(m)&limit=20'
+                    },
+                    trade: {
+                        createOffer: 'POST /api/trade/offers (인증 필요)',
+                        myOffers: 'GET /api/trade/offers (인증 필요)',
+                        nearbyOffers: 'GET /api/trade/offers/nearby (인증 필요)',
+                        accept: 'POST /api/trade/offers/:offerId/accept (인증 필요)',
+                        decline: 'POST /api/trade/offers/:offerId/decline (인증 필요)',
+                        cancel: 'POST /api/trade/offers/:offerId/cancel (인증 필요)'
+                    },
+                    auction: {
+                        browse: 'GET /api/auctions?category=&district=&page=1&limit=20',
+                        mine: 'GET /api/auctions/mine (인증 필요)',
+                        detail: 'GET /api/auctions/:auctionId',
+                        create: 'POST /api/auctions (인증 필요)',
+                        bid: 'POST /api/auctions/:auctionId/bids (인증 필요)',
+                        cancel: 'POST /api/auctions/:auctionId/cancel (인증 필요)'
+                    },
+                    admin: {
+                        merchants: 'GET|POST /api/admin/merchants, PATCH|DELETE /api/admin/merchants/:merchantId',
+                        marketPrice: 'PUT /api/admin/market/prices',
+                        triggerEvent: 'POST /api/admin/events',
+                        players: 'GET /api/admin/players?q=, GET /api/admin/players/:playerId',
+                        grant: 'POST /api/admin/players/:playerId/grants',
+                        ban: 'POST|DELETE /api/admin/players/:playerId/ban',
+                        role: 'PUT /api/admin/players/:playerId/role',
+                        config: 'GET /api/admin/config',
+                        reloadConfig: 'POST /api/admin/config/reload'
+                    },
+                    websocket: '/socket.io'
+                }
+            });
+        });
+        
+        // API 라우트 등록 (서비스가 초기화된 후에 호출됨)
+        if (this.authService && this.gameService && this.tradeService) {
+            this.app.use('/api/auth', createAuthRoutes(this.authService));
+            this.app.use('/api/game', createGameRoutes(this.gameService, this.db, this.presenceService, this.eventService));
+            this.app.use('/api/trade', createTradeRoutes(this.tradeService));
+            this.app.use('/api/auctions', createAuctionRoutes(this.auctionService));
+            this.app.use('/api/admin', createAdminRoutes(this.adminService));
+        } else {
+            console.warn('⚠️  서비스가 아직 초기화되지 않아 라우트를 등록할 수 없습니다.');
+        }
+        
+        // 404 핸들러
+        this.app.use('*', (req, res) => {
+            res.status(404).json({
+                success: false,
+                error: 'Route not found',
+                path: req.originalUrl,
+                method: req.method
+            });
+        });
+        
+        // 에러 핸들러
+        this.app.use((err, req, res, next) => {
+            console.error('Server Error:', err);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                message: process.env.NODE_ENV === 'development' ? err.message : '서버 오류가 발생했습니다.'
+            });
+        });
+    }
+    
+    setupSocket() {
+        // Socket 인증 미들웨어
+        this.io.use((socket, next) => authenticateSocket(socket, next, this.authService));
+        
+        this.io.on('connection', (socket) => {
+            logger.info(`👤 인증된 클라이언트 연결: ${socket.id} (사용자: ${socket.userId})`);
+            
+            // 환영 메시지
+            socket.emit('welcome', {
+                message: '서버에 연결되었습니다!',
+                socketId: socket.id,
+                userId: socket.userId,
+                timestamp: new Date().toISOString()
+            });
+            
+            // 사용자별 룸 참가
+            socket.join(`user_${socket.userId}`);
+            
+            // 접속 상태 등록 (마지막 위치의 영역 룸 참가 및 입장 알림)
+            this.presenceService.connect(socket).catch((error) => {
+                console.error('접속 상태 등록 오류:', error);
+            });
+            
+            // 위치 업데이트
+            socket.on('updateLocation', async (data) => {
+                try {
+                    const { latitude, longitude } = data;
+                    
+                    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+                        socket.emit('error', { message: '잘못된 위치 데이터입니다.' });
+                        return;
+                    }
+                    
+                    // 데이터베이스에 위치 업데이트 (비정상 이동이면 거부)
+                    const locationResult = await this.gameService.updatePlayerLocation(socket.userId, latitude, longitude);
+                    if (!locationResult.success) {
+                        socket.emit('error', { message: locationResult.error, code: locationResult.code });
+                        return;
+                    }
+                    
+                    // 주변 상인 찾기
+                    const nearbyMerchants = await this.gameService.findNearbyMerchants(latitude, longitude);
+                    socket.emit('nearbyMerchants', nearbyMerchants);
+                    
+                    // 같은 영역(geohash 셀) 주변 플레이어에게만 위치 전송
+                    this.presenceService.updateLocation(socket, latitude, longitude);
+                
+                } catch (error) {
+                    console.error('위치 업데이트 오류:', error);
+                    socket.emit('error', { message: '위치 업데이트 실패' });
+                }
+            });
+            
+            // 주변 접속 플레이어 조회
+            socket.on('requestNearbyPlayers', () => {
+                socket.emit('nearbyPlayers', this.presenceService.getNearbyPlayers(socket.userId));
+            });
+            
+            // 위치 공유 방식 변경
+            socket.on('setLocationSharing', async (data = {}) => {
+                try {
+                    const mode = await this.presenceService.setSharing(socket.userId, data?.mode);
+                    socket.emit('locationSharingUpdated', { mode });
+                } catch (error) {
+                    socket.emit('error', { message: error.message });
+                }
+            });
+            
+            // 리더보드 / 통계 조회
+            socket.on('requestLeaderboard', async (data = {}) => {
+                const type = data?.type || 'money';
+                const limit = Math.min(Math.max(parseInt(data?.limit) || 10, 1), 100);
+                const result = await this.gameService.getLeaderboard(type, limit, socket.userId);
+                
+                if (result.success) {
+                    socket.emit('leaderboard', result.data);
+                } else {
+                    socket.emit('error', { message: result.error });
+                }
+            });
+            
+            socket.on('requestPlayerStats', async () => {
+                const result = await this.gameService.getPlayerStats(socket.userId);
+                
+                if (result.success) {
+                    socket.emit('playerStats', result.data);
+                } else {
+                    socket.emit('error', { message: result.error });
+                }
+            });
+            
+            // 일일 출석 보상
+            socket.on('requestDailyReward', async () => {
+                const result = await this.gameService.getDailyRewardStatus(socket.userId);
+                
+                if (result.success) {
+                    socket.emit('dailyReward', result.data);
+                } else {
+                    socket.emit('error', { message: result.error });
+                }
+            });
+            
+            socket.on('claimDailyReward', async () => {
+                const result = await this.gameService.claimDailyReward(socket.userId);
+                
+                if (result.success) {
+                    socket.emit('dailyRewardClaimed', result.data);
+                } else {
+                    socket.emit('error', { message: result.error });
+                }
+            });
+            
+            // 실시간 거래 알림 (상인 구매 / 판매 시 tradeUpdate 수신)
+            socket.on('requestTradeUpdates', () => {
+                socket.join('trade_updates');
+            });
+            
+            // 거래 명령 (ack 콜백으로 결과 응답, 상태가 바뀌면 playerStateChanged 푸시)
+            this.onCommand(socket, 'buyItem', ({ merchantId, itemId, quantity = 1 }) => {
+                if (!merchantId || !itemId) {
+                    return invalidCommand('상인 ID와 아이템 ID가 필요합니다.');
+                }
+                return this.gameService.buyItem(socket.userId, merchantId, itemId, quantity);
+            });
+            
+            this.onCommand(socket, 'sellItem', ({ itemId, merchantId, quantity = 1, lotId = null }) => {
+                if (!itemId || !merchantId) {
+                    return invalidCommand('아이템 ID와 상인 ID가 필요합니다.');
+                }
+                return this.gameService.sellItem(socket.userId, itemId, merchantId, quantity, lotId);
+            });
+            
+            this.onCommand(socket, 'upgradeLicense', () =>
+                this.gameService.upgradeLicense(socket.userId)
+            );
+            
+            this.onCommand(socket, 'getInventory', () =>
+                this.playerService.getInventory(socket.userId)
+            );
+            
+            // 상인과 흥정 (세션 시작 → 제안 / 역제안 수락 / 취소, 세션이 끝나면 haggleEnded 푸시)
+            this.onCommand(socket, 'haggleOpen', ({ merchantId, side = 'buy', itemId, quantity = 1, lotId = null }) => {
+                if (!merchantId || !itemId) {
+                    return invalidCommand('상인 ID와 아이템 ID가 필요합니다.');
+                }
+                return this.haggleService.openSession(socket.userId, { merchantId, side, itemId, quantity, lotId });
+            });
+            
+            this.onCommand(socket, 'haggleOffer', ({ sessionId, unitPrice }) => {
+                if (!sessionId) {
+                    return invalidCommand('흥정 세션 ID가 필요합니다.');
+                }
+                return this.haggleService.makeOffer(socket.userId, sessionId, unitPrice);
+            });
+            
+            this.onCommand(socket, 'haggleAccept', ({ sessionId }) => {
+                if (!sessionId) {
+                    return invalidCommand('흥정 세션 ID가 필요합니다.');
+                }
+                return this.haggleService.acceptCounter(socket.userId, sessionId);
+            });
+            
+            this.onCommand(socket, 'haggleCancel', ({ sessionId }) => {
+                if (!sessionId) {
+                    return invalidCommand('흥정 세션 ID가 필요합니다.');
+                }
+                return this.haggleService.cancelSession(socket.userId, sessionId);
+            });
+            
+            this.onCommand(socket, 'haggleSession', () => ({
+                success: true,
+                data: this.haggleService.getActiveSession(socket.userId)
+            }));
+            
+            // 시장 가격 업데이트 요청
+            socket.on('requestMarketPrices', async (data = {}) => {
+                try {
+                    const prices = await this.gameService.getCurrentMarketPrices(data?.district || null);
+                    socket.emit('marketPrices', prices);
+                } catch (error) {
+                    socket.emit('error', { message: '시장 가격 조회 실패' });
+                }
+            });
+            
+            socket.on('requestMarketEvents', async () => {
+                const result = await this.eventService.getEvents();
+                
+                if (result.success) {
+                    socket.emit('marketEvents', result.data);
+                } else {
+                    socket.emit('error', { message: '시장 이벤트 조회 실패' });
+                }
+            });
+            
+            // 연결 해제
+            socket.on('disconnect', (reason) => {
+                this.presenceService.disconnect(socket);
+                logger.info(`👋 클라이언트 연결 해제: ${socket.id} (사용자: ${socket.userId}, 이유: ${reason})`);
+            });
+        });
+        
+        // 주기적 가격 업데이트 (주기는 설정의 pricing.updateIntervalMinutes, 리로드 시 재설정)
+        this.schedulePriceUpdates();
+        this.unsubscribeConfigReload = onConfigReload((config, changedSections) => {
+            if (changedSections.includes('pricing')) {
+                this.schedulePriceUpdates();
+            }
+        });
+        
+        // 상인 재입고 (5분마다 주기가 지난 상인 확인)
+        this.timers.push(setInterval(async () => {
+            try {
+                await this.gameService.restockMerchants();
+            } catch (error) {
+                console.error('상인 재입고 오류:', error);
+            }
+        }, 5 * 60 * 1000));
+        
+        // 리더보드 순위 스냅샷 (1시간마다)
+        this.timers.push(setInterval(async () => {
+            try {
+                await this.gameService.takeLeaderboardSnapshots();
+            } catch (error) {
+                console.error('리더보드 스냅샷 오류:', error);
+            }
+        }, 60 * 60 * 1000));
+        
+        // 시세 이력 다운샘플링 (하루마다)
+        this.timers.push(setInterval(async () => {
+            try {
+                await this.gameService.compactPriceHistory();
+            } catch (error) {
+                console.error('시세 이력 정리 오류:', error);
+            }
+        }, 24 * 60 * 60 * 1000));
+        
+        // 시장 이벤트 시작/종료 처리 및 예약 (1분마다)
+        this.timers.push(setInterval(async () => {
+            try {
+                await this.eventService.tick();
+            } catch (error) {
+                console.error('시장 이벤트 처리 오류:', error);
+            }
+        }, 60 * 1000));
+        
+        // 만료된 플레이어 간 거래 제안 정리 (1분마다)
+        this.timers.push(setInterval(async () => {
+            try {
+                const expiredCount = await this.tradeService.expireOffers();
+                if (expiredCount > 0) {
+                    logger.info(`⌛ 만료된 거래 제안 ${expiredCount}건 정리 완료`);
+                }
+            } catch (error) {
+                console.error('거래 제안 만료 처리 오류:', error);
+            }
+        }, 60 * 1000));
+        
+        // 마감된 경매 정산 (1분마다)
+        this.timers.push(setInterval(async () => {
+            try {
+                const settledCount = await this.auctionService.settleExpiredAuctions();
+                if (settledCount > 0) {
+                    logger.info(`🔨 마감된 경매 ${settledCount}건 정산 완료`);
+                }
+            } catch (error) {
+                console.error('경매 정산 오류:', error);
+            }
+        }, 60 * 1000));
+        
+        // 시간이 지난 흥정 세션 정리 (15초마다)
+        this.timers.push(setInterval(() => {
+            const expiredCount = this.haggleService.expireSessions();
+            if (expiredCount > 0) {
+                logger.info(`⌛ 만료된 흥정 세션 ${expiredCount}건 정리 완료`);
+            }
+        }, 15 * 1000));
+    }
+    
+    // ack 콜백으로 결과를 돌려주는 소켓 명령. 응답 형식은 REST와 같다 ({ success, data } / { success: false, error, code })
+    onCommand(socket, event, handler) {
+        socket.on(event, async (payload, ack) => {
+            // 페이로드 없이 콜백만 보낸 경우
+            if (typeof payload === 'function') {
+                ack = payload;
+                payload = {};
+            }
+            
+            if (typeof ack !== 'function') {
+                socket.emit('error', { message: `${event} 명령에는 응답 콜백이 필요합니다.`, code: 'ACK_REQUIRED' });
+                return;
+            }
+            
+            try {
+                ack(await handler(payload || {}));
+            } catch (error) {
+                console.error(`소켓 명령 처리 오류 (${event}):`, error);
+                ack({ success: false, error: '요청 처리 중 오류가 발생했습니다.', code: 'INTERNAL_ERROR' });
+            }
+        });
+    }
+    
+    schedulePriceUpdates() {
+        if (this.priceUpdateTimer) {
+            clearInterval(this.priceUpdateTimer);
+        }
+        
+        const intervalMinutes = getConfig().pricing.updateIntervalMinutes;
+        this.priceUpdateTimer = setInterval(async () => {
+            try {
+                const priceUpdates = await this.gameService.updateMarketPrices();
+                this.io.emit('priceUpdate', priceUpdates);
+                logger.info('📊 시장 가격 업데이트 브로드캐스트 완료');
+            } catch (error) {
+                console.error('시장 가격 업데이트 오류:', error);
+            }
+        }, intervalMinutes * 60 * 1000);
+    }
+    
+    // 설정 → DB / 서비스 → 라우트 → Socket / 주기 작업 순으로 구성한다 (포트는 열지 않는다)
+    async initialize() {
+        // 0. 게임 설정 로드 (잘못된 값이 있으면 ConfigError)
+        if (this.options.config) {
+            useConfig(this.options.config);
+            logger.info('⚙️  게임 설정 로드: (직접 지정한 설정)');
+        } else {
+            loadConfig();
+            logger.info(`⚙️  게임 설정 로드: ${getConfigInfo().path}`);
+        }
+        
+        // 1. 데이터베이스 및 서비스 초기화
+        await this.initializeDatabase();
+        
+        // 2. 라우트 설정 (서비스 초기화 후)
+        this.setupRoutes();
+        
+        // 3. Socket 설정
+        this.setupSocket();
+        
+        return this;
+    }
+    
+    // port가 0이면 빈 포트를 사용한다. 실제 포트를 반환한다.
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+    
+    // 주기 작업, 소켓, HTTP 서버, DB 연결을 정리한다 (프로세스는 종료하지 않는다)
+    async close() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        clearInterval(this.priceUpdateTimer);
+        
+        if (this.unsubscribeConfigReload) {
+            this.unsubscribeConfigReload();
+        }
+        
+        // io.close()는 연결된 HTTP 서버도 함께 닫는다
+        this.server.closeAllConnections();
+        await new Promise((resolve) => this.io.close(() => resolve()));
+        
+        if (this.db) {
+            await this.db.close();
+        }
+    }
+}
+
+export const createApp = async (options = {}) => {
+    const gameServer = new GameServer(options);
+    return await gameServer.initialize();
+};
@@ -0,0 +1,116 @@
+// src/config/gameConfig.js - 게임 밸런스 설정 로드 / 검증 / 핫 리로드
+// 설정 값은 모듈 로드 시점이 아니라 사용할 때마다 getConfig()로 읽어야 리로드가 반영된다.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateGameConfig } from './schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/game.json');
+
+export class ConfigError extends Error {
+    constructor(message, errors = []) {
+        super(errors.length > 0 ? `${message}\n  - ${errors.join('\n  - ')}` : message);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+let current = null;
+let loadedAt = null;
+let configPath = process.env.GAME_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+const reloadListeners = new Set();
+
+// 하위 객체까지 얼려서 실수로 설정을 수정하지 못하게 한다
+const deepFreeze = (value) => {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+};
+
+const validateConfig = (config, source) => {
+    const errors = validateGameConfig(config);
+    if (errors.length > 0) {
+        throw new ConfigError(`게임 설정 검증 실패: ${source}`, errors);
+    }
+    
+    return deepFreeze(config);
+};
+
+const readConfigFile = (filePath) => {
+    let raw;
+    try {
+        raw = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`게임 설정 파일을 읽을 수 없습니다: ${filePath} (${error.message})`);
+    }
+    
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        throw new ConfigError(`게임 설정 파일이 올바른 JSON이 아닙니다: ${filePath} (${error.message})`);
+    }
+    
+    return validateConfig(parsed, filePath);
+};
+
+// 서버 시작 시 호출. 잘못된 설정이면 ConfigError를 던진다.
+export const loadConfig = (filePath = configPath) => {
+    current = readConfigFile(filePath);
+    configPath = filePath;
+    loadedAt = new Date();
+    return current;
+};
+
+// 파일 대신 설정 객체를 직접 사용한다 (테스트용 createApp({ config })). 리로드하면 다시 파일을 읽는다.
+export const useConfig = (config) => {
+    current = validateConfig(structuredClone(config), '(직접 지정한 설정)');
+    loadedAt = new Date();
+    return current;
+};
+
+// 파일을 다시 읽어 교체한다. 검증에 실패하면 기존 설정을 그대로 유지한다.
+export const reloadConfig = () => {
+    const previous = current;
+    const next = readConfigFile(configPath);
+    
+    current = next;
+    loadedAt = new Date();
+    
+    const changedSections = Object.keys(next).filter(section =>
+        !previous || JSON.stringify(previous[section]) !== JSON.stringify(next[section])
+    );
+    
+    for (const listener of reloadListeners) {
+        try {
+            listener(next, changedSections);
+        } catch (error) {
+            console.error('설정 리로드 리스너 오류:', error);
+        }
+    }
+    
+    return { changedSections, loadedAt };
+};
+
+export const getConfig = () => {
+    if (!current) {
+        loadConfig();
+    }
+    return current;
+};
+
+export const getConfigInfo = () => ({
+    path: configPath,
+    loadedAt: loadedAt ? loadedAt.toISOString() : null
+});
+
+// 리로드 후 다시 설정해야 하는 타이머 등을 위해 사용. 해제 함수를 반환한다.
+export const onConfigReload = (listener) => {
+    reloadListeners.add(listener);
+    return () => reloadListeners.delete(listener);
+};
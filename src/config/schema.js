@@ -0,0 +1,352 @@
+// src/config/schema.js - 게임 설정 스키마 및 검증
+// 외부 라이브러리 없이 필요한 만큼만 구현한 JSON 구조 검증기다.
+// 오류는 'licenses[2].upgradeCost: 0 이상이어야 합니다.'처럼 경로와 함께 모아서 반환한다.
+
+const integer = (min = null, max = null) => ({ type: 'integer', min, max });
+const number = (min = null, max = null) => ({ type: 'number', min, max });
+const string = () => ({ type: 'string' });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const arrayOf = (items, minItems = 0) => ({ type: 'array', items, minItems });
+const optional = (schema) => ({ ...schema, optional: true });
+
+// 아이템 등급 (낮은 순)
+export const ITEM_GRADES = ['common', 'rare', 'epic', 'legendary'];
+
+const restockPolicy = object({
+    intervalMinutes: integer(1),
+    restockAmount: integer(1),
+    maxQuantity: integer(1)
+});
+
+// 흥정 성향: maxConcession은 정가 대비 최대 양보 비율, counterStep은 역제안마다 남은 양보 폭에서 다가오는 비율,
+// walkAwayGap은 정가에서 이 비율보다 더 벗어난 제안을 받으면 흥정을 그만두는 기준이다
+const haggleStyle = object({
+    maxConcession: number(0, 0.9),
+    counterStep: number(0.05, 1),
+    walkAwayGap: number(0, 1)
+});
+
+export const GAME_CONFIG_SCHEMA = object({
+    player: object({
+        startingMoney: integer(0),
+        startingTrust: integer(0),
+        startingLicense: integer(1)
+    }),
+    licenses: arrayOf(object({
+        level: integer(1),
+        name: string(),
+        upgradeCost: integer(0),
+        requiredTrust: integer(0),
+        inventorySize: integer(1)
+    }), 1),
+    trading: object({
+        defaultBuySpread: number(0, 1),
+        merchantInteractionRadiusMeters: number(1),
+        maxTravelSpeedKmh: number(1),
+        gpsJitterMeters: number(0),
+        offerDurationHours: number(0.1),
+        offerNearbyRadiusMeters: number(1)
+    }),
+    pricing: object({
+        updateIntervalMinutes: integer(1),
+        engine: object({
+            sensitivity: number(0),
+            liquidity: number(0),
+            decayRate: number(0, 1),
+            volatility: number(0, 1),
+            minRatio: number(0.01),
+            maxRatio: number(0.01)
+        })
+    }),
+    relationships: object({
+        tiers: arrayOf(object({
+            level: integer(0),
+            name: string(),
+            minTrust: integer(0),
+            buyDiscount: number(0, 0.9),
+            sellBonus: number(0, 1)
+        }), 1),
+        trustRules: object({
+            minTradeValue: integer(0),
+            pointsPerTrade: integer(0),
+            valuePerBonusPoint: integer(1),
+            dailyGlobalCap: integer(0),
+            relationshipPerTrade: integer(0),
+            relationshipValuePerPoint: integer(1),
+            dailyRelationshipCap: integer(0)
+        })
+    }),
+    restockPolicies: object({ default: restockPolicy }, { additional: restockPolicy }),
+    auctions: object({
+        minDurationHours: number(0.1),
+        maxDurationHours: number(0.1),
+        minBidIncrementRatio: number(0, 1),
+        maxActiveListings: integer(1)
+    }),
+    haggling: object({
+        sessionTimeoutSeconds: integer(10),
+        maxOffers: integer(1),
+        cooldownSeconds: integer(0),
+        trustConcessionPerTier: number(0, 0.5),
+        styles: object({ default: haggleStyle }, { additional: haggleStyle })
+    }),
+    dailyRewards: object({
+        calendar: arrayOf(object({
+            day: integer(1),
+            money: integer(0),
+            trust: integer(0),
+            item: optional(object({
+                itemId: string(),
+                quantity: integer(1)
+            }))
+        }), 1)
+    }),
+    events: object({
+        schedule: object({
+            minLeadMinutes: integer(0),
+            maxLeadMinutes: integer(0),
+            maxScheduled: integer(0),
+            upcomingWindowHours: number(1)
+        }),
+        definitions: arrayOf(object({
+            type: string(),
+            name: string(),
+            description: string(),
+            scope: { type: 'string', enum: ['global', 'district', 'category', 'district_category'] },
+            district: optional(string()),
+            category: optional(string()),
+            priceMultiplier: number(0.1, 10),
+            durationMinutes: number(1),
+            weight: number(0)
+        }), 1)
+    }),
+    seed: object({
+        districts: arrayOf(string(), 1),
+        originPriceRatio: number(0.01),
+        remotePriceRatio: number(0.01),
+        items: arrayOf(object({
+            id: string(),
+            name: string(),
+            category: string(),
+            grade: { type: 'string', enum: ITEM_GRADES },
+            requiredLicense: integer(1),
+            size: integer(1),
+            weight: number(0),
+            basePrice: integer(1),
+            district: string()
+        }), 1),
+        merchants: arrayOf(object({
+            id: string(),
+            name: string(),
+            type: string(),
+            district: string(),
+            lat: number(-90, 90),
+            lng: number(-180, 180),
+            requiredLicense: integer(1),
+            items: arrayOf(string()),
+            // 상인이 플레이어에게서 사들이는 품목군과 지역 시세 대비 할인 폭
+            buys: arrayOf(object({
+                category: string(),
+                spread: number(0, 1)
+            }), 1),
+            rareStock: optional(arrayOf(object({
+                itemId: string(),
+                requiredRelationship: integer(0)
+            })))
+        }))
+    })
+});
+
+const describe = (value) => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+// 구조/타입/범위 검증
+const validateNode = (schema, value, path, errors) => {
+    if (value === undefined) {
+        if (!schema.optional) errors.push(`${path}: 필수 값입니다.`);
+        return;
+    }
+    
+    switch (schema.type) {
+        case 'object': {
+            if (describe(value) !== 'object') {
+                errors.push(`${path}: 객체여야 합니다. (현재: ${describe(value)})`);
+                return;
+            }
+            for (const [key, child] of Object.entries(schema.properties)) {
+                validateNode(child, value[key], `${path}.${key}`, errors);
+            }
+            for (const key of Object.keys(value)) {
+                if (schema.properties[key]) continue;
+                if (schema.additional) {
+                    validateNode(schema.additional, value[key], `${path}.${key}`, errors);
+                } else {
+                    errors.push(`${path}.${key}: 알 수 없는 설정입니다.`);
+                }
+            }
+            return;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: 배열이어야 합니다. (현재: ${describe(value)})`);
+                return;
+            }
+            if (value.length < schema.minItems) {
+                errors.push(`${path}: 최소 ${schema.minItems}개 이상 필요합니다.`);
+            }
+            value.forEach((item, index) => validateNode(schema.items, item, `${path}[${index}]`, errors));
+            return;
+        }
+        case 'integer':
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${path}: 숫자여야 합니다. (현재: ${JSON.stringify(value)})`);
+                return;
+            }
+            if (schema.type === 'integer' && !Number.isInteger(value)) {
+                errors.push(`${path}: 정수여야 합니다. (현재: ${value})`);
+            }
+            if (schema.min !== null && value < schema.min) {
+                errors.push(`${path}: ${schema.min} 이상이어야 합니다. (현재: ${value})`);
+            }
+            if (schema.max !== null && value > schema.max) {
+                errors.push(`${path}: ${schema.max} 이하여야 합니다. (현재: ${value})`);
+            }
+            return;
+        }
+        case 'string': {
+            if (typeof value !== 'string' || value.trim().length === 0) {
+                errors.push(`${path}: 비어 있지 않은 문자열이어야 합니다.`);
+                return;
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                errors.push(`${path}: ${schema.enum.join(', ')} 중 하나여야 합니다. (현재: ${value})`);
+            }
+            return;
+        }
+    }
+};
+
+// 항목 간 관계 검증 (구조 검증을 통과한 설정에만 수행)
+const validateConsistency = (config, errors) => {
+    config.licenses.forEach((license, index) => {
+        if (license.level !== index + 1) {
+            errors.push(`licenses[${index}].level: 1부터 순서대로 정의해야 합니다. (기대값: ${index + 1})`);
+        }
+    });
+    
+    if (!config.licenses.some(license => license.level === config.player.startingLicense)) {
+        errors.push('player.startingLicense: licenses에 정의된 레벨이어야 합니다.');
+    }
+    
+    config.relationships.tiers.forEach((tier, index) => {
+        if (tier.level !== index) {
+            errors.push(`relationships.tiers[${index}].level: 0부터 순서대로 정의해야 합니다. (기대값: ${index})`);
+        }
+        if (index === 0 && tier.minTrust !== 0) {
+            errors.push('relationships.tiers[0].minTrust: 첫 등급은 0이어야 합니다.');
+        }
+        if (index > 0 && tier.minTrust <= config.relationships.tiers[index - 1].minTrust) {
+            errors.push(`relationships.tiers[${index}].minTrust: 이전 등급보다 커야 합니다.`);
+        }
+    });
+    
+    const { engine } = config.pricing;
+    if (engine.minRatio >= engine.maxRatio) {
+        errors.push('pricing.engine.minRatio: maxRatio보다 작아야 합니다.');
+    }
+    
+    const { schedule } = config.events;
+    if (schedule.minLeadMinutes > schedule.maxLeadMinutes) {
+        errors.push('events.schedule.minLeadMinutes: maxLeadMinutes보다 클 수 없습니다.');
+    }
+    
+    const itemIds = new Set();
+    const itemNames = new Set();
+    const maxLicense = config.licenses.length;
+    config.seed.items.forEach((item, index) => {
+        const path = `seed.items[${index}]`;
+        if (itemIds.has(item.id)) {
+            errors.push(`${path}.id: 중복된 아이템 ID입니다. (${item.id})`);
+        }
+        if (itemNames.has(item.name)) {
+            errors.push(`${path}.name: 중복된 아이템 이름입니다. (${item.name})`);
+        }
+        if (item.requiredLicense > maxLicense) {
+            errors.push(`${path}.requiredLicense: licenses에 정의된 레벨이어야 합니다. (최대: ${maxLicense})`);
+        }
+        if (!config.seed.districts.includes(item.district)) {
+            errors.push(`${path}.district: seed.districts에 없는 지역입니다. (${item.district})`);
+        }
+        itemIds.add(item.id);
+        itemNames.add(item.name);
+    });
+    const categories = new Set(config.seed.items.map(item => item.category));
+    
+    const eventTypes = new Set();
+    config.events.definitions.forEach((definition, index) => {
+        const path = `events.definitions[${index}]`;
+        if (eventTypes.has(definition.type)) {
+            errors.push(`${path}.type: 중복된 이벤트 종류입니다. (${definition.type})`);
+        }
+        eventTypes.add(definition.type);
+        
+        if (definition.district && !config.seed.districts.includes(definition.district)) {
+            errors.push(`${path}.district: seed.districts에 없는 지역입니다. (${definition.district})`);
+        }
+        if (definition.category && !categories.has(definition.category)) {
+            errors.push(`${path}.category: seed.items에 없는 품목군입니다. (${definition.category})`);
+        }
+    });
+    
+    config.dailyRewards.calendar.forEach((reward, index) => {
+        if (reward.day !== index + 1) {
+            errors.push(`dailyRewards.calendar[${index}].day: 1부터 순서대로 정의해야 합니다. (기대값: ${index + 1})`);
+        }
+        if (reward.item && !itemIds.has(reward.item.itemId)) {
+            errors.push(`dailyRewards.calendar[${index}].item.itemId: seed.items에 없는 아이템입니다. (${reward.item.itemId})`);
+        }
+    });
+    
+    if (config.auctions.maxDurationHours < config.auctions.minDurationHours) {
+        errors.push('auctions.maxDurationHours: minDurationHours 이상이어야 합니다.');
+    }
+    
+    for (const [type, style] of Object.entries(config.haggling.styles)) {
+        if (style.walkAwayGap <= style.maxConcession) {
+            errors.push(`haggling.styles.${type}.walkAwayGap: maxConcession보다 커야 합니다.`);
+        }
+    }
+    
+    config.seed.merchants.forEach((merchant, index) => {
+        const path = `seed.merchants[${index}]`;
+        if (!config.seed.districts.includes(merchant.district)) {
+            errors.push(`${path}.district: seed.districts에 없는 지역입니다. (${merchant.district})`);
+        }
+        const stockItems = [...merchant.items, ...(merchant.rareStock || []).map(rare => rare.itemId)];
+        for (const itemId of stockItems) {
+            if (!itemIds.has(itemId)) {
+                errors.push(`${path}: seed.items에 없는 아이템입니다. (${itemId})`);
+            }
+        }
+        merchant.buys.forEach((entry, buyIndex) => {
+            if (!categories.has(entry.category)) {
+                errors.push(`${path}.buys[${buyIndex}].category: seed.items에 없는 품목군입니다. (${entry.category})`);
+            }
+            if (merchant.buys.findIndex(other => other.category === entry.category) !== buyIndex) {
+                errors.push(`${path}.buys[${buyIndex}].category: 중복된 품목군입니다. (${entry.category})`);
+            }
+        });
+    });
+};
+
+// 오류 메시지 목록을 반환 (비어 있으면 유효)
+export const validateGameConfig = (config) => {
+    const errors = [];
+    validateNode(GAME_CONFIG_SCHEMA, config, 'config', errors);
+    
+    if (errors.length === 0) {
+        validateConsistency(config, errors);
+    }
+    
+    return errors.map(error => error.replace(/^config\.?/, ''));
+};
@@ -0,0 +1,32 @@
+// src/data/dailyRewards.js - 일일 출석 보상 달력 및 KST 기준 날짜 계산
+import { getConfig } from '../config/gameConfig.js';
+
+// 연속 출석 일차별 보상 (마지막 날 이후에는 1일차부터 다시 반복)
+// money는 플레이어 라이센스 레벨만큼 곱해서 지급한다. 달력은 config/game.json의 dailyRewards에 있다.
+export const getRewardCalendar = () => getConfig().dailyRewards.calendar;
+
+// 출석 날짜는 한국 시간(UTC+9) 자정에 바뀐다
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// KST 기준 날짜 문자열 (YYYY-MM-DD)
+export const getKstDate = (date = new Date()) =>
+    new Date(date.getTime() + KST_OFFSET_MS).toISOString().slice(0, 10);
+
+// KST 날짜 문자열에 일수를 더한 날짜
+export const addDays = (kstDate, days) =>
+    new Date(Date.parse(`${kstDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// 오늘(KST) 자정 시각 (게임 하루의 시작)
+export const getKstDayStart = (date = new Date()) =>
+    new Date(Date.parse(`${getKstDate(date)}T00:00:00Z`) - KST_OFFSET_MS);
+
+// 다음 KST 자정 시각
+export const getNextKstMidnight = (date = new Date()) =>
+    new Date(Date.parse(`${addDays(getKstDate(date), 1)}T00:00:00Z`) - KST_OFFSET_MS);
+
+// 연속 출석 일수에 해당하는 달력 보상
+export const getRewardForStreak = (streak) => {
+    const calendar = getRewardCalendar();
+    return calendar[(streak - 1) % calendar.length];
+};
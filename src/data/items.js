@@ -0,0 +1,9 @@
+// src/data/items.js - 아이템 카탈로그 정의
+import { getConfig } from '../config/gameConfig.js';
+
+// 카탈로그는 config/game.json의 seed.items에 있고 서버 시작 시 items 테이블로 동기화된다.
+// id는 바뀌지 않는 키이고 name은 표시용 이름이다.
+export const getItemDefinitions = () => getConfig().seed.items;
+
+export const getItemDefinition = (itemId) =>
+    getItemDefinitions().find(item => item.id === itemId) || null;
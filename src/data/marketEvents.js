@@ -0,0 +1,23 @@
+// src/data/marketEvents.js - 시장 이벤트 정의 및 가격 보정 계산
+import { getConfig } from '../config/gameConfig.js';
+
+// 이벤트 정의와 스케줄러 설정은 config/game.json의 events에 있다.
+// scope: 'global'(전체), 'district'(지역 한정), 'category'(품목군 한정), 'district_category'(지역 + 품목군)
+// priceMultiplier는 이벤트 기간 동안만 시세에 곱해지고 저장된 current_price는 바꾸지 않는다
+export const getEventDefinitions = () => getConfig().events.definitions;
+
+export const getEventSchedule = () => getConfig().events.schedule;
+
+export const getEventDefinition = (type) =>
+    getEventDefinitions().find(definition => definition.type === type) || null;
+
+// category는 아이템 카탈로그의 품목군
+export const eventAppliesTo = (event, category, district) =>
+    (!event.district || event.district === district) &&
+    (!event.category || event.category === category);
+
+// 진행 중인 이벤트들의 배율을 모두 곱한 값
+export const getEventMultiplier = (events, category, district) =>
+    events
+        .filter(event => eventAppliesTo(event, category, district))
+        .reduce((multiplier, event) => multiplier * event.price_multiplier, 1);
@@ -0,0 +1,15 @@
+// src/data/merchantTypes.js - 상인 유형별 재고 정책 / 흥정 성향
+// 정책 값은 config/game.json의 restockPolicies, haggling.styles에 있다.
+import { getConfig } from '../config/gameConfig.js';
+
+// intervalMinutes: 재입고 주기, restockAmount: 주기마다 채우는 수량, maxQuantity: 아이템별 최대 재고
+export const getRestockPolicy = (merchantType) => {
+    const policies = getConfig().restockPolicies;
+    return policies[merchantType] || policies.default;
+};
+
+// maxConcession: 정가 대비 최대 양보 비율, counterStep: 역제안 시 양보 속도, walkAwayGap: 흥정을 그만두는 기준
+export const getHaggleStyle = (merchantType) => {
+    const styles = getConfig().haggling.styles;
+    return styles[merchantType] || styles.default;
+};
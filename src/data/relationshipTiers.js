@@ -0,0 +1,17 @@
+// src/data/relationshipTiers.js - 플레이어-상인 관계 등급 및 신뢰도 적립 규칙
+// 등급과 규칙 값은 config/game.json의 relationships에 있다.
+import { getConfig } from '../config/gameConfig.js';
+
+// minTrust: 등급에 필요한 관계 신뢰도, buyDiscount: 구매가 할인율, sellBonus: 판매가 가산율
+export const getRelationshipTiers = () => getConfig().relationships.tiers;
+
+// 거래로 얻는 신뢰도 (작은 거래 반복으로 쌓는 것을 막기 위해 최소 금액과 일일 상한을 둔다)
+export const getTrustRules = () => getConfig().relationships.trustRules;
+
+export const getRelationshipTier = (trust) => {
+    const tiers = getRelationshipTiers();
+    return [...tiers].reverse().find(tier => trust >= tier.minTrust) || tiers[0];
+};
+
+export const getNextRelationshipTier = (trust) =>
+    getRelationshipTiers().find(tier => tier.minTrust > trust) || null;
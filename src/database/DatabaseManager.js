@@ -4,24 +4,50 @@ import { promisify } from 'util';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { encodeGeohash } from '../utils/geo.js';
+import { getRestockPolicy } from '../data/merchantTypes.js';
+import { getConfig } from '../config/gameConfig.js';
+import { v4 as uuidv4 } from 'uuid';
+import MigrationRunner from './MigrationRunner.js';
+import { logger } from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 리더보드 종류별 정렬 기준과 점수 컬럼
+export const LEADERBOARD_TYPES = {
+    money: { orderBy: 'money DESC', score: 'money' },
+    trust: { orderBy: 'trust_points DESC', score: 'trust_points' },
+    license: { orderBy: 'current_license DESC, money DESC', score: 'current_license' },
+    networth: { orderBy: 'net_worth DESC', score: 'net_worth' }
+};
+
+// 아이템 카탈로그(items.id)를 참조하는 테이블
+const ITEM_REFERENCE_TABLES = ['inventory', 'trades', 'trade_offers', 'market_prices', 'merchant_stock', 'price_history'];
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../../data/game.db');
+
 class DatabaseManager {
-    constructor() {
+    // dbPath: 파일 경로 또는 ':memory:' (기본값: DATABASE_PATH 환경 변수, 없으면 data/game.db)
+    constructor(dbPath = process.env.DATABASE_PATH || DEFAULT_DB_PATH) {
         this.db = null;
-        this.dbPath = path.join(__dirname, '../../data/game.db');
+        this.dbPath = dbPath;
+        
+        // 쿼리 직렬화 큐 및 현재 트랜잭션 컨텍스트
+        this.connection = null;
+        this.transactionQueue = Promise.resolve();
+        this.transactionContext = new AsyncLocalStorage();
         
         // data 디렉토리가 없으면 생성
         const dataDir = path.dirname(this.dbPath);
-        if (!fs.existsSync(dataDir)) {
+        if (this.dbPath !== ':memory:' && !fs.existsSync(dataDir)) {
             fs.mkdirSync(dataDir, { recursive: true });
         }
     }
     
     async initialize() {
-        console.log('🗄 데이터베이스 초기화 중...');
+        logger.info('🗄 데이터베이스 초기화 중...');
         
         return new Promise((resolve, reject) => {
             this.db = new sqlite3.Database(this.dbPath, (err) => {
@@ -30,12 +56,31 @@ class DatabaseManager {
                     reject(err);
                     return;
                 }
-                console.log(`✅ SQLite 연결: ${this.dbPath}`);
+                logger.info(`✅ SQLite 연결: ${this.dbPath}`);
                 
-                // 메서드를 Promise로 변환
-                this.db.run = promisify(this.db.run.bind(this.db));
-                this.db.get = promisify(this.db.get.bind(this.db));
-                this.db.all = promisify(this.db.all.bind(this.db));
+                // 메서드를 Promise로 변환 (run은 lastID/changes를 반환)
+                const run = this.db.run.bind(this.db);
+                this.connection = {
+                    run: (sql, params = []) => new Promise((resolveRun, rejectRun) => {
+                        run(sql, params, function (runErr) {
+                            if (runErr) {
+                                rejectRun(runErr);
+                                return;
+                            }
+                            resolveRun({ lastID: this.lastID, changes: this.changes });
+                        });
+                    }),
+                    get: promisify(this.db.get.bind(this.db)),
+                    all: promisify(this.db.all.bind(this.db))
+                };
+                
+                // 트랜잭션 밖의 쿼리도 트랜잭션 큐를 거친다.
+                // 연결이 하나뿐이라 열린 트랜잭션 사이에 끼어들면 그 트랜잭션과 함께 롤백되기 때문이다.
+                for (const method of ['run', 'get', 'all']) {
+                    this.db[method] = (sql, params = []) => this.inTransaction()
+                        ? this.connection[method](sql, params)
+                        : this.enqueue(() => this.connection[method](sql, params));
+                }
                 
                 // 외래 키 제약 조건 활성화
                 this.db.run('PRAGMA foreign_keys = ON');
@@ -45,182 +90,258 @@ class DatabaseManager {
         });
     }
     
-    async createTables() {
-        console.log('📋 데이터베이스 테이블 생성 중...');
+    // 대기 중인 스키마 마이그레이션 적용 (DB 스키마가 코드보다 최신이면 SchemaVersionError)
+    async migrate() {
+        logger.info('📋 데이터베이스 마이그레이션 확인 중...');
         
-        const tables = [
-            // 사용자 계정 테이블
-            `CREATE TABLE IF NOT EXISTS users (
-                id TEXT PRIMARY KEY,
-                email TEXT UNIQUE NOT NULL,
-                password_hash TEXT NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`,
-            
-            // 플레이어 게임 데이터 테이블
-            `CREATE TABLE IF NOT EXISTS players (
-                id TEXT PRIMARY KEY,
-                user_id TEXT NOT NULL,
-                name TEXT NOT NULL,
-                money INTEGER DEFAULT 50000,
-                trust_points INTEGER DEFAULT 0,
-                current_license INTEGER DEFAULT 1,
-                max_inventory_size INTEGER DEFAULT 5,
-                location_lat REAL,
-                location_lng REAL,
-                last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-            )`,
-            
-            // 인벤토리 테이블
-            `CREATE TABLE IF NOT EXISTS inventory (
-                id TEXT PRIMARY KEY,
-                player_id TEXT NOT NULL,
-                item_name TEXT NOT NULL,
-                item_category TEXT NOT NULL,
-                base_price INTEGER NOT NULL,
-                current_price INTEGER NOT NULL,
-                item_grade TEXT NOT NULL,
-                required_license INTEGER NOT NULL,
-                quantity INTEGER DEFAULT 1,
-                acquired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
-            )`,
-            
-            // 거래 기록 테이블
-            `CREATE TABLE IF NOT EXISTS trades (
-                id TEXT PRIMARY KEY,
-                seller_id TEXT,
-                buyer_id TEXT,
-                merchant_id TEXT,
-                item_name TEXT NOT NULL,
-                item_category TEXT NOT NULL,
-                price INTEGER NOT NULL,
-                quantity INTEGER DEFAULT 1,
-                trade_type TEXT NOT NULL,
-                location_lat REAL,
-                location_lng REAL,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (seller_id) REFERENCES players (id),
-                FOREIGN KEY (buyer_id) REFERENCES players (id)
-            )`,
-            
-            // 시장 가격 테이블
-            `CREATE TABLE IF NOT EXISTS market_prices (
-                item_name TEXT PRIMARY KEY,
-                district TEXT NOT NULL,
-                base_price INTEGER NOT NULL,
-                current_price INTEGER NOT NULL,
-                demand_multiplier REAL DEFAULT 1.0,
-                last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`,
-            
-            // 상인 테이블
-            `CREATE TABLE IF NOT EXISTS merchants (
-                id TEXT PRIMARY KEY,
-                name TEXT NOT NULL,
-                type TEXT NOT NULL,
-                district TEXT NOT NULL,
-                location_lat REAL NOT NULL,
-                location_lng REAL NOT NULL,
-                required_license INTEGER NOT NULL,
-                inventory TEXT, -- JSON 문자열
-                trust_level INTEGER DEFAULT 0,
-                last_restocked DATETIME DEFAULT CURRENT_TIMESTAMP
-            )`
-        ];
-        
-        for (const sql of tables) {
-            await this.db.run(sql);
-        }
+        const runner = new MigrationRunner(this);
+        const applied = await runner.migrate();
+        const { currentVersion } = await runner.getStatus();
         
-        console.log('✅ 데이터베이스 테이블 생성 완료');
+        logger.info(`✅ 데이터베이스 스키마 버전 ${currentVersion} (${applied.length}개 마이그레이션 적용)`);
+        return applied;
     }
     
     async createInitialData() {
-        console.log('📦 초기 데이터 생성 중...');
-        
-        // 시장 가격 초기 데이터
-        const items = [
-            { name: 'IT부품 (커먼)', category: 'IT부품', basePrice: 5000, district: '강남구' },
-            { name: 'IT부품 (중급)', category: 'IT부품', basePrice: 15000, district: '강남구' },
-            { name: 'IT부품 (고급)', category: 'IT부품', basePrice: 35000, district: '강남구' },
-            { name: '명품 (커먼)', category: '명품', basePrice: 10000, district: '강남구' },
-            { name: '명품 (중급)', category: '명품', basePrice: 25000, district: '강남구' },
-            { name: '예술품 (커먼)', category: '예술품', basePrice: 8000, district: '홍대' },
-            { name: '예술품 (중급)', category: '예술품', basePrice: 20000, district: '홍대' },
-            { name: '화장품 (커먼)', category: '화장품', basePrice: 3000, district: '명동' },
-            { name: '화장품 (중급)', category: '화장품', basePrice: 8000, district: '명동' },
-            { name: '서적 (커먼)', category: '서적', basePrice: 2000, district: '신촌' },
-            { name: '생활용품 (커먼)', category: '생활용품', basePrice: 1500, district: '강북구' }
-        ];
+        logger.info('📦 초기 데이터 생성 중...');
+        
+        // 초기 아이템 / 지역 / 상인은 게임 설정(seed)을 따른다 (item.district: 산지)
+        const { items, districts, originPriceRatio, remotePriceRatio, merchants } = getConfig().seed;
         
+        // 카탈로그는 시작할 때마다 설정 값으로 갱신하고, 이름으로만 저장된 기존 데이터를 ID로 연결한다
         for (const item of items) {
-            const existing = await this.db.get(
-                'SELECT * FROM market_prices WHERE item_name = ?', 
-                [item.name]
-            );
-            
-            if (!existing) {
+            await this.upsertItem(item);
+        }
+        await this.linkItemReferences();
+        
+        // 지역별 가격: 산지에서는 싸고 다른 지역에서는 비싸다
+        for (const item of items) {
+            for (const district of districts) {
+                const existing = await this.getMarketPrice(item.id, district);
+                
+                if (!existing) {
+                    const ratio = district === item.district ? originPriceRatio : remotePriceRatio;
+                    const basePrice = Math.round(item.basePrice * ratio);
+                    
+                    await this.db.run(`
+                        INSERT INTO market_prices (item_id, item_name, district, base_price, current_price, demand_multiplier)
+                        VALUES (?, ?, ?, ?, ?, ?)
+                    `, [item.id, item.name, district, basePrice, basePrice, 1.0]);
+                    await this.addPriceHistory(item.id, district, basePrice, 'seed');
+                }
+            }
+        }
+        
+        // 상인 테이블이 비어 있을 때만 채운다 (관리자가 삭제한 상인이 재시작 시 되살아나지 않도록)
+        const merchantCount = await this.db.get('SELECT COUNT(*) as count FROM merchants');
+        if (merchantCount.count === 0) {
+            for (const merchant of merchants) {
                 await this.db.run(`
-                    INSERT INTO market_prices (item_name, district, base_price, current_price, demand_multiplier)
-                    VALUES (?, ?, ?, ?, ?)
-                `, [item.name, item.district, item.basePrice, item.basePrice, 1.0]);
+                    INSERT INTO merchants (id, name, type, district, location_lat, location_lng, required_license, inventory, buy_categories, geohash)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [merchant.id, merchant.name, merchant.type, merchant.district, 
+                    merchant.lat, merchant.lng, merchant.requiredLicense, JSON.stringify(merchant.items),
+                    JSON.stringify(merchant.buys), encodeGeohash(merchant.lat, merchant.lng)]);
             }
         }
         
-        // 상인 초기 데이터
-        const merchants = [
-            {
-                id: 'merchant_gangnam_it',
-                name: '강남 IT상인',
-                type: 'electronics',
-                district: '강남구',
-                lat: 37.5173,
-                lng: 127.0473,
-                license: 1,
-                inventory: JSON.stringify(['IT부품 (커먼)', 'IT부품 (중급)'])
-            },
-            {
-                id: 'merchant_hongdae_art',
-                name: '홍대 예술품상인',
-                type: 'art',
-                district: '홍대',
-                lat: 37.5563,
-                lng: 126.9238,
-                license: 1,
-                inventory: JSON.stringify(['예술품 (커먼)', '예술품 (중급)'])
-            },
-            {
-                id: 'merchant_myeongdong_beauty',
-                name: '명동 화장품상인',
-                type: 'beauty',
-                district: '명동',
-                lat: 37.5636,
-                lng: 126.9827,
-                license: 1,
-                inventory: JSON.stringify(['화장품 (커먼)', '화장품 (중급)'])
+        // 매입 품목군이 없는 기존 상인: 시드 상인은 설정 값으로, 그 외에는 판매 품목군을 기본 스프레드로 사들인다
+        const withoutBuys = await this.db.all('SELECT id, inventory FROM merchants WHERE buy_categories IS NULL');
+        for (const merchant of withoutBuys) {
+            const seeded = merchants.find(entry => entry.id === merchant.id);
+            const buys = seeded ? seeded.buys : await this.getDefaultMerchantBuys(JSON.parse(merchant.inventory || '[]'));
+            await this.db.run('UPDATE merchants SET buy_categories = ? WHERE id = ?', [JSON.stringify(buys), merchant.id]);
+        }
+        
+        // 상인 판매 목록에 재고 행이 없으면 최대 수량으로 채운다
+        const allMerchants = await this.db.all('SELECT id, type, inventory FROM merchants');
+        for (const merchant of allMerchants) {
+            const { maxQuantity } = getRestockPolicy(merchant.type);
+            for (const itemId of JSON.parse(merchant.inventory || '[]')) {
+                await this.addMerchantStockItem(merchant.id, itemId, maxQuantity);
             }
-        ];
+        }
         
+        // 관계 등급이 높아야 살 수 있는 희귀 재고
         for (const merchant of merchants) {
-            const existing = await this.db.get(
-                'SELECT * FROM merchants WHERE id = ?', 
-                [merchant.id]
-            );
+            if (!await this.getMerchantById(merchant.id)) continue;
             
-            if (!existing) {
-                await this.db.run(`
-                    INSERT INTO merchants (id, name, type, district, location_lat, location_lng, required_license, inventory)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-                `, [merchant.id, merchant.name, merchant.type, merchant.district, 
-                    merchant.lat, merchant.lng, merchant.license, merchant.inventory]);
+            const { maxQuantity } = getRestockPolicy(merchant.type);
+            const rareQuantity = Math.max(1, Math.floor(maxQuantity / 2));
+            for (const rare of merchant.rareStock || []) {
+                await this.addMerchantStockItem(merchant.id, rare.itemId, rareQuantity, rare.requiredRelationship);
             }
         }
         
-        console.log('✅ 초기 데이터 생성 완료');
+        // geohash가 비어 있는 기존 상인 데이터 보정
+        const unindexed = await this.db.all('SELECT id, location_lat, location_lng FROM merchants WHERE geohash IS NULL');
+        for (const merchant of unindexed) {
+            await this.db.run('UPDATE merchants SET geohash = ? WHERE id = ?', 
+                [encodeGeohash(merchant.location_lat, merchant.location_lng), merchant.id]);
+        }
+        
+        logger.info('✅ 초기 데이터 생성 완료');
+    }
+    
+    // 카탈로그 도입 전 데이터 보정: 이름으로 item_id를 채우고,
+    // 지역 이름이 들어가 있던 카테고리와 이름으로 추정한 등급/라이센스를 카탈로그 값으로 바꾼다
+    async linkItemReferences() {
+        for (const table of ITEM_REFERENCE_TABLES) {
+            await this.db.run(`
+                UPDATE ${table} 
+                SET item_id = (SELECT id FROM items WHERE items.name = ${table}.item_name) 
+                WHERE item_id IS NULL
+            `);
+        }
+        
+        for (const table of ['inventory', 'trade_offers']) {
+            await this.db.run(`
+                UPDATE ${table} 
+                SET item_category = (SELECT category FROM items WHERE items.id = ${table}.item_id),
+                    item_grade = (SELECT grade FROM items WHERE items.id = ${table}.item_id),
+                    required_license = (SELECT required_license FROM items WHERE items.id = ${table}.item_id)
+                WHERE item_id IS NOT NULL 
+                  AND item_category != (SELECT category FROM items WHERE items.id = ${table}.item_id)
+            `);
+        }
+        
+        await this.db.run(`
+            UPDATE trades 
+            SET item_category = (SELECT category FROM items WHERE items.id = trades.item_id) 
+            WHERE item_id IS NOT NULL 
+              AND item_category != (SELECT category FROM items WHERE items.id = trades.item_id)
+        `);
+        
+        // 상인 판매 목록(JSON)에 아이템 이름이 들어 있으면 ID로 바꾼다
+        const catalog = await this.getAllItems();
+        const idByName = new Map(catalog.map(item => [item.name, item.id]));
+        const merchants = await this.db.all('SELECT id, inventory FROM merchants');
+        for (const merchant of merchants) {
+            const listed = JSON.parse(merchant.inventory || '[]');
+            const itemIds = listed.map(entry => idByName.get(entry) || entry);
+            if (itemIds.some((itemId, index) => itemId !== listed[index])) {
+                await this.db.run('UPDATE merchants SET inventory = ? WHERE id = ?', [JSON.stringify(itemIds), merchant.id]);
+            }
+        }
+    }
+    
+    // === 범용 쿼리 메서드 ===
+    async run(sql, params = []) {
+        return await this.db.run(sql, params);
+    }
+    
+    async get(sql, params = []) {
+        return await this.db.get(sql, params);
+    }
+    
+    async all(sql, params = []) {
+        return await this.db.all(sql, params);
+    }
+    
+    // === 트랜잭션 ===
+    // SQLite 연결이 하나뿐이므로 트랜잭션과 트랜잭션 밖의 쿼리는 모두 하나의 큐에서 순서대로 실행된다.
+    // 플레이어별이 아니라 전역 직렬화이므로 같은 플레이어에 대한 동시 요청도 자연히 순서가 보장된다.
+    // 트랜잭션 안에서 다시 호출하면 기존 트랜잭션에 합류한다.
+    async transaction(work) {
+        if (this.inTransaction()) {
+            return await work();
+        }
+        
+        return await this.enqueue(async () => {
+            const context = { active: true };
+            await this.connection.run('BEGIN IMMEDIATE');
+            try {
+                const result = await this.transactionContext.run(context, work);
+                await this.connection.run('COMMIT');
+                return result;
+            } catch (error) {
+                // 롤백까지 실패해도 호출자에게는 원래 오류를 전달한다
+                try {
+                    await this.connection.run('ROLLBACK');
+                } catch (rollbackError) {
+                    console.error('❌ 트랜잭션 롤백 실패:', rollbackError);
+                }
+                throw error;
+            } finally {
+                // 트랜잭션 안에서 시작된 비동기 작업이 끝난 뒤에 실행되면 큐를 거치도록 한다
+                context.active = false;
+            }
+        });
+    }
+    
+    // 현재 비동기 흐름이 열린 트랜잭션 안에 있는지
+    inTransaction() {
+        const context = this.transactionContext.getStore();
+        return Boolean(context && context.active);
+    }
+    
+    // 연결을 쓰는 작업을 큐 끝에 붙인다 (앞 작업이 실패해도 큐는 계속 진행된다)
+    enqueue(task) {
+        const pending = this.transactionQueue.then(task);
+        this.transactionQueue = pending.catch(() => {});
+        return pending;
+    }
+    
+    // === 아이템 카탈로그 관련 메서드 ===
+    async upsertItem(item) {
+        const sql = `
+            INSERT INTO items (id, name, category, grade, required_license, size, weight, base_price, origin_district)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET 
+                name = excluded.name,
+                category = excluded.category,
+                grade = excluded.grade,
+                required_license = excluded.required_license,
+                size = excluded.size,
+                weight = excluded.weight,
+                base_price = excluded.base_price,
+                origin_district = excluded.origin_district,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+        return await this.db.run(sql, [
+            item.id,
+            item.name,
+            item.category,
+            item.grade,
+            item.requiredLicense,
+            item.size,
+            item.weight,
+            item.basePrice,
+            item.district
+        ]);
+    }
+    
+    async getItemById(itemId) {
+        const sql = `SELECT * FROM items WHERE id = ?`;
+        return await this.db.get(sql, [itemId]);
+    }
+    
+    async getItemByName(name) {
+        const sql = `SELECT * FROM items WHERE name = ?`;
+        return await this.db.get(sql, [name]);
+    }
+    
+    async getAllItems() {
+        const sql = `SELECT * FROM items ORDER BY category, required_license, id`;
+        return await this.db.all(sql);
+    }
+    
+    async getItemCategories() {
+        const rows = await this.db.all('SELECT DISTINCT category FROM items ORDER BY category');
+        return rows.map(row => row.category);
+    }
+    
+    // 판매 목록의 품목군을 기본 스프레드로 사들이는 매입 목록 (매입 목록을 지정하지 않은 상인용)
+    async getDefaultMerchantBuys(itemIds) {
+        if (itemIds.length === 0) return [];
+        
+        const placeholders = itemIds.map(() => '?').join(', ');
+        const rows = await this.db.all(
+            `SELECT DISTINCT category FROM items WHERE id IN (${placeholders}) ORDER BY category`,
+            itemIds
+        );
+        const spread = getConfig().trading.defaultBuySpread;
+        return rows.map(row => ({ category: row.category, spread }));
     }
     
     // === 사용자 관련 메서드 ===
@@ -242,6 +363,90 @@ class DatabaseManager {
         return await this.db.get(sql, [id]);
     }
     
+    async updateUserRole(userId, role) {
+        const sql = `UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+        return await this.db.run(sql, [role, userId]);
+    }
+    
+    async banUser(userId, reason) {
+        const sql = `
+            UPDATE users SET banned_at = CURRENT_TIMESTAMP, ban_reason = ?, updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ?
+        `;
+        return await this.db.run(sql, [reason, userId]);
+    }
+    
+    async unbanUser(userId) {
+        const sql = `
+            UPDATE users SET banned_at = NULL, ban_reason = NULL, updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ?
+        `;
+        return await this.db.run(sql, [userId]);
+    }
+    
+    // === 세션 / 리프레시 토큰 관련 메서드 ===
+    async createAuthSession(sessionId, userId) {
+        const sql = `INSERT INTO auth_sessions (id, user_id) VALUES (?, ?)`;
+        return await this.db.run(sql, [sessionId, userId]);
+    }
+    
+    async getAuthSession(sessionId) {
+        const sql = `SELECT * FROM auth_sessions WHERE id = ?`;
+        return await this.db.get(sql, [sessionId]);
+    }
+    
+    async revokeAuthSession(sessionId) {
+        await this.db.run(`
+            UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP 
+            WHERE session_id = ? AND revoked_at IS NULL
+        `, [sessionId]);
+        return await this.db.run(`
+            UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP 
+            WHERE id = ? AND revoked_at IS NULL
+        `, [sessionId]);
+    }
+    
+    async revokeUserSessions(userId) {
+        await this.db.run(`
+            UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP 
+            WHERE user_id = ? AND revoked_at IS NULL
+        `, [userId]);
+        return await this.db.run(`
+            UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP 
+            WHERE user_id = ? AND revoked_at IS NULL
+        `, [userId]);
+    }
+    
+    async createRefreshToken(tokenData) {
+        const sql = `
+            INSERT INTO refresh_tokens (id, session_id, user_id, token_hash, expires_at)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+        return await this.db.run(sql, [
+            tokenData.id,
+            tokenData.sessionId,
+            tokenData.userId,
+            tokenData.tokenHash,
+            tokenData.expiresAt
+        ]);
+    }
+    
+    async getRefreshTokenByHash(tokenHash) {
+        const sql = `SELECT * FROM refresh_tokens WHERE token_hash = ?`;
+        return await this.db.get(sql, [tokenHash]);
+    }
+    
+    // 아직 사용되지 않은 토큰만 교체 처리 (동시 재사용 방지)
+    async rotateRefreshToken(tokenId, replacedBy) {
+        const sql = `
+            UPDATE refresh_tokens 
+            SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ? 
+            WHERE id = ? AND revoked_at IS NULL
+        `;
+        const result = await this.db.run(sql, [replacedBy, tokenId]);
+        return result.changes > 0;
+    }
+    
     // === 플레이어 관련 메서드 ===
     async createPlayer(playerData) {
         const sql = `
@@ -269,6 +474,19 @@ class DatabaseManager {
         return await this.db.get(sql, [userId]);
     }
     
+    async getPlayerById(playerId) {
+        const sql = `SELECT * FROM players WHERE id = ?`;
+        return await this.db.get(sql, [playerId]);
+    }
+    
+    async getPlayersWithLocation() {
+        const sql = `
+            SELECT * FROM players 
+            WHERE location_lat IS NOT NULL AND location_lng IS NOT NULL
+        `;
+        return await this.db.all(sql);
+    }
+    
     async updatePlayer(playerId, updates) {
         const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
         const values = Object.values(updates);
@@ -278,75 +496,326 @@ class DatabaseManager {
         return await this.db.run(sql, values);
     }
     
-    async updatePlayerLocation(playerId, latitude, longitude) {
+    // 잔액이 음수가 되지 않을 때만 적용되는 조건부 금액 변경
+    async adjustPlayerMoney(playerId, delta) {
         const sql = `
             UPDATE players 
-            SET location_lat = ?, location_lng = ?, last_active = CURRENT_TIMESTAMP 
+            SET money = money + ? 
+            WHERE id = ? AND money + ? >= 0
+        `;
+        const result = await this.db.run(sql, [delta, playerId, delta]);
+        if (result.changes === 0) {
+            throw new Error('돈이 부족합니다.');
+        }
+        return result;
+    }
+    
+    async adjustPlayerTrust(playerId, delta) {
+        const sql = `
+            UPDATE players 
+            SET trust_points = MAX(0, trust_points + ?) 
+            WHERE id = ?
+        `;
+        return await this.db.run(sql, [delta, playerId]);
+    }
+    
+    async updatePlayerLocation(playerId, latitude, longitude, updatedAt = new Date().toISOString()) {
+        const sql = `
+            UPDATE players 
+            SET location_lat = ?, location_lng = ?, location_updated_at = ?, last_active = CURRENT_TIMESTAMP 
             WHERE id = ?
         `;
-        return await this.db.run(sql, [latitude, longitude, playerId]);
+        return await this.db.run(sql, [latitude, longitude, updatedAt, playerId]);
+    }
+    
+    async updatePlayerLocationSharing(playerId, mode) {
+        const sql = `UPDATE players SET location_sharing = ? WHERE id = ?`;
+        return await this.db.run(sql, [mode, playerId]);
+    }
+    
+    async createMovementFlag(flagData) {
+        const sql = `
+            INSERT INTO movement_flags (player_id, from_lat, from_lng, to_lat, to_lng, distance_meters, elapsed_seconds, speed_kmh)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.db.run(sql, [
+            flagData.playerId,
+            flagData.fromLat,
+            flagData.fromLng,
+            flagData.toLat,
+            flagData.toLng,
+            flagData.distanceMeters,
+            flagData.elapsedSeconds,
+            flagData.speedKmh
+        ]);
+    }
+    
+    async getMovementFlags(playerId, limit = 20) {
+        const sql = `
+            SELECT * FROM movement_flags 
+            WHERE player_id = ? 
+            ORDER BY created_at DESC 
+            LIMIT ?
+        `;
+        return await this.db.all(sql, [playerId, limit]);
     }
     
     // === 인벤토리 관련 메서드 ===
+    // inventory는 (플레이어, 아이템)당 하나의 스택이고 실제 보유분은 inventory_lots에 단가와 함께 기록된다.
+    // 스택의 quantity는 lot 수량의 합으로 항상 같은 트랜잭션에서 함께 갱신한다.
     async getPlayerInventory(playerId) {
-        const sql = `SELECT * FROM inventory WHERE player_id = ? ORDER BY acquired_at DESC`;
+        const sql = `
+            SELECT i.*, COALESCE(SUM(l.quantity * l.unit_cost), 0) as cost_basis 
+            FROM inventory i 
+            LEFT JOIN inventory_lots l ON l.inventory_id = i.id 
+            WHERE i.player_id = ? 
+            GROUP BY i.id 
+            ORDER BY i.acquired_at DESC
+        `;
         return await this.db.all(sql, [playerId]);
     }
     
-    async addItemToInventory(inventoryData) {
+    async getPlayerInventoryLots(playerId) {
         const sql = `
-            INSERT INTO inventory (id, player_id, item_name, item_category, base_price, current_price, item_grade, required_license, quantity)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            SELECT l.* 
+            FROM inventory_lots l 
+            JOIN inventory i ON i.id = l.inventory_id 
+            WHERE i.player_id = ? 
+            ORDER BY l.acquired_at ASC, l.rowid ASC
         `;
-        return await this.db.run(sql, [
-            inventoryData.id,
-            inventoryData.playerId,
-            inventoryData.itemName,
-            inventoryData.itemCategory,
-            inventoryData.basePrice,
-            inventoryData.currentPrice,
-            inventoryData.itemGrade,
-            inventoryData.requiredLicense,
-            inventoryData.quantity || 1
-        ]);
+        return await this.db.all(sql, [playerId]);
     }
     
-    async removeItemFromInventory(itemId, quantity = 1) {
-        // 현재 수량 확인
-        const item = await this.db.get('SELECT * FROM inventory WHERE id = ?', [itemId]);
-        if (!item) {
-            throw new Error('아이템을 찾을 수 없습니다.');
-        }
+    // 오래된 lot부터 (FIFO)
+    async getInventoryLots(inventoryId) {
+        const sql = `SELECT * FROM inventory_lots WHERE inventory_id = ? ORDER BY acquired_at ASC, rowid ASC`;
+        return await this.db.all(sql, [inventoryId]);
+    }
+    
+    // 같은 아이템의 스택이 있으면 수량을 더하고, 들어온 수량은 새 lot으로 기록한다. 스택 ID를 반환한다.
+    // unitCost: 개당 취득 원가, source: 'buy' | 'trade' | 'auction' | 'escrow_return' | 'reward' | 'grant'
+    async addItemToInventory(inventoryData) {
+        const quantity = inventoryData.quantity || 1;
         
-        if (item.quantity <= quantity) {
-            // 수량이 부족하거나 같으면 완전 삭제
-            const sql = `DELETE FROM inventory WHERE id = ?`;
-            return await this.db.run(sql, [itemId]);
-        } else {
-            // 수량만 감소
-            const sql = `UPDATE inventory SET quantity = quantity - ? WHERE id = ?`;
-            return await this.db.run(sql, [quantity, itemId]);
-        }
+        return await this.transaction(async () => {
+            await this.db.run(`
+                INSERT INTO inventory (id, player_id, item_id, item_name, item_category, base_price, item_grade, required_license, quantity)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (player_id, item_id) DO UPDATE SET quantity = quantity + excluded.quantity
+            `, [
+                inventoryData.id,
+                inventoryData.playerId,
+                inventoryData.itemId,
+                inventoryData.itemName,
+                inventoryData.itemCategory,
+                inventoryData.basePrice,
+                inventoryData.itemGrade,
+                inventoryData.requiredLicense,
+                quantity
+            ]);
+            
+            const stack = await this.db.get(
+                'SELECT id FROM inventory WHERE player_id = ? AND item_id = ?',
+                [inventoryData.playerId, inventoryData.itemId]
+            );
+            
+            await this.db.run(`
+                INSERT INTO inventory_lots (id, inventory_id, quantity, unit_cost, source)
+                VALUES (?, ?, ?, ?, ?)
+            `, [uuidv4(), stack.id, quantity, inventoryData.unitCost, inventoryData.source]);
+            
+            return stack.id;
+        });
+    }
+    
+    async getInventoryItem(itemId, playerId) {
+        const sql = `SELECT * FROM inventory WHERE id = ? AND player_id = ?`;
+        return await this.db.get(sql, [itemId, playerId]);
+    }
+    
+    async getInventoryLot(lotId, inventoryId) {
+        const sql = `SELECT * FROM inventory_lots WHERE id = ? AND inventory_id = ?`;
+        return await this.db.get(sql, [lotId, inventoryId]);
+    }
+    
+    // 인벤토리 용량은 스택 수가 아니라 전체 보유 수량으로 센다
+    async getInventoryCount(playerId) {
+        const sql = `SELECT COALESCE(SUM(quantity), 0) as count FROM inventory WHERE player_id = ?`;
+        const result = await this.db.get(sql, [playerId]);
+        return result.count;
+    }
+    
+    // lotId가 없으면 오래된 lot부터(FIFO) 꺼낸다. 꺼낸 수량의 취득 원가 합계를 반환한다.
+    async removeItemFromInventory(itemId, quantity = 1, lotId = null) {
+        return await this.transaction(async () => {
+            const item = await this.db.get('SELECT * FROM inventory WHERE id = ?', [itemId]);
+            if (!item) {
+                throw new Error('아이템을 찾을 수 없습니다.');
+            }
+            
+            const lots = (await this.getInventoryLots(itemId)).filter(lot => !lotId || lot.id === lotId);
+            const available = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+            if (available < quantity) {
+                throw new Error('보유 수량이 부족합니다.');
+            }
+            
+            let remaining = quantity;
+            let costBasis = 0;
+            
+            for (const lot of lots) {
+                if (remaining === 0) break;
+                
+                const taken = Math.min(lot.quantity, remaining);
+                if (taken === lot.quantity) {
+                    await this.db.run('DELETE FROM inventory_lots WHERE id = ?', [lot.id]);
+                } else {
+                    await this.db.run('UPDATE inventory_lots SET quantity = quantity - ? WHERE id = ?', [taken, lot.id]);
+                }
+                
+                remaining -= taken;
+                costBasis += taken * lot.unit_cost;
+            }
+            
+            if (item.quantity <= quantity) {
+                await this.db.run('DELETE FROM inventory WHERE id = ?', [itemId]);
+            } else {
+                await this.db.run('UPDATE inventory SET quantity = quantity - ? WHERE id = ?', [quantity, itemId]);
+            }
+            
+            return costBasis;
+        });
     }
     
     // === 시장 가격 관련 메서드 ===
-    async getAllMarketPrices() {
-        const sql = `SELECT * FROM market_prices ORDER BY item_name`;
-        return await this.db.all(sql);
+    // 카탈로그에 있는 아이템의 시세만 품목군과 함께 조회
+    async getAllMarketPrices(district = null) {
+        const sql = `
+            SELECT mp.*, i.category as item_category, i.grade as item_grade 
+            FROM market_prices mp 
+            JOIN items i ON i.id = mp.item_id 
+            ${district ? 'WHERE mp.district = ?' : ''} 
+            ORDER BY mp.item_name, mp.district
+        `;
+        return await this.db.all(sql, district ? [district] : []);
     }
     
-    async updateMarketPrice(itemName, newPrice) {
+    async getMarketDistricts() {
+        const sql = `SELECT DISTINCT district FROM market_prices ORDER BY district`;
+        const rows = await this.db.all(sql);
+        return rows.map(row => row.district);
+    }
+    
+    // 가격 변경은 항상 시세 이력에도 기록된다 (source: market, event, seed ...)
+    async updateMarketPrice(itemId, district, newPrice, demandMultiplier = null, source = 'market') {
         const sql = `
             UPDATE market_prices 
-            SET current_price = ?, last_updated = CURRENT_TIMESTAMP 
-            WHERE item_name = ?
+            SET current_price = ?, 
+                demand_multiplier = COALESCE(?, demand_multiplier), 
+                last_updated = CURRENT_TIMESTAMP 
+            WHERE item_id = ? AND district = ?
         `;
-        return await this.db.run(sql, [newPrice, itemName]);
+        const result = await this.db.run(sql, [newPrice, demandMultiplier, itemId, district]);
+        if (result.changes > 0) {
+            await this.addPriceHistory(itemId, district, newPrice, source);
+        }
+        return result;
     }
     
-    async getMarketPrice(itemName) {
-        const sql = `SELECT * FROM market_prices WHERE item_name = ?`;
-        return await this.db.get(sql, [itemName]);
+    // === 시세 이력 관련 메서드 ===
+    async addPriceHistory(itemId, district, price, source = 'market') {
+        const sql = `
+            INSERT INTO price_history (item_id, item_name, district, price, source)
+            SELECT id, name, ?, ?, ? FROM items WHERE id = ?
+        `;
+        return await this.db.run(sql, [district, price, source, itemId]);
+    }
+    
+    // 구간별 OHLC 캔들 (bucketFormat: strftime 형식 또는 'week')
+    async getPriceCandles(itemId, district, bucketFormat, from, to) {
+        const bucketExpr = bucketFormat === 'week'
+            ? `date(recorded_at, '-6 days', 'weekday 1')`
+            : `strftime('${bucketFormat}', recorded_at)`;
+        
+        const sql = `
+            SELECT bucket, 
+                   MAX(open_price) as open, 
+                   MAX(price) as high, 
+                   MIN(price) as low, 
+                   MAX(close_price) as close, 
+                   COUNT(*) as samples
+            FROM (
+                SELECT bucket, price,
+                       FIRST_VALUE(price) OVER (PARTITION BY bucket ORDER BY recorded_at, id) as open_price,
+                       FIRST_VALUE(price) OVER (PARTITION BY bucket ORDER BY recorded_at DESC, id DESC) as close_price
+                FROM (
+                    SELECT id, price, recorded_at, ${bucketExpr} as bucket
+                    FROM price_history 
+                    WHERE item_id = ? AND district = ? AND recorded_at >= ? AND recorded_at <= ?
+                )
+            )
+            GROUP BY bucket 
+            ORDER BY bucket
+        `;
+        return await this.db.all(sql, [itemId, district, from, to]);
+    }
+    
+    // 기준 시점 이전의 이력을 구간별 시가/고가/저가/종가 지점만 남기고 삭제
+    async downsamplePriceHistory(before, bucketFormat) {
+        const sql = `
+            DELETE FROM price_history 
+            WHERE recorded_at < ? AND id NOT IN (
+                SELECT id FROM (
+                    SELECT id,
+                           ROW_NUMBER() OVER (PARTITION BY item_name, district, bucket ORDER BY recorded_at, id) as rn_open,
+                           ROW_NUMBER() OVER (PARTITION BY item_name, district, bucket ORDER BY recorded_at DESC, id DESC) as rn_close,
+                           ROW_NUMBER() OVER (PARTITION BY item_name, district, bucket ORDER BY price, id) as rn_low,
+                           ROW_NUMBER() OVER (PARTITION BY item_name, district, bucket ORDER BY price DESC, id) as rn_high
+                    FROM (
+                        SELECT id, item_name, district, price, recorded_at, 
+                               strftime('${bucketFormat}', recorded_at) as bucket
+                        FROM price_history 
+                        WHERE recorded_at < ?
+                    )
+                )
+                WHERE rn_open = 1 OR rn_close = 1 OR rn_low = 1 OR rn_high = 1
+            )
+        `;
+        return await this.db.run(sql, [before, before]);
+    }
+    
+    // 거래량 집계 커서로 쓰는 마지막 거래 행 번호
+    async getLatestTradeCursor() {
+        const result = await this.db.get('SELECT COALESCE(MAX(rowid), 0) as cursor FROM trades');
+        return result.cursor;
+    }
+    
+    // 커서 구간(afterCursor < rowid <= upToCursor)에 해당 지역에서 상인과 거래한 수량 (구매/판매 합계)
+    // 거래 당시의 지역(trades.district)으로 센다 (상인이 옮겨 가도 지난 거래량은 따라가지 않는다)
+    async getTradeVolumeBetween(itemId, district, afterCursor, upToCursor) {
+        const sql = `
+            SELECT 
+                COALESCE(SUM(CASE WHEN trade_type = 'buy' THEN quantity ELSE 0 END), 0) as buy_volume,
+                COALESCE(SUM(CASE WHEN trade_type = 'sell' THEN quantity ELSE 0 END), 0) as sell_volume
+            FROM trades 
+            WHERE item_id = ? AND district = ? AND rowid > ? AND rowid <= ?
+        `;
+        return await this.db.get(sql, [itemId, district, afterCursor, upToCursor]);
+    }
+    
+    async updateMarketTradeCursor(itemId, district, cursor) {
+        const sql = `UPDATE market_prices SET trade_cursor = ? WHERE item_id = ? AND district = ?`;
+        return await this.db.run(sql, [cursor, itemId, district]);
+    }
+    
+    async getMarketPrice(itemId, district) {
+        const sql = `SELECT * FROM market_prices WHERE item_id = ? AND district = ?`;
+        return await this.db.get(sql, [itemId, district]);
+    }
+    
+    // 가장 싼 지역(보통 산지)의 시세
+    async getCheapestMarketPrice(itemId) {
+        const sql = `SELECT * FROM market_prices WHERE item_id = ? ORDER BY base_price ASC LIMIT 1`;
+        return await this.db.get(sql, [itemId]);
     }
     
     // === 상인 관련 메서드 ===
@@ -360,36 +829,220 @@ class DatabaseManager {
         return await this.db.get(sql, [merchantId]);
     }
     
-    async findNearbyMerchants(latitude, longitude, radiusKm = 1) {
-        // Haversine 공식을 사용한 거리 계산
+    async createMerchant(merchantData) {
+        const sql = `
+            INSERT INTO merchants (id, name, type, district, location_lat, location_lng, required_license, trust_level, inventory, buy_categories, geohash)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.db.run(sql, [
+            merchantData.id,
+            merchantData.name,
+            merchantData.type,
+            merchantData.district,
+            merchantData.lat,
+            merchantData.lng,
+            merchantData.requiredLicense,
+            merchantData.trustLevel ?? 0,
+            JSON.stringify(merchantData.items),
+            JSON.stringify(merchantData.buys),
+            encodeGeohash(merchantData.lat, merchantData.lng)
+        ]);
+    }
+    
+    async updateMerchant(merchantId, updates) {
+        const columns = {
+            name: 'name',
+            type: 'type',
+            district: 'district',
+            lat: 'location_lat',
+            lng: 'location_lng',
+            requiredLicense: 'required_license',
+            trustLevel: 'trust_level'
+        };
+        
+        const fields = Object.keys(updates).filter(key => columns[key] && updates[key] !== undefined);
+        const sets = fields.map(key => `${columns[key]} = ?`);
+        const values = fields.map(key => updates[key]);
+        
+        if (updates.items) {
+            sets.push('inventory = ?');
+            values.push(JSON.stringify(updates.items));
+        }
+        
+        if (updates.buys) {
+            sets.push('buy_categories = ?');
+            values.push(JSON.stringify(updates.buys));
+        }
+        
+        if (sets.length === 0) {
+            return { changes: 0 };
+        }
+        
+        await this.db.run(`UPDATE merchants SET ${sets.join(', ')} WHERE id = ?`, [...values, merchantId]);
+        
+        // 좌표가 바뀌면 geohash도 다시 계산
+        const merchant = await this.getMerchantById(merchantId);
+        return await this.db.run('UPDATE merchants SET geohash = ? WHERE id = ?', 
+            [encodeGeohash(merchant.location_lat, merchant.location_lng), merchantId]);
+    }
+    
+    // 재고, 관계 기록은 FK CASCADE로 함께 삭제된다 (거래 기록은 남는다)
+    async deleteMerchant(merchantId) {
+        return await this.db.run('DELETE FROM merchants WHERE id = ?', [merchantId]);
+    }
+    
+    // === 상인 재고 관련 메서드 ===
+    // 카탈로그에 없는 아이템 ID는 추가되지 않는다
+    async addMerchantStockItem(merchantId, itemId, quantity, requiredRelationship = 0) {
+        const sql = `
+            INSERT OR IGNORE INTO merchant_stock (merchant_id, item_id, item_name, quantity, max_quantity, required_relationship)
+            SELECT ?, id, name, ?, ?, ? FROM items WHERE id = ?
+        `;
+        return await this.db.run(sql, [merchantId, quantity, quantity, requiredRelationship, itemId]);
+    }
+    
+    // 판매 목록에서 빠진 일반 재고 정리 (관계 등급 전용 희귀 재고는 유지)
+    async removeMerchantStockExcept(merchantId, itemIds) {
+        const placeholders = itemIds.map(() => '?').join(', ');
+        const sql = `
+            DELETE FROM merchant_stock 
+            WHERE merchant_id = ? AND required_relationship = 0
+            ${itemIds.length > 0 ? `AND item_id NOT IN (${placeholders})` : ''}
+        `;
+        return await this.db.run(sql, [merchantId, ...itemIds]);
+    }
+    
+    async getMerchantStock(merchantId) {
+        const sql = `SELECT * FROM merchant_stock WHERE merchant_id = ? ORDER BY item_name`;
+        return await this.db.all(sql, [merchantId]);
+    }
+    
+    async getMerchantStockItem(merchantId, itemId) {
+        const sql = `SELECT * FROM merchant_stock WHERE merchant_id = ? AND item_id = ?`;
+        return await this.db.get(sql, [merchantId, itemId]);
+    }
+    
+    async getAllMerchantStock() {
+        const sql = `SELECT * FROM merchant_stock ORDER BY merchant_id, item_name`;
+        return await this.db.all(sql);
+    }
+    
+    // 재고가 충분할 때만 차감되는 조건부 업데이트
+    async decrementMerchantStock(merchantId, itemId, quantity) {
+        const sql = `
+            UPDATE merchant_stock 
+            SET quantity = quantity - ? 
+            WHERE merchant_id = ? AND item_id = ? AND quantity >= ?
+        `;
+        const result = await this.db.run(sql, [quantity, merchantId, itemId, quantity]);
+        return result.changes > 0;
+    }
+    
+    async restockMerchant(merchantId, amount, restockedAt) {
+        await this.db.run(`
+            UPDATE merchant_stock 
+            SET quantity = MIN(max_quantity, quantity + ?) 
+            WHERE merchant_id = ?
+        `, [amount, merchantId]);
+        return await this.db.run(`
+            UPDATE merchants SET last_restocked = ? WHERE id = ?
+        `, [restockedAt, merchantId]);
+    }
+    
+    // === 상인 관계 / 신뢰도 관련 메서드 ===
+    async getRelationship(playerId, merchantId) {
+        const sql = `SELECT * FROM merchant_relationships WHERE player_id = ? AND merchant_id = ?`;
+        return await this.db.get(sql, [playerId, merchantId]);
+    }
+    
+    async getPlayerRelationships(playerId) {
         const sql = `
-            SELECT *, 
-                   (6371 * acos(cos(radians(?)) * cos(radians(location_lat)) * 
-                   cos(radians(location_lng) - radians(?)) + 
-                   sin(radians(?)) * sin(radians(location_lat)))) AS distance 
-            FROM merchants 
-            HAVING distance < ? 
-            ORDER BY distance
+            SELECT r.*, m.name as merchant_name, m.district as merchant_district 
+            FROM merchant_relationships r 
+            JOIN merchants m ON m.id = r.merchant_id 
+            WHERE r.player_id = ? 
+            ORDER BY r.trust DESC
         `;
-        return await this.db.all(sql, [latitude, longitude, latitude, radiusKm]);
+        return await this.db.all(sql, [playerId]);
+    }
+    
+    async recordRelationshipTrade(playerId, merchantId, trustDelta, tradeValue) {
+        const sql = `
+            INSERT INTO merchant_relationships (player_id, merchant_id, trust, trade_count, total_trade_value, last_trade_at)
+            VALUES (?, ?, ?, 1, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT (player_id, merchant_id) DO UPDATE SET 
+                trust = trust + excluded.trust,
+                trade_count = trade_count + 1,
+                total_trade_value = total_trade_value + excluded.total_trade_value,
+                last_trade_at = CURRENT_TIMESTAMP
+        `;
+        return await this.db.run(sql, [playerId, merchantId, trustDelta, tradeValue]);
+    }
+    
+    // 게임 하루(since: KST 자정, SQL 타임스탬프) 동안 거래로 적립된 신뢰도 합계
+    async getTrustAwardedToday(playerId, merchantId, since) {
+        const sql = `
+            SELECT 
+                COALESCE(SUM(global_points), 0) as global_points,
+                COALESCE(SUM(CASE WHEN merchant_id = ? THEN relationship_points ELSE 0 END), 0) as relationship_points
+            FROM trust_awards 
+            WHERE player_id = ? AND created_at >= ?
+        `;
+        return await this.db.get(sql, [merchantId, playerId, since]);
+    }
+    
+    async createTrustAward(awardData) {
+        const sql = `
+            INSERT INTO trust_awards (player_id, merchant_id, global_points, relationship_points, trade_value)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+        return await this.db.run(sql, [
+            awardData.playerId,
+            awardData.merchantId,
+            awardData.globalPoints,
+            awardData.relationshipPoints,
+            awardData.tradeValue
+        ]);
+    }
+    
+    // geohash 셀(접두어) 목록에 속한 상인 조회 - 거리 필터링은 호출하는 쪽에서 한다
+    async getMerchantsInGeohashCells(cells) {
+        if (cells.length === 0) {
+            return [];
+        }
+        
+        // 접두어 범위 검색은 geohash 인덱스를 탄다 ('{'는 base32 문자 'z' 다음 문자)
+        const conditions = cells.map(() => '(geohash >= ? AND geohash < ?)').join(' OR ');
+        const params = cells.flatMap(cell => [cell, `${cell}{`]);
+        
+        const sql = `SELECT * FROM merchants WHERE ${conditions}`;
+        return await this.db.all(sql, params);
     }
     
     // === 거래 기록 관련 메서드 ===
+    // price는 거래 총액. 판매 기록에는 판매자의 취득 원가(costBasis)와 실현 손익(price - costBasis)을 함께 남긴다.
     async createTradeRecord(tradeData) {
+        const quantity = tradeData.quantity || 1;
+        const costBasis = tradeData.costBasis ?? null;
         const sql = `
-            INSERT INTO trades (id, seller_id, buyer_id, merchant_id, item_name, item_category, price, quantity, trade_type, location_lat, location_lng)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO trades (id, seller_id, buyer_id, merchant_id, item_id, item_name, item_category, price, unit_price, quantity, trade_type, district, cost_basis, realized_profit, location_lat, location_lng)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         return await this.db.run(sql, [
             tradeData.id,
             tradeData.sellerId,
             tradeData.buyerId,
             tradeData.merchantId,
+            tradeData.itemId,
             tradeData.itemName,
             tradeData.itemCategory,
             tradeData.price,
-            tradeData.quantity || 1,
+            Math.round(tradeData.price / quantity),
+            quantity,
             tradeData.tradeType,
+            tradeData.district || null,
+            costBasis,
+            costBasis === null ? null : tradeData.price - costBasis,
             tradeData.locationLat,
             tradeData.locationLng
         ]);
@@ -421,6 +1074,494 @@ class DatabaseManager {
         };
     }
     
+    // === 플레이어 간 거래 제안 관련 메서드 ===
+    async createTradeOffer(offerData) {
+        const sql = `
+            INSERT INTO trade_offers (id, seller_id, buyer_id, item_id, item_name, item_category, base_price, item_price, item_grade, required_license, quantity, price, location_lat, location_lng, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.db.run(sql, [
+            offerData.id,
+            offerData.sellerId,
+            offerData.buyerId,
+            offerData.itemId,
+            offerData.itemName,
+            offerData.itemCategory,
+            offerData.basePrice,
+            offerData.itemPrice,
+            offerData.itemGrade,
+            offerData.requiredLicense,
+            offerData.quantity,
+            offerData.price,
+            offerData.locationLat,
+            offerData.locationLng,
+            offerData.expiresAt
+        ]);
+    }
+    
+    async getTradeOfferById(offerId) {
+        const sql = `SELECT * FROM trade_offers WHERE id = ?`;
+        return await this.db.get(sql, [offerId]);
+    }
+    
+    async getTradeOffersForPlayer(playerId, status = 'pending') {
+        const sql = `
+            SELECT * FROM trade_offers 
+            WHERE (seller_id = ? OR buyer_id = ?) AND status = ? 
+            ORDER BY created_at DESC
+        `;
+        return await this.db.all(sql, [playerId, playerId, status]);
+    }
+    
+    async getOpenTradeOffers() {
+        const sql = `
+            SELECT * FROM trade_offers 
+            WHERE buyer_id IS NULL AND status = 'pending' AND expires_at > ? 
+            ORDER BY created_at DESC
+        `;
+        return await this.db.all(sql, [new Date().toISOString()]);
+    }
+    
+    async getExpiredTradeOffers() {
+        const sql = `
+            SELECT * FROM trade_offers 
+            WHERE status = 'pending' AND expires_at <= ?
+        `;
+        return await this.db.all(sql, [new Date().toISOString()]);
+    }
+    
+    // 대기 중인 제안만 상태를 바꿀 수 있다 (중복 정산 방지)
+    async resolveTradeOffer(offerId, status, buyerId = null) {
+        const sql = `
+            UPDATE trade_offers 
+            SET status = ?, buyer_id = COALESCE(buyer_id, ?), resolved_at = CURRENT_TIMESTAMP 
+            WHERE id = ? AND status = 'pending'
+        `;
+        const result = await this.db.run(sql, [status, buyerId, offerId]);
+        if (result.changes === 0) {
+            throw new Error('이미 처리된 거래 제안입니다.');
+        }
+        return result;
+    }
+    
+    // === 경매 관련 메서드 ===
+    async createAuction(auctionData) {
+        const sql = `
+            INSERT INTO auctions (id, seller_id, item_id, item_name, item_category, item_grade, required_license, base_price, quantity, cost_basis, district, starting_price, buyout_price, ends_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.db.run(sql, [
+            auctionData.id,
+            auctionData.sellerId,
+            auctionData.itemId,
+            auctionData.itemName,
+            auctionData.itemCategory,
+            auctionData.itemGrade,
+            auctionData.requiredLicense,
+            auctionData.basePrice,
+            auctionData.quantity,
+            auctionData.costBasis,
+            auctionData.district,
+            auctionData.startingPrice,
+            auctionData.buyoutPrice,
+            auctionData.endsAt
+        ]);
+    }
+    
+    async getAuctionById(auctionId) {
+        const sql = `SELECT * FROM auctions WHERE id = ?`;
+        return await this.db.get(sql, [auctionId]);
+    }
+    
+    // 진행 중인 경매 (마감이 가까운 순). category / district가 null이면 전체
+    async getActiveAuctions({ category = null, district = null, limit = 20, offset = 0 } = {}) {
+        const sql = `
+            SELECT * FROM auctions 
+            WHERE status = 'active' AND ends_at > ? 
+              AND (? IS NULL OR item_category = ?) 
+              AND (? IS NULL OR district = ?) 
+            ORDER BY ends_at ASC 
+            LIMIT ? OFFSET ?
+        `;
+        return await this.db.all(sql, [new Date().toISOString(), category, category, district, district, limit, offset]);
+    }
+    
+    async countActiveAuctionsBySeller(sellerId) {
+        const sql = `SELECT COUNT(*) as count FROM auctions WHERE seller_id = ? AND status = 'active'`;
+        const row = await this.db.get(sql, [sellerId]);
+        return row.count;
+    }
+    
+    // 내가 출품했거나 입찰한 진행 중인 경매
+    async getAuctionsForPlayer(playerId) {
+        const sql = `
+            SELECT * FROM auctions 
+            WHERE status = 'active' 
+              AND (seller_id = ? OR id IN (SELECT auction_id FROM auction_bids WHERE bidder_id = ?)) 
+            ORDER BY ends_at ASC
+        `;
+        return await this.db.all(sql, [playerId, playerId]);
+    }
+    
+    async getExpiredAuctions(now = new Date()) {
+        const sql = `
+            SELECT * FROM auctions 
+            WHERE status = 'active' AND ends_at <= ?
+        `;
+        return await this.db.all(sql, [now.toISOString()]);
+    }
+    
+    // 최고 입찰 갱신. 조회 이후 다른 입찰이 먼저 들어왔으면 실패한다
+    async updateAuctionBid(auctionId, previousBid, bidderId, amount) {
+        const sql = `
+            UPDATE auctions 
+            SET current_bid = ?, current_bidder_id = ?, bid_count = bid_count + 1 
+            WHERE id = ? AND status = 'active' AND COALESCE(current_bid, 0) = ?
+        `;
+        const result = await this.db.run(sql, [amount, bidderId, auctionId, previousBid || 0]);
+        if (result.changes === 0) {
+            throw new Error('다른 입찰이 먼저 처리되었습니다. 다시 시도해주세요.');
+        }
+        return result;
+    }
+    
+    async createAuctionBid(bidData) {
+        const sql = `
+            INSERT INTO auction_bids (id, auction_id, bidder_id, amount)
+            VALUES (?, ?, ?, ?)
+        `;
+        return await this.db.run(sql, [bidData.id, bidData.auctionId, bidData.bidderId, bidData.amount]);
+    }
+    
+    // status: 'active' → 'outbid'(상위 입찰로 환불) | 'won'(낙찰)
+    async updateActiveAuctionBid(auctionId, status) {
+        const sql = `UPDATE auction_bids SET status = ? WHERE auction_id = ? AND status = 'active'`;
+        return await this.db.run(sql, [status, auctionId]);
+    }
+    
+    async getAuctionBids(auctionId) {
+        const sql = `SELECT * FROM auction_bids WHERE auction_id = ? ORDER BY amount DESC, created_at DESC`;
+        return await this.db.all(sql, [auctionId]);
+    }
+    
+    // 진행 중인 경매만 상태를 바꿀 수 있다 (중복 정산 방지)
+    async resolveAuction(auctionId, status) {
+        const sql = `
+            UPDATE auctions 
+            SET status = ?, settled_at = CURRENT_TIMESTAMP 
+            WHERE id = ? AND status = 'active'
+        `;
+        const result = await this.db.run(sql, [status, auctionId]);
+        if (result.changes === 0) {
+            throw new Error('이미 종료된 경매입니다.');
+        }
+        return result;
+    }
+    
+    // === 시장 이벤트 관련 메서드 ===
+    async createMarketEvent(eventData) {
+        const sql = `
+            INSERT INTO market_events (
+                id, type, name, description, district, category, 
+                price_multiplier, starts_at, ends_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        return await this.db.run(sql, [
+            eventData.id,
+            eventData.type,
+            eventData.name,
+            eventData.description,
+            eventData.district,
+            eventData.category,
+            eventData.priceMultiplier,
+            eventData.startsAt,
+            eventData.endsAt
+        ]);
+    }
+    
+    async getMarketEventById(eventId) {
+        return await this.db.get('SELECT * FROM market_events WHERE id = ?', [eventId]);
+    }
+    
+    // 상태와 무관하게 기간으로 판단하므로 스케줄러가 늦게 돌아도 만료된 배율은 적용되지 않는다
+    async getActiveMarketEvents(now) {
+        const sql = `
+            SELECT * FROM market_events 
+            WHERE status != 'cancelled' AND starts_at <= ? AND ends_at > ? 
+            ORDER BY starts_at ASC
+        `;
+        return await this.db.all(sql, [now, now]);
+    }
+    
+    async getUpcomingMarketEvents(now, until) {
+        const sql = `
+            SELECT * FROM market_events 
+            WHERE status = 'scheduled' AND starts_at > ? AND starts_at <= ? 
+            ORDER BY starts_at ASC
+        `;
+        return await this.db.all(sql, [now, until]);
+    }
+    
+    async getScheduledMarketEventCount() {
+        const result = await this.db.get(
+            "SELECT COUNT(*) as count FROM market_events WHERE status = 'scheduled'"
+        );
+        return result.count;
+    }
+    
+    // 상태 전환이 필요한 이벤트: 시작 시각이 지난 예정 이벤트, 종료 시각이 지난 진행 중 이벤트
+    async getMarketEventsToStart(now) {
+        return await this.db.all(
+            "SELECT * FROM market_events WHERE status = 'scheduled' AND starts_at <= ? ORDER BY starts_at ASC",
+            [now]
+        );
+    }
+    
+    async getMarketEventsToEnd(now) {
+        return await this.db.all(
+            "SELECT * FROM market_events WHERE status = 'active' AND ends_at <= ? ORDER BY ends_at ASC",
+            [now]
+        );
+    }
+    
+    // 기대한 상태일 때만 전환 (동시에 처리되는 것을 막는다)
+    async updateMarketEventStatus(eventId, fromStatus, toStatus) {
+        const result = await this.db.run(
+            'UPDATE market_events SET status = ? WHERE id = ? AND status = ?',
+            [toStatus, eventId, fromStatus]
+        );
+        return result.changes > 0;
+    }
+    
+    // === 관리자 관련 메서드 ===
+    async createAdminAction(actionData) {
+        const sql = `
+            INSERT INTO admin_actions (admin_user_id, action, target_type, target_id, reason, details)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `;
+        return await this.db.run(sql, [
+            actionData.adminUserId,
+            actionData.action,
+            actionData.targetType,
+            actionData.targetId,
+            actionData.reason,
+            actionData.details ? JSON.stringify(actionData.details) : null
+        ]);
+    }
+    
+    async getAdminActions(targetType, targetId, limit = 50) {
+        const sql = `
+            SELECT * FROM admin_actions 
+            WHERE target_type = ? AND target_id = ? 
+            ORDER BY created_at DESC, id DESC 
+            LIMIT ?
+        `;
+        return await this.db.all(sql, [targetType, targetId, limit]);
+    }
+    
+    // 플레이어 이름 또는 이메일로 검색
+    async searchPlayers(query, limit = 20) {
+        const sql = `
+            SELECT p.*, u.email, u.role, u.banned_at, u.ban_reason 
+            FROM players p 
+            JOIN users u ON u.id = p.user_id 
+            WHERE p.name LIKE ? OR u.email LIKE ? 
+            ORDER BY p.created_at DESC 
+            LIMIT ?
+        `;
+        const pattern = `%${query}%`;
+        return await this.db.all(sql, [pattern, pattern, limit]);
+    }
+    
+    // === 일일 출석 보상 관련 메서드 ===
+    async getLatestDailyClaim(playerId) {
+        const sql = `
+            SELECT * FROM daily_claims 
+            WHERE player_id = ? 
+            ORDER BY claim_date DESC 
+            LIMIT 1
+        `;
+        return await this.db.get(sql, [playerId]);
+    }
+    
+    async createDailyClaim(claimData) {
+        const sql = `
+            INSERT INTO daily_claims (
+                player_id, claim_date, streak, reward_day, 
+                money_reward, trust_reward, item_name, item_quantity
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        
+        try {
+            return await this.db.run(sql, [
+                claimData.playerId,
+                claimData.claimDate,
+                claimData.streak,
+                claimData.rewardDay,
+                claimData.moneyReward,
+                claimData.trustReward,
+                claimData.itemName,
+                claimData.itemQuantity
+            ]);
+        } catch (error) {
+            // (player_id, claim_date) 중복 = 같은 날 이미 수령
+            if (error.code === 'SQLITE_CONSTRAINT') {
+                throw new Error('오늘의 출석 보상을 이미 받았습니다.');
+            }
+            throw error;
+        }
+    }
+    
+    // === 리더보드 / 통계 관련 메서드 ===
+    // 인벤토리는 아이템의 지역별 현재 시세 평균(원 단위 반올림)으로 평가한다 (포트폴리오 평가액과 같은 기준)
+    // 대기 중인 거래 제안과 진행 중인 경매에 에스크로된 아이템도 판매자의 인벤토리로 센다
+    // 진행 중인 경매의 최고 입찰 금액은 입찰자의 에스크로 자산이다
+    rankedPlayersSql(type) {
+        const { orderBy, score } = LEADERBOARD_TYPES[type];
+        return `
+            WITH item_values AS (
+                SELECT item_id, AVG(current_price) as price 
+                FROM market_prices 
+                GROUP BY item_id
+            ),
+            held_items AS (
+                SELECT player_id, item_id, quantity, base_price, 0 as escrowed FROM inventory
+                UNION ALL
+                SELECT seller_id, item_id, quantity, base_price, 1 FROM trade_offers WHERE status = 'pending'
+                UNION ALL
+                SELECT seller_id, item_id, quantity, base_price, 1 FROM auctions WHERE status = 'active'
+            ),
+            inventory_values AS (
+                SELECT h.player_id, 
+                       SUM(h.quantity * CAST(ROUND(COALESCE(v.price, h.base_price)) AS INTEGER)) as value,
+                       SUM(CASE WHEN h.escrowed THEN h.quantity * CAST(ROUND(COALESCE(v.price, h.base_price)) AS INTEGER) ELSE 0 END) as escrowed_value
+                FROM held_items h 
+                LEFT JOIN item_values v ON v.item_id = h.item_id 
+                GROUP BY h.player_id
+            ),
+            escrow_values AS (
+                SELECT current_bidder_id as player_id, SUM(current_bid) as value 
+                FROM auctions 
+                WHERE status = 'active' AND current_bidder_id IS NOT NULL 
+                GROUP BY current_bidder_id
+            ),
+            player_values AS (
+                SELECT p.id, p.name, p.money, p.trust_points, p.current_license, p.created_at,
+                       COALESCE(iv.value, 0) as inventory_value,
+                       COALESCE(iv.escrowed_value, 0) as escrowed_item_value,
+                       COALESCE(ev.value, 0) as escrowed_money,
+                       p.money + COALESCE(ev.value, 0) + COALESCE(iv.value, 0) as net_worth
+                FROM players p 
+                LEFT JOIN inventory_values iv ON iv.player_id = p.id
+                LEFT JOIN escrow_values ev ON ev.player_id = p.id
+            ),
+            ranked AS (
+                SELECT *, ${score} as score,
+                       ROW_NUMBER() OVER (ORDER BY ${orderBy}, created_at ASC) as rank
+                FROM player_values
+            )
+        `;
+    }
+    
+    async getLeaderboard(type, limit = 10) {
+        const sql = `${this.rankedPlayersSql(type)} SELECT * FROM ranked ORDER BY rank LIMIT ?`;
+        return await this.db.all(sql, [limit]);
+    }
+    
+    async getPlayerRank(type, playerId) {
+        const sql = `${this.rankedPlayersSql(type)} SELECT * FROM ranked WHERE id = ?`;
+        return await this.db.get(sql, [playerId]);
+    }
+    
+    async getPlayerCount() {
+        const result = await this.db.get('SELECT COUNT(*) as count FROM players');
+        return result.count;
+    }
+    
+    async createLeaderboardSnapshot(type, takenAt) {
+        const sql = `
+            ${this.rankedPlayersSql(type)}
+            INSERT INTO leaderboard_snapshots (type, player_id, rank, score, taken_at)
+            SELECT ?, id, rank, score, ? FROM ranked
+        `;
+        return await this.db.run(sql, [type, takenAt]);
+    }
+    
+    // 가장 최근 스냅샷에서의 순위
+    async getLatestSnapshotRanks(type, playerIds) {
+        const placeholders = playerIds.map(() => '?').join(', ');
+        const sql = `
+            SELECT player_id, rank, score, taken_at 
+            FROM leaderboard_snapshots 
+            WHERE type = ? 
+              AND taken_at = (SELECT MAX(taken_at) FROM leaderboard_snapshots WHERE type = ?)
+              AND player_id IN (${placeholders})
+        `;
+        return await this.db.all(sql, [type, type, ...playerIds]);
+    }
+    
+    async deleteLeaderboardSnapshotsBefore(before) {
+        const sql = `DELETE FROM leaderboard_snapshots WHERE taken_at < ?`;
+        return await this.db.run(sql, [before]);
+    }
+    
+    async getPlayerTradeStats(playerId) {
+        const sql = `
+            SELECT 
+                COUNT(*) as total_trades,
+                COALESCE(SUM(price), 0) as total_trade_value,
+                COALESCE(SUM(CASE WHEN buyer_id = ? THEN 1 ELSE 0 END), 0) as buy_count,
+                COALESCE(SUM(CASE WHEN seller_id = ? THEN 1 ELSE 0 END), 0) as sell_count,
+                COALESCE(SUM(CASE WHEN buyer_id = ? THEN price ELSE 0 END), 0) as total_spent,
+                COALESCE(SUM(CASE WHEN seller_id = ? THEN price ELSE 0 END), 0) as total_earned
+            FROM trades 
+            WHERE seller_id = ? OR buyer_id = ?
+        `;
+        return await this.db.get(sql, [playerId, playerId, playerId, playerId, playerId, playerId]);
+    }
+    
+    async getFavoriteItem(playerId) {
+        const sql = `
+            SELECT item_name, SUM(quantity) as total_quantity 
+            FROM trades 
+            WHERE seller_id = ? OR buyer_id = ? 
+            GROUP BY item_name 
+            ORDER BY total_quantity DESC, item_name 
+            LIMIT 1
+        `;
+        return await this.db.get(sql, [playerId, playerId]);
+    }
+    
+    // 실현 손익 집계 (since 이후 판매, groupBy: null | 'item' | 'district')
+    // 원가 기록이 없는 마이그레이션 이전 판매는 제외한다. 플레이어 간 거래는 district가 NULL이다.
+    async getRealizedProfit(playerId, since = null, groupBy = null) {
+        const groupColumns = {
+            item: 'item_id, item_name',
+            district: 'district'
+        };
+        const columns = groupBy ? `${groupColumns[groupBy]},` : '';
+        const sql = `
+            SELECT ${columns}
+                COUNT(*) as trade_count,
+                COALESCE(SUM(quantity), 0) as quantity,
+                COALESCE(SUM(price), 0) as revenue,
+                COALESCE(SUM(cost_basis), 0) as cost_basis,
+                COALESCE(SUM(realized_profit), 0) as realized_profit
+            FROM trades 
+            WHERE seller_id = ? AND realized_profit IS NOT NULL AND (? IS NULL OR timestamp >= ?)
+            ${groupBy ? `GROUP BY ${groupColumns[groupBy]} ORDER BY realized_profit DESC` : ''}
+        `;
+        return groupBy
+            ? await this.db.all(sql, [playerId, since, since])
+            : await this.db.get(sql, [playerId, since, since]);
+    }
+    
+    // 아이템별 지역 시세 평균 (리더보드의 인벤토리 평가와 같은 기준)
+    async getAverageMarketPrices() {
+        const sql = `SELECT item_id, AVG(current_price) as price FROM market_prices GROUP BY item_id`;
+        return await this.db.all(sql);
+    }
+    
     // === 유틸리티 메서드 ===
     async close() {
         if (this.db) {
@@ -429,7 +1570,7 @@ class DatabaseManager {
                     if (err) {
                         console.error('데이터베이스 종료 오류:', err);
                     } else {
-                        console.log('✅ 데이터베이스 연결 종료');
+                        logger.info('✅ 데이터베이스 연결 종료');
                     }
                     resolve();
                 });
@@ -449,7 +1590,7 @@ class DatabaseManager {
             stats.users = userCount.count;
             stats.players = playerCount.count;
             stats.trades = tradeCount.count;
-            
+        
         } catch (error) {
             console.error('통계 조회 오류:', error);
         }
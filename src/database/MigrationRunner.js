@@ -0,0 +1,132 @@
+// src/database/MigrationRunner.js - 버전별 스키마 마이그레이션
+// migrations/ 디렉토리의 'NNN_설명.js' 파일을 번호 순서대로 한 번씩 적용하고 schema_migrations에 기록한다.
+// 각 파일은 up(db)를 export하며 db는 DatabaseManager 인스턴스다.
+// 적용된 마이그레이션 파일은 수정하지 말고 변경 사항은 항상 새 파일로 추가한다.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+// DB 스키마가 코드가 아는 최신 버전보다 높을 때 (구버전 서버로 롤백한 경우 등)
+export class SchemaVersionError extends Error {
+    constructor(databaseVersion, codeVersion) {
+        super(`데이터베이스 스키마 버전(${databaseVersion})이 서버 코드가 지원하는 버전(${codeVersion})보다 높습니다. 최신 서버로 실행해주세요.`);
+        this.name = 'SchemaVersionError';
+        this.databaseVersion = databaseVersion;
+        this.codeVersion = codeVersion;
+    }
+}
+
+class MigrationRunner {
+    constructor(database, migrationsDir = DEFAULT_MIGRATIONS_DIR) {
+        this.db = database;
+        this.migrationsDir = migrationsDir;
+        this.migrations = null;
+    }
+    
+    async loadMigrations() {
+        if (this.migrations) {
+            return this.migrations;
+        }
+        
+        const migrations = [];
+        for (const file of fs.readdirSync(this.migrationsDir).sort()) {
+            const match = MIGRATION_FILE_PATTERN.exec(file);
+            if (!match) continue;
+            
+            const version = parseInt(match[1], 10);
+            if (migrations.some(migration => migration.version === version)) {
+                throw new Error(`마이그레이션 버전이 중복되었습니다: ${file}`);
+            }
+            
+            const module = await import(pathToFileURL(path.join(this.migrationsDir, file)).href);
+            if (typeof module.up !== 'function') {
+                throw new Error(`마이그레이션에 up 함수가 없습니다: ${file}`);
+            }
+            
+            migrations.push({ version, name: match[2], file, up: module.up });
+        }
+        
+        this.migrations = migrations.sort((a, b) => a.version - b.version);
+        return this.migrations;
+    }
+    
+    async ensureTable() {
+        await this.db.run(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+    
+    async getAppliedMigrations() {
+        await this.ensureTable();
+        return await this.db.all('SELECT * FROM schema_migrations ORDER BY version');
+    }
+    
+    // 적용된 / 대기 중인 마이그레이션 목록
+    async getStatus() {
+        const migrations = await this.loadMigrations();
+        const applied = await this.getAppliedMigrations();
+        const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+        const knownVersions = new Set(migrations.map(migration => migration.version));
+        
+        return {
+            currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+            migrations: migrations.map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                appliedAt: appliedByVersion.get(migration.version)?.applied_at || null
+            })),
+            // DB에는 기록되어 있지만 코드에는 없는 마이그레이션
+            unknown: applied
+                .filter(row => !knownVersions.has(row.version))
+                .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }))
+        };
+    }
+    
+    async assertCompatible() {
+        const status = await this.getStatus();
+        if (status.currentVersion > status.latestVersion) {
+            throw new SchemaVersionError(status.currentVersion, status.latestVersion);
+        }
+        return status;
+    }
+    
+    // 대기 중인 마이그레이션을 하나씩 트랜잭션으로 적용 (실패하면 해당 마이그레이션만 롤백하고 중단)
+    async migrate() {
+        const status = await this.assertCompatible();
+        const pending = (await this.loadMigrations())
+            .filter(migration => !status.migrations.find(entry => entry.version === migration.version).appliedAt);
+        
+        for (const migration of pending) {
+            logger.info(`🔄 마이그레이션 적용 중: ${migration.file}`);
+            
+            try {
+                await this.db.transaction(async () => {
+                    await migration.up(this.db);
+                    await this.db.run(
+                        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                        [migration.version, migration.name]
+                    );
+                });
+            } catch (error) {
+                error.message = `마이그레이션 실패 (${migration.file}): ${error.message}`;
+                throw error;
+            }
+        }
+        
+        return pending.map(migration => ({ version: migration.version, name: migration.name }));
+    }
+}
+
+export default MigrationRunner;
@@ -0,0 +1,352 @@
+// 001_initial_schema.js - 마이그레이션 도입 이전의 전체 스키마
+// 기존 DB 파일은 이미 일부 테이블이 있으므로 없는 테이블/컬럼만 보충한다.
+import { logger } from '../../utils/logger.js';
+
+// 아이템 카탈로그(items.id)를 참조하는 테이블
+const ITEM_REFERENCE_TABLES = ['inventory', 'trades', 'trade_offers', 'market_prices', 'merchant_stock', 'price_history'];
+
+const ensureColumn = async (db, table, column, definition) => {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+};
+
+// 아이템 단일 키였던 기존 market_prices 테이블을 (아이템, 지역) 키로 변환
+const upgradeMarketPricesTable = async (db) => {
+    const columns = await db.all('PRAGMA table_info(market_prices)');
+    const primaryKeys = columns.filter(column => column.pk > 0);
+    
+    if (primaryKeys.length !== 1 || primaryKeys[0].name !== 'item_name') {
+        return;
+    }
+    
+    logger.info('🔄 market_prices 테이블을 지역별 가격 구조로 변환 중...');
+    
+    await db.run('ALTER TABLE market_prices RENAME TO market_prices_legacy');
+    await db.run(`
+        CREATE TABLE market_prices (
+            item_name TEXT NOT NULL,
+            district TEXT NOT NULL,
+            base_price INTEGER NOT NULL,
+            current_price INTEGER NOT NULL,
+            demand_multiplier REAL DEFAULT 1.0,
+            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (item_name, district)
+        )
+    `);
+    await db.run(`
+        INSERT INTO market_prices (item_name, district, base_price, current_price, demand_multiplier, last_updated)
+        SELECT item_name, district, base_price, current_price, demand_multiplier, last_updated 
+        FROM market_prices_legacy
+    `);
+    await db.run('DROP TABLE market_prices_legacy');
+};
+
+export const up = async (db) => {
+    const tables = [
+        // 사용자 계정 테이블
+        `CREATE TABLE IF NOT EXISTS users (
+            id TEXT PRIMARY KEY,
+            email TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'player',
+            banned_at DATETIME,
+            ban_reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        
+        // 로그인 세션 테이블 (리프레시 토큰 패밀리 단위)
+        `CREATE TABLE IF NOT EXISTS auth_sessions (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            revoked_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`,
+        
+        // 리프레시 토큰 테이블 (토큰 원문 대신 해시만 저장)
+        `CREATE TABLE IF NOT EXISTS refresh_tokens (
+            id TEXT PRIMARY KEY,
+            session_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            revoked_at DATETIME,
+            replaced_by TEXT,
+            FOREIGN KEY (session_id) REFERENCES auth_sessions (id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`,
+        
+        // 플레이어 게임 데이터 테이블
+        `CREATE TABLE IF NOT EXISTS players (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            money INTEGER DEFAULT 50000,
+            trust_points INTEGER DEFAULT 0,
+            current_license INTEGER DEFAULT 1,
+            max_inventory_size INTEGER DEFAULT 5,
+            location_lat REAL,
+            location_lng REAL,
+            location_updated_at TEXT,
+            location_sharing TEXT DEFAULT 'exact',
+            last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )`,
+        
+        // 비정상 이동(순간이동) 감지 기록
+        `CREATE TABLE IF NOT EXISTS movement_flags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            player_id TEXT NOT NULL,
+            from_lat REAL NOT NULL,
+            from_lng REAL NOT NULL,
+            to_lat REAL NOT NULL,
+            to_lng REAL NOT NULL,
+            distance_meters REAL NOT NULL,
+            elapsed_seconds REAL NOT NULL,
+            speed_kmh REAL NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
+        )`,
+        
+        // 아이템 카탈로그 (id는 고정 키, name은 표시용 이름)
+        `CREATE TABLE IF NOT EXISTS items (
+            id TEXT PRIMARY KEY,
+            name TEXT UNIQUE NOT NULL,
+            category TEXT NOT NULL,
+            grade TEXT NOT NULL,
+            required_license INTEGER NOT NULL DEFAULT 1,
+            size INTEGER NOT NULL DEFAULT 1,
+            weight REAL NOT NULL DEFAULT 0,
+            base_price INTEGER NOT NULL,
+            origin_district TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        
+        // 인벤토리 테이블 (item_name 등은 획득 시점의 카탈로그 값)
+        `CREATE TABLE IF NOT EXISTS inventory (
+            id TEXT PRIMARY KEY,
+            player_id TEXT NOT NULL,
+            item_id TEXT REFERENCES items (id),
+            item_name TEXT NOT NULL,
+            item_category TEXT NOT NULL,
+            base_price INTEGER NOT NULL,
+            current_price INTEGER NOT NULL,
+            item_grade TEXT NOT NULL,
+            required_license INTEGER NOT NULL,
+            quantity INTEGER DEFAULT 1,
+            acquired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
+        )`,
+        
+        // 거래 기록 테이블
+        `CREATE TABLE IF NOT EXISTS trades (
+            id TEXT PRIMARY KEY,
+            seller_id TEXT,
+            buyer_id TEXT,
+            merchant_id TEXT,
+            item_id TEXT REFERENCES items (id),
+            item_name TEXT NOT NULL,
+            item_category TEXT NOT NULL,
+            price INTEGER NOT NULL,
+            quantity INTEGER DEFAULT 1,
+            trade_type TEXT NOT NULL,
+            location_lat REAL,
+            location_lng REAL,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (seller_id) REFERENCES players (id),
+            FOREIGN KEY (buyer_id) REFERENCES players (id)
+        )`,
+        
+        // 플레이어 간 거래 제안 테이블 (아이템은 제안 기간 동안 에스크로)
+        `CREATE TABLE IF NOT EXISTS trade_offers (
+            id TEXT PRIMARY KEY,
+            seller_id TEXT NOT NULL,
+            buyer_id TEXT,
+            item_id TEXT REFERENCES items (id),
+            item_name TEXT NOT NULL,
+            item_category TEXT NOT NULL,
+            base_price INTEGER NOT NULL,
+            item_price INTEGER NOT NULL,
+            item_grade TEXT NOT NULL,
+            required_license INTEGER NOT NULL,
+            quantity INTEGER NOT NULL,
+            price INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            location_lat REAL,
+            location_lng REAL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            resolved_at DATETIME,
+            FOREIGN KEY (seller_id) REFERENCES players (id) ON DELETE CASCADE,
+            FOREIGN KEY (buyer_id) REFERENCES players (id) ON DELETE CASCADE
+        )`,
+        
+        // 시장 가격 테이블 (아이템 × 지역별 가격)
+        `CREATE TABLE IF NOT EXISTS market_prices (
+            item_name TEXT NOT NULL,
+            item_id TEXT REFERENCES items (id),
+            district TEXT NOT NULL,
+            base_price INTEGER NOT NULL,
+            current_price INTEGER NOT NULL,
+            demand_multiplier REAL DEFAULT 1.0,
+            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (item_name, district)
+        )`,
+        
+        // 상인 재고 테이블 (상인 × 아이템별 수량)
+        `CREATE TABLE IF NOT EXISTS merchant_stock (
+            merchant_id TEXT NOT NULL,
+            item_name TEXT NOT NULL,
+            item_id TEXT REFERENCES items (id),
+            quantity INTEGER NOT NULL DEFAULT 0,
+            max_quantity INTEGER NOT NULL,
+            required_relationship INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (merchant_id, item_name),
+            FOREIGN KEY (merchant_id) REFERENCES merchants (id) ON DELETE CASCADE
+        )`,
+        
+        // 플레이어-상인 관계 테이블
+        `CREATE TABLE IF NOT EXISTS merchant_relationships (
+            player_id TEXT NOT NULL,
+            merchant_id TEXT NOT NULL,
+            trust INTEGER NOT NULL DEFAULT 0,
+            trade_count INTEGER NOT NULL DEFAULT 0,
+            total_trade_value INTEGER NOT NULL DEFAULT 0,
+            last_trade_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (player_id, merchant_id),
+            FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE,
+            FOREIGN KEY (merchant_id) REFERENCES merchants (id) ON DELETE CASCADE
+        )`,
+        
+        // 거래로 적립된 신뢰도 기록 (일일 상한 계산용)
+        `CREATE TABLE IF NOT EXISTS trust_awards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            player_id TEXT NOT NULL,
+            merchant_id TEXT,
+            global_points INTEGER NOT NULL DEFAULT 0,
+            relationship_points INTEGER NOT NULL DEFAULT 0,
+            trade_value INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
+        )`,
+        
+        // 일일 출석 보상 수령 기록 (claim_date는 KST 기준 날짜)
+        `CREATE TABLE IF NOT EXISTS daily_claims (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            player_id TEXT NOT NULL,
+            claim_date TEXT NOT NULL,
+            streak INTEGER NOT NULL,
+            reward_day INTEGER NOT NULL,
+            money_reward INTEGER NOT NULL DEFAULT 0,
+            trust_reward INTEGER NOT NULL DEFAULT 0,
+            item_name TEXT,
+            item_quantity INTEGER NOT NULL DEFAULT 0,
+            claimed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (player_id, claim_date),
+            FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
+        )`,
+        
+        // 시장 이벤트 (기간 동안만 시세에 배율을 적용)
+        `CREATE TABLE IF NOT EXISTS market_events (
+            id TEXT PRIMARY KEY,
+            type TEXT NOT NULL,
+            name TEXT NOT NULL,
+            description TEXT,
+            district TEXT,
+            category TEXT,
+            price_multiplier REAL NOT NULL,
+            starts_at DATETIME NOT NULL,
+            ends_at DATETIME NOT NULL,
+            status TEXT NOT NULL DEFAULT 'scheduled',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        
+        `CREATE INDEX IF NOT EXISTS idx_market_events_window 
+            ON market_events (status, starts_at, ends_at)`,
+        
+        // 관리자 작업 감사 로그
+        `CREATE TABLE IF NOT EXISTS admin_actions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            admin_user_id TEXT NOT NULL,
+            action TEXT NOT NULL,
+            target_type TEXT NOT NULL,
+            target_id TEXT NOT NULL,
+            reason TEXT,
+            details TEXT, -- JSON 문자열
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        
+        `CREATE INDEX IF NOT EXISTS idx_admin_actions_target 
+            ON admin_actions (target_type, target_id, created_at)`,
+        
+        // 리더보드 순위 스냅샷 (순위 변동 계산용)
+        `CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            player_id TEXT NOT NULL,
+            rank INTEGER NOT NULL,
+            score REAL NOT NULL,
+            taken_at DATETIME NOT NULL,
+            FOREIGN KEY (player_id) REFERENCES players (id) ON DELETE CASCADE
+        )`,
+        
+        `CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_type 
+            ON leaderboard_snapshots (type, taken_at, player_id)`,
+        
+        // 시세 이력 테이블 (가격이 바뀔 때마다 추가만 한다)
+        `CREATE TABLE IF NOT EXISTS price_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            item_name TEXT NOT NULL,
+            item_id TEXT REFERENCES items (id),
+            district TEXT NOT NULL,
+            price INTEGER NOT NULL,
+            source TEXT NOT NULL DEFAULT 'market',
+            recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        
+        `CREATE INDEX IF NOT EXISTS idx_price_history_item 
+            ON price_history (item_name, district, recorded_at)`,
+        
+        // 상인 테이블
+        `CREATE TABLE IF NOT EXISTS merchants (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            type TEXT NOT NULL,
+            district TEXT NOT NULL,
+            location_lat REAL NOT NULL,
+            location_lng REAL NOT NULL,
+            required_license INTEGER NOT NULL,
+            inventory TEXT, -- JSON 문자열
+            trust_level INTEGER DEFAULT 0,
+            last_restocked DATETIME DEFAULT CURRENT_TIMESTAMP,
+            geohash TEXT
+        )`
+    ];
+    
+    await upgradeMarketPricesTable(db);
+    
+    for (const sql of tables) {
+        await db.run(sql);
+    }
+    
+    // 기존 DB 파일에 없는 컬럼 추가
+    await ensureColumn(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'player'");
+    await ensureColumn(db, 'users', 'banned_at', 'DATETIME');
+    await ensureColumn(db, 'users', 'ban_reason', 'TEXT');
+    await ensureColumn(db, 'merchants', 'geohash', 'TEXT');
+    await ensureColumn(db, 'players', 'location_updated_at', 'TEXT');
+    await ensureColumn(db, 'players', 'location_sharing', "TEXT DEFAULT 'exact'");
+    await ensureColumn(db, 'merchant_stock', 'required_relationship', 'INTEGER NOT NULL DEFAULT 0');
+    for (const table of ITEM_REFERENCE_TABLES) {
+        await ensureColumn(db, table, 'item_id', 'TEXT REFERENCES items (id)');
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_merchants_geohash ON merchants (geohash)');
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_market_prices_item ON market_prices (item_id, district)');
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_merchant_stock_item ON merchant_stock (merchant_id, item_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_price_history_item_id ON price_history (item_id, district, recorded_at)');
+};
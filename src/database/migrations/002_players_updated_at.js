@@ -0,0 +1,7 @@
+// 002_players_updated_at.js - players.updated_at 컬럼 추가
+// updatePlayer가 이 컬럼을 갱신하지만 테이블에는 없어서 라이센스 업그레이드가 항상 실패했다.
+// ALTER TABLE로는 CURRENT_TIMESTAMP 기본값을 줄 수 없으므로 기존 행은 마지막 활동 시각으로 채운다.
+export const up = async (db) => {
+    await db.run('ALTER TABLE players ADD COLUMN updated_at DATETIME');
+    await db.run('UPDATE players SET updated_at = COALESCE(last_active, created_at)');
+};
@@ -0,0 +1,60 @@
+// 003_inventory_lots.js - 인벤토리를 아이템별 스택 + 구매 단위(lot)로 변경
+// inventory는 (플레이어, 아이템)당 한 행(스택)만 두고, 수량 / 단가 / 획득 시각은 inventory_lots에 기록한다.
+// 기존 행은 각각 하나의 lot이 되고(단가는 current_price), 같은 아이템의 행은 가장 먼저 얻은 행으로 합친다.
+// current_price는 구매 단가였을 뿐이므로 lot으로 옮긴 뒤 삭제한다.
+import { v4 as uuidv4 } from 'uuid';
+
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE inventory_lots (
+            id TEXT PRIMARY KEY,
+            inventory_id TEXT NOT NULL REFERENCES inventory (id) ON DELETE CASCADE,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            unit_cost INTEGER NOT NULL,
+            source TEXT NOT NULL,
+            acquired_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.run('CREATE INDEX idx_inventory_lots_stack ON inventory_lots (inventory_id, acquired_at)');
+    
+    await db.run('DELETE FROM inventory WHERE quantity <= 0');
+    
+    const rows = await db.all('SELECT id, quantity, current_price, acquired_at FROM inventory');
+    for (const row of rows) {
+        await db.run(
+            `INSERT INTO inventory_lots (id, inventory_id, quantity, unit_cost, source, acquired_at)
+             VALUES (?, ?, ?, ?, 'legacy', COALESCE(?, CURRENT_TIMESTAMP))`,
+            [uuidv4(), row.id, row.quantity, row.current_price, row.acquired_at]
+        );
+    }
+    
+    // 아이템 ID가 아직 연결되지 않은 오래된 행은 이름으로 묶는다
+    const duplicates = await db.all(`
+        SELECT player_id, COALESCE(item_id, item_name) as item_key
+        FROM inventory
+        GROUP BY player_id, item_key
+        HAVING COUNT(*) > 1
+    `);
+    
+    for (const { player_id: playerId, item_key: itemKey } of duplicates) {
+        const stacks = await db.all(
+            `SELECT id, quantity, acquired_at FROM inventory
+             WHERE player_id = ? AND COALESCE(item_id, item_name) = ?
+             ORDER BY acquired_at ASC, rowid ASC`,
+            [playerId, itemKey]
+        );
+        const [keeper, ...merged] = stacks;
+        const mergedIds = merged.map(stack => stack.id);
+        const placeholders = mergedIds.map(() => '?').join(', ');
+        
+        await db.run(`UPDATE inventory_lots SET inventory_id = ? WHERE inventory_id IN (${placeholders})`, [keeper.id, ...mergedIds]);
+        await db.run(`DELETE FROM inventory WHERE id IN (${placeholders})`, mergedIds);
+        await db.run(
+            'UPDATE inventory SET quantity = ? WHERE id = ?',
+            [stacks.reduce((sum, stack) => sum + stack.quantity, 0), keeper.id]
+        );
+    }
+    
+    await db.run('ALTER TABLE inventory DROP COLUMN current_price');
+    await db.run('CREATE UNIQUE INDEX idx_inventory_player_item ON inventory (player_id, item_id)');
+};
@@ -0,0 +1,18 @@
+// 004_trade_profit.js - 거래 기록에 개당 가격, 거래 지역, 판매 원가 / 실현 손익 추가
+// price는 거래 총액이다. unit_price는 기존 행도 price / quantity로 채운다.
+// 판매(sell, p2p)의 cost_basis / realized_profit은 이후 거래부터 기록되고, 이전 판매 기록은 NULL로 남는다.
+export const up = async (db) => {
+    await db.run('ALTER TABLE trades ADD COLUMN unit_price INTEGER');
+    await db.run('ALTER TABLE trades ADD COLUMN district TEXT');
+    await db.run('ALTER TABLE trades ADD COLUMN cost_basis INTEGER');
+    await db.run('ALTER TABLE trades ADD COLUMN realized_profit INTEGER');
+    
+    await db.run('UPDATE trades SET unit_price = CAST(ROUND(price * 1.0 / MAX(quantity, 1)) AS INTEGER)');
+    await db.run(`
+        UPDATE trades 
+        SET district = (SELECT m.district FROM merchants m WHERE m.id = trades.merchant_id) 
+        WHERE merchant_id IS NOT NULL
+    `);
+    
+    await db.run('CREATE INDEX idx_trades_seller_time ON trades (seller_id, timestamp)');
+};
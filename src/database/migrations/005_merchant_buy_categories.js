@@ -0,0 +1,7 @@
+// 005_merchant_buy_categories.js - 상인별 매입 품목군 / 스프레드 컬럼 추가
+// buy_categories는 [{ category, spread }] JSON이다. 상인은 여기에 있는 품목군만 사들이고,
+// 매입가는 상인 지역의 시세에서 spread만큼 뺀 값이다.
+// 기존 행은 비워 두고 시작 시 createInitialData가 시드 설정(또는 판매 품목군)으로 채운다.
+export const up = async (db) => {
+    await db.run('ALTER TABLE merchants ADD COLUMN buy_categories TEXT');
+};
@@ -0,0 +1,46 @@
+// 006_auctions.js - 플레이어 경매장
+// auctions: 출품된 아이템은 경매 기간 동안 판매자 인벤토리에서 빠져 에스크로된다 (cost_basis: 빠진 묶음의 취득 원가 합계).
+// auction_bids: 입찰 금액은 입찰자 잔액에서 바로 빠지고, 더 높은 입찰이 들어오면 돌려준다.
+// 시각(ends_at)은 trade_offers.expires_at과 같이 ISO 문자열로 저장한다.
+export const up = async (db) => {
+    await db.run(`
+        CREATE TABLE auctions (
+            id TEXT PRIMARY KEY,
+            seller_id TEXT NOT NULL REFERENCES players (id),
+            item_id TEXT NOT NULL REFERENCES items (id),
+            item_name TEXT NOT NULL,
+            item_category TEXT NOT NULL,
+            item_grade TEXT,
+            required_license INTEGER,
+            base_price INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK (quantity > 0),
+            cost_basis INTEGER NOT NULL,
+            district TEXT NOT NULL,
+            starting_price INTEGER NOT NULL CHECK (starting_price > 0),
+            buyout_price INTEGER,
+            current_bid INTEGER,
+            current_bidder_id TEXT REFERENCES players (id),
+            bid_count INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'active',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            ends_at DATETIME NOT NULL,
+            settled_at DATETIME
+        )
+    `);
+    await db.run('CREATE INDEX idx_auctions_status_ends ON auctions (status, ends_at)');
+    await db.run('CREATE INDEX idx_auctions_browse ON auctions (status, item_category, district)');
+    await db.run('CREATE INDEX idx_auctions_seller ON auctions (seller_id, status)');
+    
+    await db.run(`
+        CREATE TABLE auction_bids (
+            id TEXT PRIMARY KEY,
+            auction_id TEXT NOT NULL REFERENCES auctions (id) ON DELETE CASCADE,
+            bidder_id TEXT NOT NULL REFERENCES players (id),
+            amount INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'active',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await db.run('CREATE INDEX idx_auction_bids_auction ON auction_bids (auction_id, amount)');
+    await db.run('CREATE INDEX idx_auction_bids_bidder ON auction_bids (bidder_id, status)');
+};
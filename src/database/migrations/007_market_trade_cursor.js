@@ -0,0 +1,11 @@
+// 007_market_trade_cursor.js - 시세별 거래량 집계 커서 추가
+// trade_cursor는 마지막 가격 갱신에서 집계한 trades.rowid의 최댓값이다.
+// 초 단위 last_updated와 비교하면 갱신과 같은 초에 들어온 거래가 빠지므로 행 번호로 이어서 센다.
+// 기존 행은 마지막 갱신 이전(같은 초 제외) 거래까지 집계한 것으로 본다.
+export const up = async (db) => {
+    await db.run('ALTER TABLE market_prices ADD COLUMN trade_cursor INTEGER NOT NULL DEFAULT 0');
+    await db.run(`
+        UPDATE market_prices 
+        SET trade_cursor = COALESCE((SELECT MAX(rowid) FROM trades WHERE trades.timestamp < market_prices.last_updated), 0)
+    `);
+};
@@ -1,7 +1,16 @@
 import jwt from 'jsonwebtoken';
 
+// 토큰 검증: 서명 확인 후 세션이 폐기되지 않았는지 AuthService로 확인
+const verifyRequestToken = async (req, token) => {
+    const authService = req.app.locals.authService;
+    if (authService) {
+        return await authService.verifyAccessToken(token);
+    }
+    return jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+};
+
 // JWT 토큰 검증 미들웨어
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
     
@@ -12,30 +21,69 @@ export const authenticateToken = (req, res, next) => {
         });
     }
     
-    jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-        if (err) {
+    let user;
+    try {
+        user = await verifyRequestToken(req, token);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                error: '만료된 토큰입니다.',
+                code: 'TOKEN_EXPIRED'
+            });
+        }
+        
+        if (err.name === 'AccountBannedError') {
             return res.status(403).json({
                 success: false,
-                error: '유효하지 않은 토큰입니다.'
+                error: '이용이 정지된 계정입니다.',
+                reason: err.reason,
+                code: 'ACCOUNT_BANNED'
             });
         }
         
-        req.user = user; // { userId: "uuid" }
-        next();
-    });
+        if (err.name === 'SessionError') {
+            return res.status(401).json({
+                success: false,
+                error: '로그아웃된 세션입니다. 다시 로그인해주세요.',
+                code: 'SESSION_REVOKED'
+            });
+        }
+        
+        return res.status(403).json({
+            success: false,
+            error: '유효하지 않은 토큰입니다.'
+        });
+    }
+    
+    req.user = user; // { userId: "uuid", sid: "session uuid", role: "player" | "admin" }
+    next();
+};
+
+// 관리자 권한 확인 (authenticateToken 다음에 사용, req.user.role은 요청마다 DB에서 읽은 역할)
+export const requireAdmin = (req, res, next) => {
+    if (req.user?.role !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            error: '관리자 권한이 필요합니다.',
+            code: 'ADMIN_REQUIRED'
+        });
+    }
+    
+    next();
 };
 
 // 옵셔널 인증 (토큰이 있으면 검증, 없어도 통과)
-export const optionalAuth = (req, res, next) => {
+export const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
     
     if (token) {
-        jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-            if (!err) {
-                req.user = user;
-            }
-        });
+        try {
+            req.user = await verifyRequestToken(req, token);
+        } catch (err) {
+            // 잘못된 토큰은 비로그인으로 처리
+        }
     }
     
     next();
@@ -1,7 +1,9 @@
 // src/middleware/socketAuth.js
 import jwt from 'jsonwebtoken';
+import { logger } from '../utils/logger.js';
 
-export const authenticateSocket = (socket, next) => {
+// authService가 주어지면 세션 폐기 여부까지 확인한다.
+export const authenticateSocket = async (socket, next, authService = null) => {
     try {
         // Authorization 헤더에서 토큰 추출
         const token = socket.handshake.headers.authorization?.split(' ')[1] || 
@@ -9,27 +11,33 @@ export const authenticateSocket = (socket, next) => {
                      socket.handshake.query?.token;
         
         if (!token) {
-            console.log(`❌ Socket 인증 실패: 토큰 없음 (${socket.id})`);
+            logger.info(`❌ Socket 인증 실패: 토큰 없음 (${socket.id})`);
             return next(new Error('Authentication token required'));
         }
         
-        // JWT 토큰 검증
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        // JWT 토큰 및 세션 검증
+        const decoded = authService
+            ? await authService.verifyAccessToken(token)
+            : jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
         
         // Socket 객체에 사용자 정보 저장
         socket.userId = decoded.userId; 
         socket.user = decoded;
         
-        console.log(`✅ Socket 인증 성공: ${socket.id} (사용자: ${decoded.userId})`);
+        logger.info(`✅ Socket 인증 성공: ${socket.id} (사용자: ${decoded.userId})`);
         next();
-        
+    
     } catch (error) {
-        console.log(`❌ Socket 인증 실패: ${error.message} (${socket.id})`);
+        logger.info(`❌ Socket 인증 실패: ${error.message} (${socket.id})`);
         
         if (error.name === 'TokenExpiredError') {
             next(new Error('Token expired'));
         } else if (error.name === 'JsonWebTokenError') {
             next(new Error('Invalid token'));
+        } else if (error.name === 'AccountBannedError') {
+            next(new Error('Account banned'));
+        } else if (error.name === 'SessionError') {
+            next(new Error('Session revoked'));
         } else {
             next(new Error('Authentication failed'));
         }
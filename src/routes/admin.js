@@ -0,0 +1,97 @@
+// src/routes/admin.js - 운영자 API (관리자 역할 필요)
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+// 서비스 결과를 응답으로 변환 (실패는 기본 400, 대상이 없으면 404)
+const sendResult = (res, result) => {
+    if (result.success) {
+        return res.json(result);
+    }
+    
+    const notFound = /찾을 수 없습니다/.test(result.error);
+    res.status(notFound ? 404 : 400).json(result);
+};
+
+export default function createAdminRoutes(adminService) {
+    const router = express.Router();
+    
+    router.use(authenticateToken, requireAdmin);
+    
+    // 라우트 핸들러 공통 예외 처리
+    const handle = (label, handler) => async (req, res) => {
+        try {
+            sendResult(res, await handler(req));
+        } catch (error) {
+            console.error(`${label} 오류:`, error);
+            res.status(500).json({
+                success: false,
+                error: `${label} 실패`
+            });
+        }
+    };
+    
+    // === 상인 관리 ===
+    router.get('/merchants', handle('상인 목록 조회', () =>
+        adminService.listMerchants()
+    ));
+    
+    router.post('/merchants', handle('상인 생성', (req) =>
+        adminService.createMerchant(req.user.userId, req.body || {})
+    ));
+    
+    router.patch('/merchants/:merchantId', handle('상인 수정', (req) =>
+        adminService.updateMerchant(req.user.userId, req.params.merchantId, req.body || {})
+    ));
+    
+    router.delete('/merchants/:merchantId', handle('상인 삭제', (req) =>
+        adminService.deleteMerchant(req.user.userId, req.params.merchantId, req.body?.reason)
+    ));
+    
+    // === 시세 / 이벤트 ===
+    router.put('/market/prices', handle('시세 변경', (req) => {
+        const { itemId, district, price, reason } = req.body || {};
+        return adminService.setMarketPrice(req.user.userId, { itemId, district, price, reason });
+    }));
+    
+    router.post('/events', handle('이벤트 실행', (req) =>
+        adminService.triggerEvent(req.user.userId, req.body || {})
+    ));
+    
+    // === 게임 설정 ===
+    router.get('/config', handle('게임 설정 조회', () =>
+        adminService.getGameConfig()
+    ));
+    
+    router.post('/config/reload', handle('게임 설정 리로드', (req) =>
+        adminService.reloadGameConfig(req.user.userId, req.body?.reason)
+    ));
+    
+    // === 플레이어 관리 ===
+    router.get('/players', handle('플레이어 검색', (req) => {
+        const { q = '', limit = 20 } = req.query;
+        const maxResults = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        return adminService.searchPlayers(q, maxResults);
+    }));
+    
+    router.get('/players/:playerId', handle('플레이어 조회', (req) =>
+        adminService.getPlayerDetail(req.params.playerId)
+    ));
+    
+    router.post('/players/:playerId/grants', handle('지급', (req) =>
+        adminService.grant(req.user.userId, req.params.playerId, req.body || {})
+    ));
+    
+    router.post('/players/:playerId/ban', handle('계정 정지', (req) =>
+        adminService.banPlayer(req.user.userId, req.params.playerId, req.body?.reason)
+    ));
+    
+    router.delete('/players/:playerId/ban', handle('계정 정지 해제', (req) =>
+        adminService.unbanPlayer(req.user.userId, req.params.playerId, req.body?.reason)
+    ));
+    
+    router.put('/players/:playerId/role', handle('역할 변경', (req) =>
+        adminService.setRole(req.user.userId, req.params.playerId, req.body?.role, req.body?.reason)
+    ));
+    
+    return router;
+}
@@ -0,0 +1,190 @@
+// src/routes/auction.js - 플레이어 경매장
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+export default function createAuctionRoutes(auctionService) {
+    const router = express.Router();
+    
+    // 진행 중인 경매 목록 (품목군 / 지역별, 마감이 가까운 순)
+    router.get('/', async (req, res) => {
+        try {
+            const { category = null, district = null, page = 1, limit = 20 } = req.query;
+            
+            const result = await auctionService.getAuctions({
+                category,
+                district,
+                page: parseInt(page) || 1,
+                limit: parseInt(limit) || 20
+            });
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('경매 목록 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '경매 목록 조회 실패'
+            });
+        }
+    });
+    
+    // 내 경매 (출품 / 입찰 중)
+    router.get('/mine', authenticateToken, async (req, res) => {
+        try {
+            const result = await auctionService.getMyAuctions(req.user.userId);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(404).json(result);
+            }
+        } catch (error) {
+            console.error('내 경매 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '내 경매 조회 실패'
+            });
+        }
+    });
+    
+    // 경매 상세 (입찰 기록 포함)
+    router.get('/:auctionId', async (req, res) => {
+        try {
+            const result = await auctionService.getAuction(req.params.auctionId);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(404).json(result);
+            }
+        } catch (error) {
+            console.error('경매 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '경매 조회 실패'
+            });
+        }
+    });
+    
+    // 출품 (itemId: 인벤토리 스택 ID)
+    router.post('/', authenticateToken, async (req, res) => {
+        try {
+            const { itemId, quantity = 1, startingPrice, buyoutPrice = null, durationHours, district } = req.body;
+            
+            if (!itemId || !district) {
+                return res.status(400).json({
+                    success: false,
+                    error: '아이템 ID와 지역이 필요합니다.'
+                });
+            }
+            
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: '수량은 1개 이상이어야 합니다.'
+                });
+            }
+            
+            if (!Number.isInteger(startingPrice) || startingPrice < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: '유효한 시작가가 필요합니다.'
+                });
+            }
+            
+            const result = await auctionService.createAuction(req.user.userId, {
+                itemId,
+                quantity,
+                startingPrice,
+                buyoutPrice,
+                durationHours,
+                district
+            });
+            
+            if (result.success) {
+                res.status(201).json({
+                    success: true,
+                    data: result.data,
+                    message: '경매가 등록되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('경매 등록 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '경매 등록 실패'
+            });
+        }
+    });
+    
+    // 입찰 (즉시 구매가 이상이면 바로 낙찰)
+    router.post('/:auctionId/bids', authenticateToken, async (req, res) => {
+        try {
+            const { amount } = req.body;
+            
+            if (!Number.isInteger(amount) || amount < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: '유효한 입찰 금액이 필요합니다.'
+                });
+            }
+            
+            const result = await auctionService.placeBid(req.user.userId, req.params.auctionId, amount);
+            
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: result.data.status === 'sold' ? '즉시 구매로 낙찰되었습니다.' : '입찰이 완료되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('입찰 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '입찰 실패'
+            });
+        }
+    });
+    
+    // 출품 취소 (입찰이 없을 때만)
+    router.post('/:auctionId/cancel', authenticateToken, async (req, res) => {
+        try {
+            const result = await auctionService.cancelAuction(req.user.userId, req.params.auctionId);
+            
+            if (result.success) {
+                res.json({
+                    success: true,
+                    data: result.data,
+                    message: '경매를 취소했습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('경매 취소 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '경매 취소 실패'
+            });
+        }
+    });
+    
+    return router;
+}
@@ -1,8 +1,10 @@
 import express from 'express';
-const router = express.Router();
+import { authenticateToken } from '../middleware/auth.js';
 
 // AuthService는 server.js에서 주입받을 예정
 export default function createAuthRoutes(authService) {
+    const router = express.Router();
+    
     // 회원가입
     router.post('/register', async (req, res) => {
         const { email, password, playerName } = req.body;
@@ -58,5 +60,47 @@ export default function createAuthRoutes(authService) {
         }
     });
     
+    // 액세스 토큰 갱신 (리프레시 토큰 교체)
+    router.post('/refresh', async (req, res) => {
+        const { refreshToken } = req.body;
+        
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: '리프레시 토큰이 필요합니다.'
+            });
+        }
+        
+        const result = await authService.refresh(refreshToken);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(401).json(result);
+        }
+    });
+    
+    // 로그아웃 (현재 세션)
+    router.post('/logout', authenticateToken, async (req, res) => {
+        const result = await authService.logout(req.user.userId, req.user.sid);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(500).json(result);
+        }
+    });
+    
+    // 모든 기기에서 로그아웃
+    router.post('/logout-all', authenticateToken, async (req, res) => {
+        const result = await authService.logoutAll(req.user.userId);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(500).json(result);
+        }
+    });
+    
     return router;
 }
\ No newline at end of file
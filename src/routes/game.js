@@ -1,10 +1,9 @@
 // src/routes/game.js - 수정된 버전
 import express from 'express';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
 
-const router = express.Router();
-
-export default function createGameRoutes(gameService, db) {
+export default function createGameRoutes(gameService, db, presenceService = null, eventService = null) {
+    const router = express.Router();
     
     // 플레이어 데이터 조회 (iOS 클라이언트와 일치)
     router.get('/player', authenticateToken, async (req, res) => {
@@ -53,8 +52,13 @@ export default function createGameRoutes(gameService, db) {
             }
             
             const result = await gameService.updatePlayerLocation(req.user.userId, latitude, longitude);
-            res.json(result);
             
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(result.code === 'IMPLAUSIBLE_MOVEMENT' ? 422 : 404).json(result);
+            }
+        
         } catch (error) {
             console.error('위치 업데이트 오류:', error);
             res.status(500).json({
@@ -64,10 +68,199 @@ export default function createGameRoutes(gameService, db) {
         }
     });
     
+    // 플레이어 통계
+    router.get('/player/stats', authenticateToken, async (req, res) => {
+        try {
+            const result = await gameService.getPlayerStats(req.user.userId);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(404).json(result);
+            }
+        } catch (error) {
+            console.error('플레이어 통계 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '플레이어 통계 조회 실패'
+            });
+        }
+    });
+    
+    // 포트폴리오 (평가 손익 / 기간별 실현 손익, window: day | week | all)
+    router.get('/player/portfolio', authenticateToken, async (req, res) => {
+        try {
+            const { window = 'all' } = req.query;
+            const result = await gameService.getPortfolio(req.user.userId, window);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('포트폴리오 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '포트폴리오 조회 실패'
+            });
+        }
+    });
+    
+    // 리더보드 (로그인 상태면 내 순위 포함)
+    router.get('/leaderboard', optionalAuth, async (req, res) => {
+        try {
+            const { type = 'money', limit = 10 } = req.query;
+            const maxEntries = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+            
+            const result = await gameService.getLeaderboard(type, maxEntries, req.user?.userId);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('리더보드 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '리더보드 조회 실패'
+            });
+        }
+    });
+    
+    // 일일 출석 보상 달력 / 상태
+    router.get('/daily-reward', authenticateToken, async (req, res) => {
+        try {
+            const result = await gameService.getDailyRewardStatus(req.user.userId);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(404).json(result);
+            }
+        } catch (error) {
+            console.error('출석 보상 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '출석 보상 조회 실패'
+            });
+        }
+    });
+    
+    // 일일 출석 보상 수령
+    router.post('/daily-reward/claim', authenticateToken, async (req, res) => {
+        try {
+            const result = await gameService.claimDailyReward(req.user.userId);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('출석 보상 수령 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '출석 보상 수령 실패'
+            });
+        }
+    });
+    
+    // 상인별 관계 등급 조회
+    router.get('/player/relationships', authenticateToken, async (req, res) => {
+        try {
+            const result = await gameService.getPlayerRelationships(req.user.userId);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(404).json(result);
+            }
+        } catch (error) {
+            console.error('관계 등급 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '관계 등급 조회 실패'
+            });
+        }
+    });
+    
+    // 위치 공유 방식 설정 (exact: 정확한 위치, coarse: 대략적 위치)
+    router.put('/player/location-sharing', authenticateToken, async (req, res) => {
+        try {
+            const { mode } = req.body;
+            
+            if (!presenceService) {
+                return res.status(503).json({
+                    success: false,
+                    error: '접속 상태 서비스를 사용할 수 없습니다.'
+                });
+            }
+            
+            const sharing = await presenceService.setSharing(req.user.userId, mode);
+            res.json({
+                success: true,
+                data: { locationSharing: sharing }
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+    
+    // 진행 중 / 예정된 시장 이벤트
+    router.get('/events', async (req, res) => {
+        try {
+            if (!eventService) {
+                return res.status(503).json({
+                    success: false,
+                    error: '이벤트 서비스를 사용할 수 없습니다.'
+                });
+            }
+            
+            const result = await eventService.getEvents();
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('시장 이벤트 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '시장 이벤트 조회 실패'
+            });
+        }
+    });
+    
+    // 아이템 카탈로그
+    router.get('/items', async (req, res) => {
+        try {
+            const result = await gameService.getItemCatalog();
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(500).json(result);
+            }
+        } catch (error) {
+            console.error('아이템 카탈로그 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '아이템 카탈로그 조회 실패'
+            });
+        }
+    });
+    
     // 시장 가격 조회
     router.get('/market/prices', async (req, res) => {
         try {
-            const prices = await gameService.getCurrentMarketPrices();
+            const { district } = req.query;
+            const prices = await gameService.getCurrentMarketPrices(district || null);
             res.json({
                 success: true,
                 data: prices
@@ -81,18 +274,54 @@ export default function createGameRoutes(gameService, db) {
         }
     });
     
+    // 시세 이력 (OHLC 캔들)
+    router.get('/market/prices/:item/history', async (req, res) => {
+        try {
+            const { district, interval = 'hour', from, to } = req.query;
+            
+            if (!district) {
+                return res.status(400).json({
+                    success: false,
+                    error: '지역(district)이 필요합니다.'
+                });
+            }
+            
+            const result = await gameService.getPriceHistory(req.params.item, district, interval, from, to);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('시세 이력 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '시세 이력 조회 실패'
+            });
+        }
+    });
+    
     // 주변 상인 조회
     router.get('/merchants', async (req, res) => {
         try {
-            const { latitude, longitude, radius = 1000 } = req.query;
+            const { latitude, longitude, radius = 1000, limit = 20 } = req.query; // radius: 미터
             
             let merchants;
             if (latitude && longitude) {
-                merchants = await gameService.findNearbyMerchants(
-                    parseFloat(latitude), 
-                    parseFloat(longitude), 
-                    parseInt(radius)
-                );
+                const lat = parseFloat(latitude);
+                const lng = parseFloat(longitude);
+                const radiusMeters = parseInt(radius);
+                const maxResults = parseInt(limit);
+                
+                if (isNaN(lat) || isNaN(lng) || isNaN(radiusMeters) || isNaN(maxResults)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: '유효한 위도, 경도, 반경이 필요합니다.'
+                    });
+                }
+                
+                merchants = await gameService.findNearbyMerchants(lat, lng, radiusMeters, maxResults);
             } else {
                 merchants = await gameService.getAllMerchants();
             }
@@ -110,15 +339,47 @@ export default function createGameRoutes(gameService, db) {
         }
     });
     
+    // 상인별 구매 / 판매 견적 (merchantIds: 쉼표로 구분, 없으면 아이템을 거래하는 모든 상인)
+    router.get('/quotes', authenticateToken, async (req, res) => {
+        try {
+            const { itemId, merchantIds } = req.query;
+            
+            if (!itemId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '아이템 ID가 필요합니다.'
+                });
+            }
+            
+            const ids = merchantIds
+                ? String(merchantIds).split(',').map(id => id.trim()).filter(Boolean)
+                : null;
+            const result = await gameService.getQuotes(req.user.userId, itemId, ids);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('견적 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '견적 조회 실패'
+            });
+        }
+    });
+    
     // 아이템 구매
     router.post('/trade/buy', authenticateToken, async (req, res) => {
         try {
-            const { merchantId, itemName, quantity = 1 } = req.body;
+            // itemName은 카탈로그 ID 도입 이전 클라이언트용
+            const { merchantId, itemId, itemName, quantity = 1 } = req.body;
             
-            if (!merchantId || !itemName) {
+            if (!merchantId || !(itemId || itemName)) {
                 return res.status(400).json({
                     success: false,
-                    error: '상인 ID와 아이템 이름이 필요합니다.'
+                    error: '상인 ID와 아이템 ID가 필요합니다.'
                 });
             }
             
@@ -129,7 +390,7 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
-            const result = await gameService.buyItem(req.user.userId, merchantId, itemName, quantity);
+            const result = await gameService.buyItem(req.user.userId, merchantId, itemId || itemName, quantity);
             
             if (result.success) {
                 res.json({
@@ -140,7 +401,8 @@ export default function createGameRoutes(gameService, db) {
             } else {
                 res.status(400).json({
                     success: false,
-                    error: result.error
+                    error: result.error,
+                    code: result.code
                 });
             }
         } catch (error) {
@@ -152,10 +414,10 @@ export default function createGameRoutes(gameService, db) {
         }
     });
     
-    // 아이템 판매
+    // 아이템 판매 (itemId: 인벤토리 스택 ID, lotId: 특정 구매 묶음에서만 판매할 때)
     router.post('/trade/sell', authenticateToken, async (req, res) => {
         try {
-            const { itemId, merchantId, quantity = 1 } = req.body;
+            const { itemId, merchantId, quantity = 1, lotId = null } = req.body;
             
             if (!itemId || !merchantId) {
                 return res.status(400).json({
@@ -164,7 +426,7 @@ export default function createGameRoutes(gameService, db) {
                 });
             }
             
-            const result = await gameService.sellItem(req.user.userId, itemId, merchantId, quantity);
+            const result = await gameService.sellItem(req.user.userId, itemId, merchantId, quantity, lotId);
             
             if (result.success) {
                 res.json({
@@ -175,7 +437,8 @@ export default function createGameRoutes(gameService, db) {
             } else {
                 res.status(400).json({
                     success: false,
-                    error: result.error
+                    error: result.error,
+                    code: result.code
                 });
             }
         } catch (error) {
@@ -230,7 +493,8 @@ export default function createGameRoutes(gameService, db) {
             } else {
                 res.status(400).json({
                     success: false,
-                    error: result.error
+                    error: result.error,
+                    code: result.code
                 });
             }
         } catch (error) {
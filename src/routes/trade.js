@@ -0,0 +1,135 @@
+// src/routes/trade.js - 플레이어 간 거래
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+
+export default function createTradeRoutes(tradeService) {
+    const router = express.Router();
+    
+    // 거래 제안 생성 (특정 플레이어 또는 주변 플레이어 대상)
+    router.post('/offers', authenticateToken, async (req, res) => {
+        try {
+            const { itemId, quantity = 1, price, targetPlayerId = null } = req.body;
+            
+            if (!itemId) {
+                return res.status(400).json({
+                    success: false,
+                    error: '아이템 ID가 필요합니다.'
+                });
+            }
+            
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: '수량은 1개 이상이어야 합니다.'
+                });
+            }
+            
+            if (!Number.isInteger(price) || price < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: '유효한 가격이 필요합니다.'
+                });
+            }
+            
+            const result = await tradeService.createOffer(req.user.userId, {
+                itemId,
+                quantity,
+                price,
+                targetPlayerId
+            });
+            
+            if (result.success) {
+                res.status(201).json({
+                    success: true,
+                    data: result.data,
+                    message: '거래 제안이 등록되었습니다.'
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('거래 제안 생성 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '거래 제안 생성 실패'
+            });
+        }
+    });
+    
+    // 내 거래 제안 조회 (받은 제안 / 보낸 제안)
+    router.get('/offers', authenticateToken, async (req, res) => {
+        try {
+            const result = await tradeService.getMyOffers(req.user.userId);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(404).json(result);
+            }
+        } catch (error) {
+            console.error('거래 제안 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '거래 제안 조회 실패'
+            });
+        }
+    });
+    
+    // 주변 공개 거래 제안 조회
+    router.get('/offers/nearby', authenticateToken, async (req, res) => {
+        try {
+            const result = await tradeService.getNearbyOffers(req.user.userId);
+            
+            if (result.success) {
+                res.json(result);
+            } else {
+                res.status(400).json(result);
+            }
+        } catch (error) {
+            console.error('주변 거래 제안 조회 오류:', error);
+            res.status(500).json({
+                success: false,
+                error: '주변 거래 제안 조회 실패'
+            });
+        }
+    });
+    
+    // 수락 / 거절 / 취소
+    const actions = {
+        accept: { handler: 'acceptOffer', message: '거래가 완료되었습니다.' },
+        decline: { handler: 'declineOffer', message: '거래 제안을 거절했습니다.' },
+        cancel: { handler: 'cancelOffer', message: '거래 제안을 취소했습니다.' }
+    };
+    
+    for (const [action, { handler, message }] of Object.entries(actions)) {
+        router.post(`/offers/:offerId/${action}`, authenticateToken, async (req, res) => {
+            try {
+                const result = await tradeService[handler](req.user.userId, req.params.offerId);
+                
+                if (result.success) {
+                    res.json({
+                        success: true,
+                        data: result.data,
+                        message
+                    });
+                } else {
+                    res.status(400).json({
+                        success: false,
+                        error: result.error
+                    });
+                }
+            } catch (error) {
+                console.error(`거래 제안 처리 오류 (${action}):`, error);
+                res.status(500).json({
+                    success: false,
+                    error: '거래 제안 처리 실패'
+                });
+            }
+        });
+    }
+    
+    return router;
+}
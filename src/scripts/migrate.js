@@ -0,0 +1,50 @@
+// src/scripts/migrate.js - 스키마 마이그레이션 적용 / 상태 확인
+// 사용법: npm run migrate (대기 중인 마이그레이션 적용), npm run migrate:status
+import DatabaseManager from '../database/DatabaseManager.js';
+import MigrationRunner from '../database/MigrationRunner.js';
+
+const [command = 'up'] = process.argv.slice(2);
+
+if (!['up', 'status'].includes(command)) {
+    console.error('사용법: node src/scripts/migrate.js [up|status]');
+    process.exit(1);
+}
+
+const db = new DatabaseManager();
+
+const printStatus = async (runner) => {
+    const status = await runner.getStatus();
+
+    console.log(`데이터베이스: ${db.dbPath}`);
+    console.log(`스키마 버전: ${status.currentVersion} (코드 최신 버전: ${status.latestVersion})`);
+
+    for (const migration of status.migrations) {
+        const version = String(migration.version).padStart(3, '0');
+        const state = migration.appliedAt ? `✅ ${migration.appliedAt}` : '⏳ 대기 중';
+        console.log(`  ${version} ${migration.name.padEnd(30)} ${state}`);
+    }
+
+    for (const migration of status.unknown) {
+        const version = String(migration.version).padStart(3, '0');
+        console.log(`  ${version} ${migration.name.padEnd(30)} ⚠️ 코드에 없음 (${migration.appliedAt})`);
+    }
+};
+
+try {
+    await db.initialize();
+    const runner = new MigrationRunner(db);
+
+    if (command === 'up') {
+        const applied = await runner.migrate();
+        console.log(applied.length > 0
+            ? `✅ 마이그레이션 ${applied.length}개 적용 완료`
+            : '✅ 적용할 마이그레이션이 없습니다.');
+    }
+
+    await printStatus(runner);
+} catch (error) {
+    console.error('❌ 마이그레이션 실패:', error.message);
+    process.exitCode = 1;
+} finally {
+    await db.close();
+}
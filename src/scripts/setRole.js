@@ -0,0 +1,31 @@
+// src/scripts/setRole.js - 사용자 역할 지정 (첫 관리자 계정 생성용)
+// 사용법: npm run set-role -- <email> <player|admin>
+import DatabaseManager from '../database/DatabaseManager.js';
+import { USER_ROLES } from '../services/AuthService.js';
+
+const [email, role = 'admin'] = process.argv.slice(2);
+
+if (!email || !USER_ROLES.includes(role)) {
+    console.error(`사용법: npm run set-role -- <email> <${USER_ROLES.join('|')}>`);
+    process.exit(1);
+}
+
+const db = new DatabaseManager();
+
+try {
+    await db.initialize();
+    await db.migrate();
+    
+    const user = await db.getUserByEmail(email);
+    if (!user) {
+        throw new Error(`사용자를 찾을 수 없습니다: ${email}`);
+    }
+    
+    await db.updateUserRole(user.id, role);
+    console.log(`✅ ${email} 역할 변경: ${user.role} → ${role} (다음 로그인부터 적용)`);
+} catch (error) {
+    console.error('❌ 역할 변경 실패:', error.message);
+    process.exitCode = 1;
+} finally {
+    await db.close();
+}
@@ -0,0 +1,609 @@
+// src/services/AdminService.js - 운영자용 게임 관리 기능
+// 상태를 바꾸는 모든 작업은 admin_actions 테이블에 사유와 함께 기록된다.
+import { v4 as uuidv4 } from 'uuid';
+import { getRestockPolicy } from '../data/merchantTypes.js';
+import { USER_ROLES } from './AuthService.js';
+import { getConfig, getConfigInfo, reloadConfig } from '../config/gameConfig.js';
+
+const MAX_GRANT_MONEY = 100000000;     // 1회 지급/회수 한도
+
+class AdminService {
+    constructor(database, io, { gameService, eventService, playerService } = {}) {
+        this.db = database;
+        this.io = io;
+        this.gameService = gameService;
+        this.eventService = eventService;
+        this.playerService = playerService;
+    }
+    
+    // === 상인 관리 ===
+    async listMerchants() {
+        try {
+            return {
+                success: true,
+                data: await this.gameService.getAllMerchants()
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async createMerchant(adminUserId, merchantData) {
+        try {
+            const merchantId = await this.db.transaction(async () => {
+                const data = await this.validateMerchantData(merchantData);
+                const merchantId = merchantData.id || `merchant_${uuidv4()}`;
+                
+                if (await this.db.getMerchantById(merchantId)) {
+                    throw new Error('이미 존재하는 상인 ID입니다.');
+                }
+                
+                await this.db.createMerchant({ id: merchantId, ...data });
+                
+                const { maxQuantity } = getRestockPolicy(data.type);
+                for (const itemId of data.items) {
+                    await this.db.addMerchantStockItem(merchantId, itemId, maxQuantity);
+                }
+                
+                await this.recordAction(adminUserId, 'merchant.create', 'merchant', merchantId, merchantData.reason, data);
+                return merchantId;
+            });
+            
+            return {
+                success: true,
+                data: await this.getFormattedMerchant(merchantId)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async updateMerchant(adminUserId, merchantId, updates) {
+        try {
+            await this.db.transaction(async () => {
+                const merchant = await this.db.getMerchantById(merchantId);
+                if (!merchant) {
+                    throw new Error('상인을 찾을 수 없습니다.');
+                }
+                
+                // 기존 값 위에 변경 사항을 덮어써서 전체를 다시 검증
+                const data = await this.validateMerchantData({
+                    name: merchant.name,
+                    type: merchant.type,
+                    district: merchant.district,
+                    lat: merchant.location_lat,
+                    lng: merchant.location_lng,
+                    requiredLicense: merchant.required_license,
+                    trustLevel: merchant.trust_level,
+                    items: JSON.parse(merchant.inventory || '[]'),
+                    buys: merchant.buy_categories ? JSON.parse(merchant.buy_categories) : undefined,
+                    ...updates
+                });
+                
+                await this.db.updateMerchant(merchantId, data);
+                
+                // 판매 목록이 바뀌면 재고 행도 맞춘다
+                if (updates.items) {
+                    const { maxQuantity } = getRestockPolicy(data.type);
+                    await this.db.removeMerchantStockExcept(merchantId, data.items);
+                    for (const itemId of data.items) {
+                        await this.db.addMerchantStockItem(merchantId, itemId, maxQuantity);
+                    }
+                }
+                
+                await this.recordAction(adminUserId, 'merchant.update', 'merchant', merchantId, updates.reason, updates);
+            });
+            
+            return {
+                success: true,
+                data: await this.getFormattedMerchant(merchantId)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async deleteMerchant(adminUserId, merchantId, reason) {
+        try {
+            await this.db.transaction(async () => {
+                const merchant = await this.db.getMerchantById(merchantId);
+                if (!merchant) {
+                    throw new Error('상인을 찾을 수 없습니다.');
+                }
+                
+                await this.db.deleteMerchant(merchantId);
+                await this.recordAction(adminUserId, 'merchant.delete', 'merchant', merchantId, reason, {
+                    name: merchant.name,
+                    district: merchant.district
+                });
+            });
+            
+            return {
+                success: true,
+                data: { merchantId }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 시세 / 이벤트 ===
+    // 현재 시세를 직접 덮어쓴다. 다음 가격 갱신부터는 다시 수요/공급에 따라 움직인다.
+    async setMarketPrice(adminUserId, { itemId, district, price, reason }) {
+        try {
+            if (!Number.isInteger(price) || price < 1) {
+                throw new Error('가격은 1 이상의 정수여야 합니다.');
+            }
+            
+            const update = await this.db.transaction(async () => {
+                const marketPrice = await this.db.getMarketPrice(itemId, district);
+                if (!marketPrice) {
+                    throw new Error('해당 지역의 아이템 시세를 찾을 수 없습니다.');
+                }
+                
+                await this.db.updateMarketPrice(itemId, district, price, null, 'admin');
+                await this.recordAction(adminUserId, 'market.price', 'market_price', `${itemId}@${district}`, reason, {
+                    oldPrice: marketPrice.current_price,
+                    newPrice: price
+                });
+                
+                return {
+                    itemId,
+                    itemName: marketPrice.item_name,
+                    district,
+                    oldPrice: marketPrice.current_price,
+                    newPrice: price,
+                    change: price - marketPrice.current_price,
+                    demandMultiplier: marketPrice.demand_multiplier
+                };
+            });
+            
+            if (this.io) {
+                this.io.emit('priceUpdate', [update]);
+            }
+            
+            return {
+                success: true,
+                data: update
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async triggerEvent(adminUserId, { type, district, category, startsAt, durationMinutes, reason }) {
+        try {
+            const result = await this.eventService.scheduleEvent(type, { district, category, startsAt, durationMinutes });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            await this.recordAction(adminUserId, 'event.trigger', 'market_event', result.data.id, reason, {
+                type,
+                district: result.data.district,
+                category: result.data.category,
+                startsAt: result.data.startsAt,
+                endsAt: result.data.endsAt
+            });
+            
+            return result;
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 게임 설정 ===
+    getGameConfig() {
+        return {
+            success: true,
+            data: {
+                ...getConfigInfo(),
+                config: getConfig()
+            }
+        };
+    }
+    
+    // 설정 파일을 다시 읽는다. 검증에 실패하면 기존 설정이 유지되고 오류 목록을 돌려준다.
+    // 초기 데이터(seed)는 빈 DB를 채울 때만 쓰이므로 리로드해도 기존 데이터는 바뀌지 않는다.
+    async reloadGameConfig(adminUserId, reason) {
+        try {
+            const { changedSections, loadedAt } = reloadConfig();
+            
+            await this.recordAction(adminUserId, 'config.reload', 'config', getConfigInfo().path, reason, {
+                changedSections
+            });
+            
+            return {
+                success: true,
+                data: {
+                    changedSections,
+                    loadedAt: loadedAt.toISOString()
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.name === 'ConfigError' ? '게임 설정 검증에 실패해 기존 설정을 유지합니다.' : error.message,
+                details: error.errors || []
+            };
+        }
+    }
+    
+    // === 플레이어 관리 ===
+    async searchPlayers(query = '', limit = 20) {
+        try {
+            const players = await this.db.searchPlayers(query, limit);
+            
+            return {
+                success: true,
+                data: players.map(player => this.formatPlayerSummary(player))
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getPlayerDetail(playerId) {
+        try {
+            const player = await this.db.getPlayerById(playerId);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+            
+            const [user, inventory, trades, relationships, movementFlags, actions] = await Promise.all([
+                this.db.getUserById(player.user_id),
+                this.db.getPlayerInventory(player.id),
+                this.db.getTradeHistory(player.id, 1, 20),
+                this.db.getPlayerRelationships(player.id),
+                this.db.getMovementFlags(player.id),
+                this.db.getAdminActions('player', player.id)
+            ]);
+            
+            return {
+                success: true,
+                data: {
+                    ...this.formatPlayerSummary({ ...player, email: user.email, role: user.role, banned_at: user.banned_at, ban_reason: user.ban_reason }),
+                    location: {
+                        lat: player.location_lat,
+                        lng: player.location_lng,
+                        updatedAt: player.location_updated_at
+                    },
+                    inventory: inventory,
+                    recentTrades: trades.trades,
+                    relationships: relationships.map(relationship => this.gameService.formatRelationship(relationship)),
+                    movementFlags: movementFlags,
+                    adminActions: actions.map(action => ({
+                        ...action,
+                        details: action.details ? JSON.parse(action.details) : null
+                    }))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // 돈(음수면 회수)과 아이템 지급. 사유는 필수.
+    async grant(adminUserId, playerId, { money = 0, itemId = null, quantity = 1, reason }) {
+        try {
+            this.requireReason(reason);
+            
+            if (!Number.isInteger(money) || Math.abs(money) > MAX_GRANT_MONEY) {
+                throw new Error(`지급 금액은 ±${MAX_GRANT_MONEY} 이내의 정수여야 합니다.`);
+            }
+            
+            if (itemId && (!Number.isInteger(quantity) || quantity < 1)) {
+                throw new Error('수량은 1개 이상이어야 합니다.');
+            }
+            
+            if (money === 0 && !itemId) {
+                throw new Error('지급할 돈 또는 아이템이 필요합니다.');
+            }
+            
+            const data = await this.db.transaction(async () => {
+                const player = await this.db.getPlayerById(playerId);
+                if (!player) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                if (money !== 0) {
+                    await this.db.adjustPlayerMoney(player.id, money);
+                }
+                
+                const item = itemId ? await this.gameService.grantRewardItem(player, itemId, quantity, 'grant') : null;
+                
+                await this.recordAction(adminUserId, 'player.grant', 'player', player.id, reason, {
+                    money,
+                    itemId: item ? item.id : null,
+                    quantity: item ? quantity : 0
+                });
+                
+                const updated = await this.db.getPlayerById(player.id);
+                return {
+                    playerId: player.id,
+                    money: money,
+                    item: item ? { itemId: item.id, name: item.name, quantity } : null,
+                    newMoney: updated.money
+                };
+            });
+            
+            if (this.playerService) {
+                await this.playerService.notifyStateChanged(playerId, 'adminGrant');
+            }
+            
+            return {
+                success: true,
+                data
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // 정지 시 모든 세션을 폐기하고 접속 중인 소켓도 끊는다
+    async banPlayer(adminUserId, playerId, reason) {
+        try {
+            this.requireReason(reason);
+            
+            const player = await this.db.transaction(async () => {
+                const player = await this.db.getPlayerById(playerId);
+                if (!player) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                if (player.user_id === adminUserId) {
+                    throw new Error('자기 자신은 정지할 수 없습니다.');
+                }
+                
+                await this.db.banUser(player.user_id, reason);
+                await this.db.revokeUserSessions(player.user_id);
+                await this.recordAction(adminUserId, 'player.ban', 'player', player.id, reason);
+                
+                return player;
+            });
+            
+            if (this.io) {
+                this.io.in(`user_${player.user_id}`).disconnectSockets(true);
+            }
+            
+            return {
+                success: true,
+                data: {
+                    playerId: player.id,
+                    banned: true,
+                    reason
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async unbanPlayer(adminUserId, playerId, reason) {
+        try {
+            this.requireReason(reason);
+            
+            await this.db.transaction(async () => {
+                const player = await this.db.getPlayerById(playerId);
+                if (!player) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                await this.db.unbanUser(player.user_id);
+                await this.recordAction(adminUserId, 'player.unban', 'player', player.id, reason);
+            });
+            
+            return {
+                success: true,
+                data: {
+                    playerId,
+                    banned: false
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // 역할 변경은 다음 토큰 발급(로그인/갱신)부터 반영된다
+    async setRole(adminUserId, playerId, role, reason) {
+        try {
+            if (!USER_ROLES.includes(role)) {
+                throw new Error(`역할은 ${USER_ROLES.join(', ')} 중 하나여야 합니다.`);
+            }
+            
+            await this.db.transaction(async () => {
+                const player = await this.db.getPlayerById(playerId);
+                if (!player) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                if (player.user_id === adminUserId) {
+                    throw new Error('자신의 역할은 변경할 수 없습니다.');
+                }
+                
+                await this.db.updateUserRole(player.user_id, role);
+                await this.recordAction(adminUserId, 'player.role', 'player', player.id, reason, { role });
+            });
+            
+            return {
+                success: true,
+                data: {
+                    playerId,
+                    role
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 내부 헬퍼 ===
+    async validateMerchantData(data) {
+        if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+            throw new Error('상인 이름이 필요합니다.');
+        }
+        
+        if (typeof data.type !== 'string' || data.type.trim().length === 0) {
+            throw new Error('상인 종류가 필요합니다.');
+        }
+        
+        const districts = await this.db.getMarketDistricts();
+        if (!districts.includes(data.district)) {
+            throw new Error(`지역은 ${districts.join(', ')} 중 하나여야 합니다.`);
+        }
+        
+        const lat = parseFloat(data.lat);
+        const lng = parseFloat(data.lng);
+        if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            throw new Error('유효한 위치 정보가 필요합니다.');
+        }
+        
+        const requiredLicense = parseInt(data.requiredLicense ?? 1);
+        if (isNaN(requiredLicense) || requiredLicense < 1) {
+            throw new Error('필요 라이센스는 1 이상이어야 합니다.');
+        }
+        
+        // 거래에 필요한 최소 관계 등급 (0이면 누구나 거래 가능)
+        const trustLevel = Number(data.trustLevel ?? 0);
+        if (!Number.isInteger(trustLevel) || trustLevel < 0) {
+            throw new Error('필요 관계 등급은 0 이상의 정수여야 합니다.');
+        }
+        
+        if (!Array.isArray(data.items)) {
+            throw new Error('판매 아이템 목록이 필요합니다.');
+        }
+        
+        for (const itemId of data.items) {
+            if (!await this.db.getItemById(itemId)) {
+                throw new Error(`카탈로그에 없는 아이템입니다: ${itemId}`);
+            }
+            if (!await this.db.getMarketPrice(itemId, data.district)) {
+                throw new Error(`${data.district}에서 거래되지 않는 아이템입니다: ${itemId}`);
+            }
+        }
+        
+        const items = [...new Set(data.items)];
+        
+        return {
+            name: data.name.trim(),
+            type: data.type.trim(),
+            district: data.district,
+            lat,
+            lng,
+            requiredLicense,
+            trustLevel,
+            items,
+            buys: data.buys === undefined
+                ? await this.db.getDefaultMerchantBuys(items)
+                : await this.validateMerchantBuys(data.buys)
+        };
+    }
+    
+    // 매입 목록: [{ category, spread }] (spread는 지역 시세 대비 할인 폭, 0 이상 1 미만)
+    async validateMerchantBuys(buys) {
+        if (!Array.isArray(buys)) {
+            throw new Error('매입 품목군 목록은 배열이어야 합니다.');
+        }
+        
+        const categories = await this.db.getItemCategories();
+        const seen = new Set();
+        
+        return buys.map(entry => {
+            const category = entry?.category;
+            const spread = parseFloat(entry?.spread);
+            
+            if (!categories.includes(category)) {
+                throw new Error(`매입 품목군은 ${categories.join(', ')} 중 하나여야 합니다.`);
+            }
+            if (seen.has(category)) {
+                throw new Error(`중복된 매입 품목군입니다: ${category}`);
+            }
+            if (isNaN(spread) || spread < 0 || spread >= 1) {
+                throw new Error('매입 스프레드는 0 이상 1 미만이어야 합니다.');
+            }
+            
+            seen.add(category);
+            return { category, spread };
+        });
+    }
+    
+    async getFormattedMerchant(merchantId) {
+        const merchant = await this.db.getMerchantById(merchantId);
+        const stock = (await this.gameService.getStockByMerchant()).get(merchantId);
+        return this.gameService.formatMerchant(merchant, stock);
+    }
+    
+    requireReason(reason) {
+        if (typeof reason !== 'string' || reason.trim().length === 0) {
+            throw new Error('사유를 입력해주세요.');
+        }
+    }
+    
+    async recordAction(adminUserId, action, targetType, targetId, reason = null, details = null) {
+        await this.db.createAdminAction({
+            adminUserId,
+            action,
+            targetType,
+            targetId,
+            reason: reason || null,
+            details
+        });
+    }
+    
+    formatPlayerSummary(player) {
+        return {
+            playerId: player.id,
+            userId: player.user_id,
+            name: player.name,
+            email: player.email,
+            role: player.role,
+            banned: Boolean(player.banned_at),
+            bannedAt: player.banned_at,
+            banReason: player.ban_reason,
+            money: player.money,
+            trustPoints: player.trust_points,
+            currentLicense: player.current_license,
+            lastActive: player.last_active,
+            createdAt: player.created_at
+        };
+    }
+}
+
+export default AdminService;
@@ -0,0 +1,470 @@
+// src/services/AuctionService.js - 플레이어 경매장
+// 출품한 아이템은 경매가 끝날 때까지 에스크로되고, 입찰 금액은 입찰자 잔액에서 바로 빠진다.
+// 더 높은 입찰이 들어오면 이전 최고 입찰자에게 돌려주고, 마감 시각이 지나면 주기 작업이 정산한다.
+// 즉시 구매가(buyoutPrice) 이상으로 입찰하면 그 가격으로 바로 낙찰된다.
+import { v4 as uuidv4 } from 'uuid';
+import { getConfig } from '../config/gameConfig.js';
+
+const BROWSE_DEFAULT_LIMIT = 20;
+const BROWSE_MAX_LIMIT = 50;
+
+class AuctionService {
+    constructor(database, io, { playerService = null } = {}) {
+        this.db = database;
+        this.io = io;
+        this.playerService = playerService;
+    }
+    
+    // === 출품 ===
+    // itemId는 인벤토리 스택 ID, district는 경매장이 있는 지역
+    async createAuction(userId, { itemId, quantity = 1, startingPrice, buyoutPrice = null, durationHours, district }) {
+        try {
+            const { minDurationHours, maxDurationHours, maxActiveListings } = getConfig().auctions;
+            
+            if (typeof durationHours !== 'number' || durationHours < minDurationHours || durationHours > maxDurationHours) {
+                throw new Error(`경매 기간은 ${minDurationHours}-${maxDurationHours}시간 사이여야 합니다.`);
+            }
+            
+            if (buyoutPrice !== null && (!Number.isInteger(buyoutPrice) || buyoutPrice <= startingPrice)) {
+                throw new Error('즉시 구매가는 시작가보다 높아야 합니다.');
+            }
+            
+            const districts = await this.db.getMarketDistricts();
+            if (!districts.includes(district)) {
+                throw new Error(`지역은 ${districts.join(', ')} 중 하나여야 합니다.`);
+            }
+            
+            const auction = await this.db.transaction(async () => {
+                const seller = await this.db.getPlayerByUserId(userId);
+                if (!seller) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                if (await this.db.countActiveAuctionsBySeller(seller.id) >= maxActiveListings) {
+                    throw new Error(`진행 중인 경매는 ${maxActiveListings}개까지 등록할 수 있습니다.`);
+                }
+                
+                const item = await this.db.getInventoryItem(itemId, seller.id);
+                if (!item) {
+                    throw new Error('아이템을 찾을 수 없습니다.');
+                }
+                
+                if (item.quantity < quantity) {
+                    throw new Error('출품하려는 수량이 보유 수량보다 많습니다.');
+                }
+                
+                // 아이템 에스크로 (오래된 구매 묶음부터 꺼내고 취득 원가 합계를 경매에 기록)
+                const costBasis = await this.db.removeItemFromInventory(itemId, quantity);
+                
+                const auctionId = uuidv4();
+                const endsAt = new Date(Date.now() + durationHours * 60 * 60 * 1000);
+                
+                await this.db.createAuction({
+                    id: auctionId,
+                    sellerId: seller.id,
+                    itemId: item.item_id,
+                    itemName: item.item_name,
+                    itemCategory: item.item_category,
+                    itemGrade: item.item_grade,
+                    requiredLicense: item.required_license,
+                    basePrice: item.base_price,
+                    quantity,
+                    costBasis,
+                    district,
+                    startingPrice,
+                    buyoutPrice,
+                    endsAt: endsAt.toISOString()
+                });
+                
+                return await this.db.getAuctionById(auctionId);
+            });
+            
+            await this.notifyStateChanged([auction.seller_id]);
+            
+            return {
+                success: true,
+                data: this.formatAuction(auction)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 조회 ===
+    async getAuctions({ category = null, district = null, page = 1, limit = BROWSE_DEFAULT_LIMIT } = {}) {
+        try {
+            const pageSize = Math.min(Math.max(limit, 1), BROWSE_MAX_LIMIT);
+            const auctions = await this.db.getActiveAuctions({
+                category,
+                district,
+                limit: pageSize,
+                offset: (Math.max(page, 1) - 1) * pageSize
+            });
+            
+            return {
+                success: true,
+                data: auctions.map(auction => this.formatAuction(auction))
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getAuction(auctionId) {
+        try {
+            const auction = await this.db.getAuctionById(auctionId);
+            if (!auction) {
+                throw new Error('경매를 찾을 수 없습니다.');
+            }
+            
+            const bids = await this.db.getAuctionBids(auction.id);
+            
+            return {
+                success: true,
+                data: {
+                    ...this.formatAuction(auction),
+                    bids: bids.map(bid => ({
+                        bidderId: bid.bidder_id,
+                        amount: bid.amount,
+                        status: bid.status,
+                        createdAt: bid.created_at
+                    }))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getMyAuctions(userId) {
+        try {
+            const player = await this.db.getPlayerByUserId(userId);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+            
+            const auctions = await this.db.getAuctionsForPlayer(player.id);
+            
+            return {
+                success: true,
+                data: {
+                    selling: auctions
+                        .filter(auction => auction.seller_id === player.id)
+                        .map(auction => this.formatAuction(auction)),
+                    bidding: auctions
+                        .filter(auction => auction.seller_id !== player.id)
+                        .map(auction => ({
+                            ...this.formatAuction(auction),
+                            leading: auction.current_bidder_id === player.id
+                        }))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 입찰 ===
+    // 입찰 금액을 에스크로하고 이전 최고 입찰자에게 환불한다. 즉시 구매가 이상이면 바로 정산한다.
+    async placeBid(userId, auctionId, amount) {
+        try {
+            const result = await this.db.transaction(async () => {
+                const bidder = await this.db.getPlayerByUserId(userId);
+                if (!bidder) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                const auction = await this.getActiveAuction(auctionId);
+                
+                if (auction.seller_id === bidder.id) {
+                    throw new Error('자신의 경매에는 입찰할 수 없습니다.');
+                }
+                
+                const minimumBid = this.getMinimumBid(auction);
+                if (amount < minimumBid) {
+                    throw new Error(`최소 입찰가는 ${minimumBid}원입니다.`);
+                }
+                
+                const buyout = auction.buyout_price !== null && amount >= auction.buyout_price;
+                const bidAmount = buyout ? auction.buyout_price : amount;
+                
+                // 1. 이전 최고 입찰 환불 (같은 플레이어가 다시 입찰해도 전액 환불 후 새 금액을 에스크로)
+                const outbidPlayerId = auction.current_bidder_id;
+                if (outbidPlayerId) {
+                    await this.db.adjustPlayerMoney(outbidPlayerId, auction.current_bid);
+                    await this.db.updateActiveAuctionBid(auction.id, 'outbid');
+                }
+                
+                // 2. 새 입찰 금액 에스크로 (잔액 부족 시 실패)
+                await this.db.adjustPlayerMoney(bidder.id, -bidAmount);
+                await this.db.createAuctionBid({
+                    id: uuidv4(),
+                    auctionId: auction.id,
+                    bidderId: bidder.id,
+                    amount: bidAmount
+                });
+                await this.db.updateAuctionBid(auction.id, auction.current_bid, bidder.id, bidAmount);
+                
+                // 3. 즉시 구매
+                if (buyout) {
+                    await this.settle(await this.db.getAuctionById(auction.id));
+                }
+                
+                return {
+                    auction: await this.db.getAuctionById(auction.id),
+                    outbidPlayerId: outbidPlayerId !== bidder.id ? outbidPlayerId : null,
+                    refundedAmount: auction.current_bid,
+                    bidAmount
+                };
+            });
+            
+            const formatted = this.formatAuction(result.auction);
+            
+            await this.notifyPlayers([result.auction.seller_id], 'auctionBid', {
+                auction: formatted,
+                amount: result.bidAmount
+            });
+            
+            if (result.outbidPlayerId) {
+                await this.notifyPlayers([result.outbidPlayerId], 'auctionOutbid', {
+                    auction: formatted,
+                    refundedAmount: result.refundedAmount
+                });
+            }
+            
+            if (result.auction.status === 'sold') {
+                await this.finishSettlement(result.auction);
+            }
+            
+            await this.notifyStateChanged([result.auction.current_bidder_id, result.outbidPlayerId].filter(Boolean));
+            
+            return {
+                success: true,
+                data: formatted
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // 입찰이 없는 경매만 취소할 수 있다
+    async cancelAuction(userId, auctionId) {
+        try {
+            const auction = await this.db.transaction(async () => {
+                const player = await this.db.getPlayerByUserId(userId);
+                if (!player) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                const auction = await this.getActiveAuction(auctionId);
+                
+                if (auction.seller_id !== player.id) {
+                    throw new Error('자신의 경매만 취소할 수 있습니다.');
+                }
+                
+                if (auction.current_bidder_id) {
+                    throw new Error('입찰이 있는 경매는 취소할 수 없습니다.');
+                }
+                
+                await this.returnEscrow(auction);
+                await this.db.resolveAuction(auction.id, 'cancelled');
+                
+                return await this.db.getAuctionById(auction.id);
+            });
+            
+            await this.notifyStateChanged([auction.seller_id]);
+            
+            return {
+                success: true,
+                data: this.formatAuction(auction)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 정산 ===
+    // 마감된 경매 정산 (주기적으로 호출)
+    async settleExpiredAuctions(now = new Date()) {
+        const expiredAuctions = await this.db.getExpiredAuctions(now);
+        let settledCount = 0;
+        
+        for (const expired of expiredAuctions) {
+            try {
+                const auction = await this.db.transaction(async () => {
+                    await this.settle(expired);
+                    return await this.db.getAuctionById(expired.id);
+                });
+                
+                await this.finishSettlement(auction);
+                settledCount++;
+            } catch (error) {
+                console.error('경매 정산 오류:', error);
+            }
+        }
+        
+        return settledCount;
+    }
+    
+    // 낙찰: 에스크로된 대금을 판매자에게, 아이템을 낙찰자에게 지급하고 거래 기록을 남긴다.
+    // 유찰: 아이템을 판매자에게 돌려준다. (낙찰 아이템은 인벤토리 공간과 관계없이 지급한다)
+    async settle(auction) {
+        if (!auction.current_bidder_id) {
+            await this.returnEscrow(auction);
+            await this.db.resolveAuction(auction.id, 'expired');
+            return;
+        }
+        
+        const price = auction.current_bid;
+        await this.db.resolveAuction(auction.id, 'sold');
+        await this.db.updateActiveAuctionBid(auction.id, 'won');
+        await this.db.adjustPlayerMoney(auction.seller_id, price);
+        
+        await this.db.addItemToInventory({
+            id: uuidv4(),
+            playerId: auction.current_bidder_id,
+            itemId: auction.item_id,
+            itemName: auction.item_name,
+            itemCategory: auction.item_category,
+            basePrice: auction.base_price,
+            itemGrade: auction.item_grade,
+            requiredLicense: auction.required_license,
+            unitCost: Math.round(price / auction.quantity),
+            source: 'auction',
+            quantity: auction.quantity
+        });
+        
+        await this.db.createTradeRecord({
+            id: uuidv4(),
+            sellerId: auction.seller_id,
+            buyerId: auction.current_bidder_id,
+            merchantId: null, // 플레이어 간 거래
+            itemId: auction.item_id,
+            itemName: auction.item_name,
+            itemCategory: auction.item_category,
+            price,
+            quantity: auction.quantity,
+            tradeType: 'auction',
+            district: auction.district,
+            costBasis: auction.cost_basis,
+            locationLat: null,
+            locationLng: null
+        });
+    }
+    
+    async finishSettlement(auction) {
+        const formatted = this.formatAuction(auction);
+        const playerIds = [auction.seller_id, auction.current_bidder_id].filter(Boolean);
+        
+        await this.notifyPlayers(playerIds, 'auctionSettled', formatted);
+        await this.notifyStateChanged(playerIds);
+    }
+    
+    // === 내부 헬퍼 ===
+    async getActiveAuction(auctionId) {
+        const auction = await this.db.getAuctionById(auctionId);
+        if (!auction) {
+            throw new Error('경매를 찾을 수 없습니다.');
+        }
+        
+        if (auction.status !== 'active' || new Date(auction.ends_at) <= new Date()) {
+            throw new Error('이미 종료된 경매입니다.');
+        }
+        
+        return auction;
+    }
+    
+    // 첫 입찰은 시작가 이상, 이후에는 현재가보다 설정 비율(최소 1원) 이상 높아야 한다
+    getMinimumBid(auction) {
+        if (auction.current_bid === null) {
+            return auction.starting_price;
+        }
+        
+        const increment = Math.max(1, Math.ceil(auction.current_bid * getConfig().auctions.minBidIncrementRatio));
+        return auction.current_bid + increment;
+    }
+    
+    async returnEscrow(auction) {
+        await this.db.addItemToInventory({
+            id: uuidv4(),
+            playerId: auction.seller_id,
+            itemId: auction.item_id,
+            itemName: auction.item_name,
+            itemCategory: auction.item_category,
+            basePrice: auction.base_price,
+            itemGrade: auction.item_grade,
+            requiredLicense: auction.required_license,
+            unitCost: Math.round(auction.cost_basis / auction.quantity),
+            source: 'escrow_return',
+            quantity: auction.quantity
+        });
+    }
+    
+    // 플레이어 ID를 사용자 룸(user_${userId})으로 변환해 알림 전송
+    async notifyPlayers(playerIds, event, payload) {
+        if (!this.io) return;
+        
+        for (const playerId of playerIds) {
+            try {
+                const player = await this.db.getPlayerById(playerId);
+                if (player) {
+                    this.io.to(`user_${player.user_id}`).emit(event, payload);
+                }
+            } catch (error) {
+                console.error('경매 알림 전송 오류:', error);
+            }
+        }
+    }
+    
+    async notifyStateChanged(playerIds) {
+        if (this.playerService) {
+            await this.playerService.notifyStateChanged(playerIds, 'auction');
+        }
+    }
+    
+    formatAuction(auction) {
+        return {
+            id: auction.id,
+            sellerId: auction.seller_id,
+            item: {
+                itemId: auction.item_id,
+                name: auction.item_name,
+                category: auction.item_category,
+                grade: auction.item_grade,
+                requiredLicense: auction.required_license,
+                quantity: auction.quantity
+            },
+            district: auction.district,
+            startingPrice: auction.starting_price,
+            buyoutPrice: auction.buyout_price,
+            currentBid: auction.current_bid,
+            currentBidderId: auction.current_bidder_id,
+            bidCount: auction.bid_count,
+            minimumBid: auction.status === 'active' ? this.getMinimumBid(auction) : null,
+            status: auction.status,
+            createdAt: auction.created_at,
+            endsAt: auction.ends_at,
+            settledAt: auction.settled_at
+        };
+    }
+}
+
+export default AuctionService;
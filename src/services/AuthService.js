@@ -1,12 +1,34 @@
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { getConfig } from '../config/gameConfig.js';
+
+export class SessionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionError';
+    }
+}
+
+export class AccountBannedError extends Error {
+    constructor(message, reason = null) {
+        super(message);
+        this.name = 'AccountBannedError';
+        this.reason = reason;
+    }
+}
+
+export const USER_ROLES = ['player', 'admin'];
 
 class AuthService {
-    constructor(database) {
+    constructor(database, io = null) {
         this.db = database;
+        this.io = io;
         this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key';
         this.saltRounds = 10;
+        this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+        this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
     }
     
     async register(email, password, playerName) {
@@ -28,24 +50,27 @@ class AuthService {
                 passwordHash: passwordHash
             });
             
-            // 플레이어 데이터 생성
+            // 플레이어 데이터 생성 (시작 값은 게임 설정을 따른다)
+            const { player: startingValues, licenses } = getConfig();
+            const startingLicense = licenses.find(license => license.level === startingValues.startingLicense);
+            
             const playerId = uuidv4();
             await this.db.createPlayer({
                 id: playerId,
                 userId: userId,
                 name: playerName,
-                money: 50000,
-                trustPoints: 0,
-                currentLicense: 1,
-                maxInventorySize: 5
+                money: startingValues.startingMoney,
+                trustPoints: startingValues.startingTrust,
+                currentLicense: startingLicense.level,
+                maxInventorySize: startingLicense.inventorySize
             });
             
-            // JWT 토큰 생성
-            const token = this.generateToken(userId);
+            // 액세스/리프레시 토큰 발급
+            const tokens = await this.issueTokens(userId);
             
             return {
                 success: true,
-                token: token,
+                ...tokens,
                 user: {
                     id: userId,
                     email: email
@@ -53,9 +78,9 @@ class AuthService {
                 player: {
                     id: playerId,
                     name: playerName,
-                    money: 50000,
-                    trustPoints: 0,
-                    currentLicense: 1
+                    money: startingValues.startingMoney,
+                    trustPoints: startingValues.startingTrust,
+                    currentLicense: startingLicense.level
                 }
             };
         } catch (error) {
@@ -80,21 +105,26 @@ class AuthService {
                 throw new Error('이메일 또는 비밀번호가 잘못되었습니다.');
             }
             
+            if (user.banned_at) {
+                throw new Error(`이용이 정지된 계정입니다.${user.ban_reason ? ` (사유: ${user.ban_reason})` : ''}`);
+            }
+            
             // 플레이어 정보 조회
             const player = await this.db.getPlayerByUserId(user.id);
             if (!player) {
                 throw new Error('플레이어 정보를 찾을 수 없습니다.');
             }
             
-            // JWT 토큰 생성
-            const token = this.generateToken(user.id);
+            // 액세스/리프레시 토큰 발급
+            const tokens = await this.issueTokens(user.id, user.role);
             
             return {
                 success: true,
-                token: token,
+                ...tokens,
                 user: {
                     id: user.id,
-                    email: user.email
+                    email: user.email,
+                    role: user.role
                 },
                 player: {
                     id: player.id,
@@ -113,14 +143,186 @@ class AuthService {
         }
     }
     
-    generateToken(userId) {
+    // === 토큰 발급 / 갱신 ===
+    // 로그인마다 새 세션을 만들고, 리프레시 토큰은 세션 단위로 교체(rotation)된다.
+    async issueTokens(userId, role = 'player') {
+        const sessionId = uuidv4();
+        await this.db.createAuthSession(sessionId, userId);
+        
+        const refreshToken = await this.createRefreshToken(userId, sessionId);
+        
+        return {
+            token: this.generateToken(userId, sessionId, role),
+            refreshToken: refreshToken.token,
+            expiresIn: this.accessTokenTtl
+        };
+    }
+    
+    async refresh(refreshToken) {
+        try {
+            const tokens = await this.db.transaction(async () => {
+                const stored = await this.db.getRefreshTokenByHash(this.hashToken(refreshToken));
+                if (!stored) {
+                    throw new Error('유효하지 않은 리프레시 토큰입니다.');
+                }
+                
+                // 이미 교체된 토큰이 다시 쓰이면 탈취로 보고 세션 전체를 폐기
+                if (stored.revoked_at) {
+                    if (stored.replaced_by) {
+                        await this.db.revokeAuthSession(stored.session_id);
+                        console.warn(`⚠️ 리프레시 토큰 재사용 감지: 세션 ${stored.session_id} 폐기`);
+                    }
+                    return null;
+                }
+                
+                if (new Date(stored.expires_at) <= new Date()) {
+                    throw new Error('만료된 리프레시 토큰입니다. 다시 로그인해주세요.');
+                }
+                
+                const session = await this.db.getAuthSession(stored.session_id);
+                if (!session || session.revoked_at) {
+                    throw new Error('종료된 세션입니다. 다시 로그인해주세요.');
+                }
+                
+                // 정지된 계정은 토큰을 갱신할 수 없다
+                const user = await this.db.getUserById(stored.user_id);
+                if (!user || user.banned_at) {
+                    throw new Error('이용이 정지된 계정입니다.');
+                }
+                
+                const next = await this.createRefreshToken(stored.user_id, stored.session_id);
+                const rotated = await this.db.rotateRefreshToken(stored.id, next.id);
+                if (!rotated) {
+                    throw new Error('폐기된 리프레시 토큰입니다. 다시 로그인해주세요.');
+                }
+                
+                return {
+                    token: this.generateToken(stored.user_id, stored.session_id, user.role),
+                    refreshToken: next.token,
+                    expiresIn: this.accessTokenTtl
+                };
+            });
+            
+            // 폐기 처리는 커밋되어야 하므로 트랜잭션 밖에서 실패를 알린다
+            if (!tokens) {
+                throw new Error('폐기된 리프레시 토큰입니다. 다시 로그인해주세요.');
+            }
+            
+            return {
+                success: true,
+                ...tokens
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 로그아웃 ===
+    // 폐기된 세션은 소켓 연결 시에만 확인하므로 이미 열린 소켓은 여기서 끊는다
+    async logout(userId, sessionId) {
+        try {
+            await this.db.revokeAuthSession(sessionId);
+            await this.disconnectSockets(userId, sessionId);
+            return {
+                success: true,
+                message: '로그아웃되었습니다.'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async logoutAll(userId) {
+        try {
+            const result = await this.db.revokeUserSessions(userId);
+            await this.disconnectSockets(userId);
+            return {
+                success: true,
+                message: '모든 기기에서 로그아웃되었습니다.',
+                revokedSessions: result.changes
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // 사용자의 소켓 연결 종료 (sessionId가 주어지면 그 세션으로 연결한 소켓만)
+    async disconnectSockets(userId, sessionId = null) {
+        if (!this.io) return;
+        
+        const room = this.io.in(`user_${userId}`);
+        if (!sessionId) {
+            room.disconnectSockets(true);
+            return;
+        }
+        
+        const sockets = await room.fetchSockets();
+        sockets
+            .filter(socket => socket.user?.sid === sessionId)
+            .forEach(socket => socket.disconnect(true));
+    }
+    
+    // === 토큰 유틸리티 ===
+    async createRefreshToken(userId, sessionId) {
+        const token = crypto.randomBytes(48).toString('hex');
+        const id = uuidv4();
+        const expiresAt = new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+        
+        await this.db.createRefreshToken({
+            id,
+            sessionId,
+            userId,
+            tokenHash: this.hashToken(token),
+            expiresAt: expiresAt.toISOString()
+        });
+        
+        return { id, token };
+    }
+    
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+    
+    // role 클레임은 클라이언트 표시용이며 접근 제어는 verifyAccessToken이 DB에서 읽은 역할을 쓴다
+    generateToken(userId, sessionId, role = 'player') {
         return jwt.sign(
-            { userId: userId },
+            { userId: userId, sid: sessionId, role: role },
             this.jwtSecret,
-            { expiresIn: '7d' }
+            { expiresIn: this.accessTokenTtl }
         );
     }
     
+    // 서명 검증 + 계정 정지 / 세션 폐기 여부 확인 (실패 시 예외)
+    // 역할은 토큰 발급 이후 바뀔 수 있으므로 DB의 현재 역할로 덮어쓴다 (강등이 토큰 만료를 기다리지 않는다)
+    async verifyAccessToken(token) {
+        const decoded = jwt.verify(token, this.jwtSecret);
+        
+        if (!decoded.sid) {
+            throw new SessionError('Session required');
+        }
+        
+        const user = await this.db.getUserById(decoded.userId);
+        if (user && user.banned_at) {
+            throw new AccountBannedError('Account banned', user.ban_reason);
+        }
+        
+        const session = await this.db.getAuthSession(decoded.sid);
+        if (!session || session.revoked_at || session.user_id !== decoded.userId) {
+            throw new SessionError('Session revoked');
+        }
+        
+        return user ? { ...decoded, role: user.role } : decoded;
+    }
+    
     verifyToken(token) {
         try {
             return jwt.verify(token, this.jwtSecret);
@@ -0,0 +1,217 @@
+// src/services/EventService.js - 기간 한정 시장 이벤트 스케줄링 및 알림
+import { v4 as uuidv4 } from 'uuid';
+import { getEventDefinitions, getEventSchedule, getEventDefinition } from '../data/marketEvents.js';
+import { toSqlTimestamp, parseSqlTimestamp } from '../utils/time.js';
+import { logger } from '../utils/logger.js';
+
+class EventService {
+    constructor(database, io, options = {}) {
+        this.db = database;
+        this.io = io;
+        this.random = options.random || Math.random;
+    }
+    
+    // === 이벤트 예약 ===
+    // district/category를 지정하지 않으면 이벤트 범위에 맞춰 무작위로 고른다.
+    async scheduleEvent(type, options = {}) {
+        try {
+            const definition = getEventDefinition(type);
+            if (!definition) {
+                throw new Error(`이벤트 종류는 ${getEventDefinitions().map(def => def.type).join(', ')} 중 하나여야 합니다.`);
+            }
+            
+            const startsAt = options.startsAt ? new Date(options.startsAt) : new Date();
+            if (isNaN(startsAt.getTime())) {
+                throw new Error('이벤트 시작 시각이 올바르지 않습니다.');
+            }
+            
+            const durationMinutes = options.durationMinutes || definition.durationMinutes;
+            if (!(durationMinutes > 0)) {
+                throw new Error('이벤트 기간은 0보다 커야 합니다.');
+            }
+            
+            const { district, category } = await this.resolveScope(definition, options);
+            const endsAt = new Date(startsAt.getTime() + durationMinutes * 60 * 1000);
+            const eventId = uuidv4();
+            
+            await this.db.createMarketEvent({
+                id: eventId,
+                type: definition.type,
+                name: definition.name,
+                description: definition.description,
+                district,
+                category,
+                priceMultiplier: options.priceMultiplier || definition.priceMultiplier,
+                startsAt: toSqlTimestamp(startsAt),
+                endsAt: toSqlTimestamp(endsAt)
+            });
+            
+            const event = await this.db.getMarketEventById(eventId);
+            this.broadcast('marketEventScheduled', event);
+            
+            // 바로 시작하는 이벤트는 다음 스케줄러 주기를 기다리지 않는다
+            if (startsAt <= new Date()) {
+                await this.processEvents();
+            }
+            
+            return {
+                success: true,
+                data: this.formatEvent(await this.db.getMarketEventById(eventId))
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async scheduleRandomEvent(now = new Date()) {
+        const definition = this.pickWeighted(getEventDefinitions());
+        const { minLeadMinutes, maxLeadMinutes } = getEventSchedule();
+        const leadMinutes = minLeadMinutes + Math.floor(this.random() * (maxLeadMinutes - minLeadMinutes + 1));
+        
+        return await this.scheduleEvent(definition.type, {
+            startsAt: new Date(now.getTime() + leadMinutes * 60 * 1000)
+        });
+    }
+    
+    // === 스케줄러 ===
+    // 시작/종료 시각이 지난 이벤트의 상태를 바꾸고 알린다.
+    async processEvents(now = new Date()) {
+        const timestamp = toSqlTimestamp(now);
+        const started = [];
+        const ended = [];
+        
+        for (const event of await this.db.getMarketEventsToStart(timestamp)) {
+            // 서버가 꺼져 있는 동안 기간이 지나버린 이벤트는 시작 알림 없이 종료
+            const expired = parseSqlTimestamp(event.ends_at) <= now;
+            const changed = await this.db.updateMarketEventStatus(event.id, 'scheduled', expired ? 'ended' : 'active');
+            
+            if (changed && !expired) {
+                started.push(event);
+                this.broadcast('marketEventStarted', { ...event, status: 'active' });
+            }
+        }
+        
+        for (const event of await this.db.getMarketEventsToEnd(timestamp)) {
+            if (await this.db.updateMarketEventStatus(event.id, 'active', 'ended')) {
+                ended.push(event);
+                this.broadcast('marketEventEnded', { ...event, status: 'ended' });
+            }
+        }
+        
+        return { started: started.length, ended: ended.length };
+    }
+    
+    // 주기적으로 호출: 상태 전환 후 예고된 이벤트가 부족하면 새로 예약
+    async tick(now = new Date()) {
+        try {
+            const result = await this.processEvents(now);
+            
+            const scheduledCount = await this.db.getScheduledMarketEventCount();
+            for (let i = scheduledCount; i < getEventSchedule().maxScheduled; i++) {
+                const scheduled = await this.scheduleRandomEvent(now);
+                if (!scheduled.success) {
+                    throw new Error(scheduled.error);
+                }
+            }
+            
+            if (result.started > 0 || result.ended > 0) {
+                logger.info(`🎉 시장 이벤트 시작 ${result.started}건, 종료 ${result.ended}건`);
+            }
+            
+            return result;
+        } catch (error) {
+            console.error('시장 이벤트 처리 오류:', error);
+            throw error;
+        }
+    }
+    
+    // === 조회 ===
+    async getEvents(now = new Date()) {
+        try {
+            const until = new Date(now.getTime() + getEventSchedule().upcomingWindowHours * 60 * 60 * 1000);
+            
+            const [active, upcoming] = await Promise.all([
+                this.db.getActiveMarketEvents(toSqlTimestamp(now)),
+                this.db.getUpcomingMarketEvents(toSqlTimestamp(now), toSqlTimestamp(until))
+            ]);
+            
+            return {
+                success: true,
+                data: {
+                    active: active.map(event => this.formatEvent(event)),
+                    upcoming: upcoming.map(event => this.formatEvent(event))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 내부 헬퍼 ===
+    async resolveScope(definition, options) {
+        let district = definition.district || null;
+        let category = definition.category || null;
+        
+        if (definition.scope === 'district' || definition.scope === 'district_category') {
+            const districts = await this.db.getMarketDistricts();
+            district = options.district || district || this.pick(districts);
+            if (!districts.includes(district)) {
+                throw new Error('존재하지 않는 지역입니다.');
+            }
+        }
+        
+        if (definition.scope === 'category' || definition.scope === 'district_category') {
+            const categories = await this.db.getItemCategories();
+            category = options.category || category || this.pick(categories);
+            if (!categories.includes(category)) {
+                throw new Error('존재하지 않는 품목군입니다.');
+            }
+        }
+        
+        return { district, category };
+    }
+    
+    pick(values) {
+        return values[Math.floor(this.random() * values.length)];
+    }
+    
+    pickWeighted(definitions) {
+        const totalWeight = definitions.reduce((sum, definition) => sum + definition.weight, 0);
+        let roll = this.random() * totalWeight;
+        
+        for (const definition of definitions) {
+            roll -= definition.weight;
+            if (roll < 0) return definition;
+        }
+        
+        return definitions[definitions.length - 1];
+    }
+    
+    broadcast(event, payload) {
+        if (!this.io) return;
+        this.io.emit(event, this.formatEvent(payload));
+    }
+    
+    formatEvent(event) {
+        return {
+            id: event.id,
+            type: event.type,
+            name: event.name,
+            description: event.description,
+            district: event.district,
+            category: event.category,
+            priceMultiplier: event.price_multiplier,
+            status: event.status,
+            startsAt: parseSqlTimestamp(event.starts_at).toISOString(),
+            endsAt: parseSqlTimestamp(event.ends_at).toISOString()
+        };
+    }
+}
+
+export default EventService;
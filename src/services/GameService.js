@@ -1,9 +1,87 @@
 // src/services/GameService.js - 향상된 버전
 import { v4 as uuidv4 } from 'uuid';
+import PriceEngine from './PriceEngine.js';
+import { haversineDistance, geohashCellsInRadius } from '../utils/geo.js';
+import { toSqlTimestamp, parseSqlTimestamp } from '../utils/time.js';
+import { getConfig } from '../config/gameConfig.js';
+import { getRestockPolicy } from '../data/merchantTypes.js';
+import { getTrustRules, getRelationshipTier, getNextRelationshipTier } from '../data/relationshipTiers.js';
+import { LEADERBOARD_TYPES } from '../database/DatabaseManager.js';
+import { getEventMultiplier } from '../data/marketEvents.js';
+import { getItemDefinition } from '../data/items.js';
+import { getRewardCalendar, getKstDate, getKstDayStart, addDays, getNextKstMidnight, getRewardForStreak } from '../data/dailyRewards.js';
+import { formatInventory } from './PlayerService.js';
+import { logger } from '../utils/logger.js';
+
+// 시세 차트 구간 설정 (bucket: SQLite strftime 형식, defaultRangeHours: 기본 조회 기간)
+const HISTORY_INTERVALS = {
+    hour: { bucket: '%Y-%m-%d %H:00:00', defaultRangeHours: 48 },
+    day: { bucket: '%Y-%m-%d', defaultRangeHours: 30 * 24 },
+    week: { bucket: 'week', defaultRangeHours: 26 * 7 * 24 }
+};
+
+// 시세 이력 보존 정책: 오래된 원본 데이터는 시간/일 단위 OHLC 지점만 남긴다
+const HISTORY_RETENTION = [
+    { olderThanDays: 7, bucket: '%Y-%m-%d %H:00:00' },
+    { olderThanDays: 90, bucket: '%Y-%m-%d' }
+];
+
+// 주변 상인 검색 제한
+const NEARBY_DEFAULT_RADIUS_METERS = 1000;
+const NEARBY_MAX_RADIUS_METERS = 5000;
+const NEARBY_DEFAULT_LIMIT = 20;
+const NEARBY_MAX_LIMIT = 50;
+
+// 포트폴리오 실현 손익 집계 기간 (최근 N시간, null은 전체 기간)
+const PORTFOLIO_WINDOWS = {
+    day: 24,
+    week: 7 * 24,
+    all: null
+};
+
+// 리더보드 스냅샷 보존 기간 (일)
+const LEADERBOARD_SNAPSHOT_RETENTION_DAYS = 7;
+
+// 구매 / 판매 / 라이센스 업그레이드 실패 사유. 결과의 code로 전달되어 클라이언트가 분기할 수 있다.
+// PLAYER_NOT_FOUND, MERCHANT_NOT_FOUND, ITEM_NOT_FOUND, INVALID_QUANTITY, LOCATION_REQUIRED, MERCHANT_TOO_FAR,
+// LICENSE_REQUIRED, RELATIONSHIP_REQUIRED, NOT_SOLD_HERE, NOT_BOUGHT_HERE, OUT_OF_STOCK, INSUFFICIENT_STOCK,
+// PRICE_UNAVAILABLE, INSUFFICIENT_FUNDS, INVENTORY_FULL, INSUFFICIENT_QUANTITY, MAX_LICENSE, INSUFFICIENT_TRUST
+export class GameError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'GameError';
+        this.code = code;
+    }
+}
+
+export const MAX_BUY_QUANTITY = 10;
+
+// 한 번에 견적을 요청할 수 있는 상인 수
+const MAX_QUOTE_MERCHANTS = 20;
 
 class GameService {
-    constructor(database) {
+    constructor(database, options = {}) {
         this.db = database;
+        
+        this.options = options;
+        
+        // 상태 변경 후 playerStateChanged 푸시, 상인 거래 피드(trade_updates 룸) 전송
+        this.playerService = options.playerService || null;
+        this.io = options.io || null;
+        
+        this.priceEngine = options.priceEngine || new PriceEngine({
+            ...getConfig().pricing.engine,
+            seed: process.env.PRICE_SEED ? parseInt(process.env.PRICE_SEED) : undefined
+        });
+    }
+    
+    // 상인과 거래 가능한 거리(m)와 허용 이동 속도(km/h) - 옵션이 없으면 게임 설정 값
+    get interactionRadiusMeters() {
+        return this.options.interactionRadiusMeters || getConfig().trading.merchantInteractionRadiusMeters;
+    }
+    
+    get maxTravelSpeedKmh() {
+        return this.options.maxTravelSpeedKmh || getConfig().trading.maxTravelSpeedKmh;
     }
     
     // === 플레이어 데이터 관리 ===
@@ -15,8 +93,11 @@ class GameService {
                 throw new Error('플레이어를 찾을 수 없습니다.');
             }
             
-            // 인벤토리 조회
-            const inventory = await this.db.getPlayerInventory(player.id);
+            // 인벤토리 조회 (아이템별 스택과 구매 묶음)
+            const [inventory, lots] = await Promise.all([
+                this.db.getPlayerInventory(player.id),
+                this.db.getPlayerInventoryLots(player.id)
+            ]);
             
             return {
                 success: true,
@@ -31,17 +112,8 @@ class GameService {
                         lat: player.location_lat,
                         lng: player.location_lng
                     },
-                    inventory: inventory.map(item => ({
-                        id: item.id,
-                        name: item.item_name,
-                        category: item.item_category,
-                        basePrice: item.base_price,
-                        currentPrice: item.current_price,
-                        grade: item.item_grade,
-                        requiredLicense: item.required_license,
-                        quantity: item.quantity,
-                        acquiredAt: item.acquired_at
-                    })),
+                    locationSharing: player.location_sharing,
+                    inventory: formatInventory(inventory, lots),
                     lastActive: player.last_active
                 }
             };
@@ -60,7 +132,30 @@ class GameService {
                 throw new Error('플레이어를 찾을 수 없습니다.');
             }
             
-            await this.db.updatePlayerLocation(player.id, latitude, longitude);
+            const now = new Date();
+            const movement = this.checkMovement(player, latitude, longitude, now);
+            
+            if (!movement.plausible) {
+                await this.db.createMovementFlag({
+                    playerId: player.id,
+                    fromLat: player.location_lat,
+                    fromLng: player.location_lng,
+                    toLat: latitude,
+                    toLng: longitude,
+                    distanceMeters: movement.distance,
+                    elapsedSeconds: movement.elapsedSeconds,
+                    speedKmh: movement.speedKmh
+                });
+                console.warn(`⚠️ 비정상 이동 감지: 플레이어 ${player.id} (${Math.round(movement.speedKmh)}km/h)`);
+                
+                return {
+                    success: false,
+                    error: '비정상적인 이동이 감지되어 위치가 반영되지 않았습니다.',
+                    code: 'IMPLAUSIBLE_MOVEMENT'
+                };
+            }
+            
+            await this.db.updatePlayerLocation(player.id, latitude, longitude, now.toISOString());
             
             return {
                 success: true,
@@ -75,276 +170,667 @@ class GameService {
     }
     
     // === 거래 시스템 ===
-    async buyItem(userId, merchantId, itemName, quantity = 1) {
+    // itemRef는 카탈로그 아이템 ID (이전 클라이언트 호환을 위해 표시 이름도 허용)
+    // options.unitPrice: 흥정으로 합의한 단가 (없으면 시세 기준 정가)
+    async buyItem(userId, merchantId, itemRef, quantity = 1, options = {}) {
         try {
-            // 플레이어 정보 조회
-            const player = await this.db.getPlayerByUserId(userId);
-            if (!player) {
-                throw new Error('플레이어를 찾을 수 없습니다.');
-            }
-            
-            // 상인 정보 조회
-            const merchant = await this.db.getMerchantById(merchantId);
-            if (!merchant) {
-                throw new Error('상인을 찾을 수 없습니다.');
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_BUY_QUANTITY) {
+                throw new GameError(`구매 수량은 1-${MAX_BUY_QUANTITY}개 사이여야 합니다.`, 'INVALID_QUANTITY');
             }
             
-            // 라이센스 체크
-            if (player.current_license < merchant.required_license) {
-                throw new Error('라이센스가 부족합니다.');
-            }
-            
-            // 상인 인벤토리 체크
-            const merchantInventory = JSON.parse(merchant.inventory || '[]');
-            if (!merchantInventory.includes(itemName)) {
-                throw new Error('상인이 해당 아이템을 판매하지 않습니다.');
-            }
-            
-            // 시장 가격 조회
-            const marketPrice = await this.db.getMarketPrice(itemName);
-            if (!marketPrice) {
-                throw new Error('아이템 가격 정보를 찾을 수 없습니다.');
-            }
-            
-            const totalPrice = marketPrice.current_price * quantity;
-            
-            // 돈 체크
-            if (player.money < totalPrice) {
-                throw new Error('돈이 부족합니다.');
-            }
+            // 조회와 변경을 하나의 트랜잭션으로 묶어 중간 실패 시 전체 롤백
+            const data = await this.db.transaction(async () => {
+                const item = await this.resolveItem(itemRef);
+                
+                // 플레이어 정보 조회
+                const player = await this.db.getPlayerByUserId(userId);
+                if (!player) {
+                    throw new GameError('플레이어를 찾을 수 없습니다.', 'PLAYER_NOT_FOUND');
+                }
+                
+                // 상인 정보 조회
+                const merchant = await this.db.getMerchantById(merchantId);
+                if (!merchant) {
+                    throw new GameError('상인을 찾을 수 없습니다.', 'MERCHANT_NOT_FOUND');
+                }
+                
+                // 거리 체크
+                this.assertNearMerchant(player, merchant);
+                
+                // 라이센스 체크 (상인 / 아이템별 요구 라이센스)
+                if (player.current_license < merchant.required_license) {
+                    throw new GameError('라이센스가 부족합니다.', 'LICENSE_REQUIRED');
+                }
+                
+                if (player.current_license < item.required_license) {
+                    throw new GameError(`라이센스 ${item.required_license} 이상부터 구매할 수 있는 아이템입니다.`, 'LICENSE_REQUIRED');
+                }
+                
+                // 상인과의 관계 등급 체크
+                const tier = await this.getMerchantTier(player.id, merchant);
+                
+                // 상인 재고 체크
+                const stock = await this.db.getMerchantStockItem(merchantId, item.id);
+                if (!stock) {
+                    throw new GameError('상인이 해당 아이템을 판매하지 않습니다.', 'NOT_SOLD_HERE');
+                }
+                
+                if (tier.level < stock.required_relationship) {
+                    throw new GameError(`관계 등급 ${stock.required_relationship} 이상부터 구매할 수 있는 아이템입니다.`, 'RELATIONSHIP_REQUIRED');
+                }
+                
+                if (stock.quantity === 0) {
+                    throw new GameError('품절된 아이템입니다.', 'OUT_OF_STOCK');
+                }
+                
+                if (stock.quantity < quantity) {
+                    throw new GameError(`상인의 재고가 부족합니다. (남은 수량: ${stock.quantity}개)`, 'INSUFFICIENT_STOCK');
+                }
+                
+                // 상인이 있는 지역의 시장 가격 조회
+                const marketPrice = await this.db.getMarketPrice(item.id, merchant.district);
+                if (!marketPrice) {
+                    throw new GameError('아이템 가격 정보를 찾을 수 없습니다.', 'PRICE_UNAVAILABLE');
+                }
+                
+                const eventMultiplier = await this.getEventMultiplier(item.category, merchant.district);
+                const unitPrice = options.unitPrice ?? this.calculateBuyPrice(marketPrice, eventMultiplier, tier);
+                const totalPrice = unitPrice * quantity;
+                
+                // 인벤토리 공간 체크 (보유 수량 기준)
+                const inventoryCount = await this.db.getInventoryCount(player.id);
+                
+                if (inventoryCount + quantity > player.max_inventory_size) {
+                    throw new GameError('인벤토리 공간이 부족합니다.', 'INVENTORY_FULL');
+                }
+                
+                if (player.money < totalPrice) {
+                    throw new GameError('돈이 부족합니다.', 'INSUFFICIENT_FUNDS');
+                }
+                
+                // 1. 돈 차감 (잔액 부족 시 실패) 및 상인 재고 차감
+                await this.db.adjustPlayerMoney(player.id, -totalPrice);
+                
+                const decremented = await this.db.decrementMerchantStock(merchantId, item.id, quantity);
+                if (!decremented) {
+                    throw new GameError('품절된 아이템입니다.', 'OUT_OF_STOCK');
+                }
+                
+                // 2. 아이템을 인벤토리에 추가 (같은 아이템 스택에 구매 단가로 묶음 추가)
+                await this.db.addItemToInventory({
+                    ...this.inventoryItemData(item),
+                    id: uuidv4(),
+                    playerId: player.id,
+                    basePrice: marketPrice.base_price,
+                    unitCost: unitPrice,
+                    source: 'buy',
+                    quantity: quantity
+                });
+                
+                // 3. 거래 기록 생성
+                await this.db.createTradeRecord({
+                    id: uuidv4(),
+                    sellerId: null, // 상인과의 거래
+                    buyerId: player.id,
+                    merchantId: merchantId,
+                    itemId: item.id,
+                    itemName: item.name,
+                    itemCategory: item.category,
+                    price: totalPrice,
+                    quantity: quantity,
+                    tradeType: 'buy',
+                    district: merchant.district,
+                    locationLat: player.location_lat,
+                    locationLng: player.location_lng
+                });
+                
+                // 4. 신뢰도 적립
+                const trust = await this.awardTradeTrust(player.id, merchant.id, totalPrice);
+                
+                const updated = await this.db.getPlayerByUserId(userId);
+                
+                return {
+                    itemId: item.id,
+                    itemName: item.name,
+                    quantity,
+                    unitPrice,
+                    totalPrice,
+                    remainingMoney: updated.money,
+                    trust
+                };
+            });
             
-            // 인벤토리 공간 체크
-            const currentInventory = await this.db.getPlayerInventory(player.id);
-            const totalItems = currentInventory.reduce((sum, item) => sum + item.quantity, 0);
+            await this.notifyStateChanged(userId, 'buy');
+            await this.publishTrade('buy', merchantId, data);
             
-            if (totalItems + quantity > player.max_inventory_size) {
-                throw new Error('인벤토리 공간이 부족합니다.');
+            return {
+                success: true,
+                data
+            };
+        
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code || 'INTERNAL_ERROR'
+            };
+        }
+    }
+    
+    // itemId는 인벤토리 스택 ID. lotId를 주면 해당 구매 묶음에서만 꺼내고, 없으면 오래된 묶음부터(FIFO) 꺼낸다.
+    // options.unitPrice: 흥정으로 합의한 단가 (없으면 시세 기준 정가)
+    async sellItem(userId, itemId, merchantId, quantity = 1, lotId = null, options = {}) {
+        try {
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new GameError('판매 수량은 1개 이상이어야 합니다.', 'INVALID_QUANTITY');
             }
             
-            // 트랜잭션 시작 (SQLite는 자동 커밋이므로 수동으로 관리)
-            
-            // 1. 돈 차감
-            await this.db.updatePlayer(player.id, { 
-                money: player.money - totalPrice 
-            });
-            
-            // 2. 아이템을 인벤토리에 추가
-            const itemGrade = this.determineItemGrade(itemName);
-            const requiredLicense = this.getRequiredLicense(itemName);
-            
-            await this.db.addItemToInventory({
-                id: uuidv4(),
-                playerId: player.id,
-                itemName: itemName,
-                itemCategory: marketPrice.district, // 카테고리로 지역 사용
-                basePrice: marketPrice.base_price,
-                currentPrice: marketPrice.current_price,
-                itemGrade: itemGrade,
-                requiredLicense: requiredLicense,
-                quantity: quantity
+            const data = await this.db.transaction(async () => {
+                // 플레이어 정보 조회
+                const player = await this.db.getPlayerByUserId(userId);
+                if (!player) {
+                    throw new GameError('플레이어를 찾을 수 없습니다.', 'PLAYER_NOT_FOUND');
+                }
+                
+                // 아이템 조회
+                const item = await this.db.get('SELECT * FROM inventory WHERE id = ? AND player_id = ?', [itemId, player.id]);
+                if (!item) {
+                    throw new GameError('아이템을 찾을 수 없습니다.', 'ITEM_NOT_FOUND');
+                }
+                
+                if (item.quantity < quantity) {
+                    throw new GameError('판매하려는 수량이 보유 수량보다 많습니다.', 'INSUFFICIENT_QUANTITY');
+                }
+                
+                if (lotId) {
+                    const lot = await this.db.getInventoryLot(lotId, item.id);
+                    if (!lot) {
+                        throw new GameError('선택한 구매 묶음을 찾을 수 없습니다.', 'LOT_NOT_FOUND');
+                    }
+                    
+                    if (lot.quantity < quantity) {
+                        throw new GameError('판매하려는 수량이 구매 묶음의 수량보다 많습니다.', 'INSUFFICIENT_QUANTITY');
+                    }
+                }
+                
+                // 상인 정보 조회
+                const merchant = await this.db.getMerchantById(merchantId);
+                if (!merchant) {
+                    throw new GameError('상인을 찾을 수 없습니다.', 'MERCHANT_NOT_FOUND');
+                }
+                
+                // 거리 체크
+                this.assertNearMerchant(player, merchant);
+                
+                // 상인과의 관계 등급 체크
+                const tier = await this.getMerchantTier(player.id, merchant);
+                
+                // 상인이 사들이는 품목군인지 체크
+                const buyEntry = this.getMerchantBuyEntry(merchant, item.item_category);
+                if (!buyEntry) {
+                    throw new GameError('상인이 해당 품목군을 사들이지 않습니다.', 'NOT_BOUGHT_HERE');
+                }
+                
+                // 상인이 있는 지역의 시장 가격 조회
+                const marketPrice = await this.db.getMarketPrice(item.item_id, merchant.district);
+                if (!marketPrice) {
+                    throw new GameError('아이템 가격 정보를 찾을 수 없습니다.', 'PRICE_UNAVAILABLE');
+                }
+                
+                const eventMultiplier = await this.getEventMultiplier(item.item_category, merchant.district);
+                const unitPrice = options.unitPrice ?? this.calculateSellPrice(marketPrice, eventMultiplier, buyEntry.spread, tier);
+                const totalPrice = unitPrice * quantity;
+                
+                // 1. 아이템 제거/수량 감소 (꺼낸 묶음의 취득 원가 합계)
+                const costBasis = await this.db.removeItemFromInventory(itemId, quantity, lotId);
+                
+                // 2. 돈 추가
+                await this.db.adjustPlayerMoney(player.id, totalPrice);
+                
+                // 3. 거래 기록 생성
+                await this.db.createTradeRecord({
+                    id: uuidv4(),
+                    sellerId: player.id,
+                    buyerId: null, // 상인과의 거래
+                    merchantId: merchantId,
+                    itemId: item.item_id,
+                    itemName: item.item_name,
+                    itemCategory: item.item_category,
+                    price: totalPrice,
+                    quantity: quantity,
+                    tradeType: 'sell',
+                    district: merchant.district,
+                    costBasis,
+                    locationLat: player.location_lat,
+                    locationLng: player.location_lng
+                });
+                
+                // 4. 신뢰도 적립
+                const trust = await this.awardTradeTrust(player.id, merchant.id, totalPrice);
+                
+                const updated = await this.db.getPlayerByUserId(userId);
+                
+                return {
+                    itemId: item.item_id,
+                    itemName: item.item_name,
+                    quantity,
+                    unitPrice,
+                    totalPrice,
+                    costBasis,
+                    realizedProfit: totalPrice - costBasis,
+                    newMoney: updated.money,
+                    trust
+                };
             });
             
-            // 3. 거래 기록 생성
-            await this.db.createTradeRecord({
-                id: uuidv4(),
-                sellerId: null, // 상인과의 거래
-                buyerId: player.id,
-                merchantId: merchantId,
-                itemName: itemName,
-                itemCategory: marketPrice.district,
-                price: totalPrice,
-                quantity: quantity,
-                tradeType: 'buy',
-                locationLat: player.location_lat,
-                locationLng: player.location_lng
-            });
+            await this.notifyStateChanged(userId, 'sell');
+            await this.publishTrade('sell', merchantId, data);
             
             return {
                 success: true,
-                data: {
-                    itemName,
-                    quantity,
-                    totalPrice,
-                    remainingMoney: player.money - totalPrice
-                }
+                data
             };
-            
+        
         } catch (error) {
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                code: error.code || 'INTERNAL_ERROR'
             };
         }
     }
     
-    async sellItem(userId, itemId, merchantId, quantity = 1) {
+    // 여러 상인의 구매 / 판매 단가를 거래 전에 비교한다. 가격 계산은 buyItem / sellItem과 같다.
+    // merchantIds가 없으면 해당 아이템을 팔거나 그 품목군을 사들이는 모든 상인의 견적을 돌려준다.
+    // buy: 상인이 아이템을 팔지 않으면 null, 지금 살 수 없으면 available이 false이고 code에 사유가 담긴다.
+    // sell: 상인이 품목군을 사들이지 않거나 지역 시세가 없으면 null.
+    async getQuotes(userId, itemRef, merchantIds = null) {
         try {
-            // 플레이어 정보 조회
             const player = await this.db.getPlayerByUserId(userId);
             if (!player) {
-                throw new Error('플레이어를 찾을 수 없습니다.');
+                throw new GameError('플레이어를 찾을 수 없습니다.', 'PLAYER_NOT_FOUND');
             }
             
-            // 아이템 조회
-            const item = await this.db.get('SELECT * FROM inventory WHERE id = ? AND player_id = ?', [itemId, player.id]);
-            if (!item) {
-                throw new Error('아이템을 찾을 수 없습니다.');
-            }
+            const item = await this.resolveItem(itemRef);
             
-            if (item.quantity < quantity) {
-                throw new Error('판매하려는 수량이 보유 수량보다 많습니다.');
+            let merchants;
+            if (merchantIds) {
+                const uniqueIds = [...new Set(merchantIds)];
+                if (uniqueIds.length === 0 || uniqueIds.length > MAX_QUOTE_MERCHANTS) {
+                    throw new GameError(`상인은 1-${MAX_QUOTE_MERCHANTS}명까지 지정할 수 있습니다.`, 'INVALID_MERCHANTS');
+                }
+                
+                merchants = [];
+                for (const merchantId of uniqueIds) {
+                    const merchant = await this.db.getMerchantById(merchantId);
+                    if (!merchant) {
+                        throw new GameError(`상인을 찾을 수 없습니다: ${merchantId}`, 'MERCHANT_NOT_FOUND');
+                    }
+                    merchants.push(merchant);
+                }
+            } else {
+                const stockByMerchant = await this.getStockByMerchant();
+                merchants = (await this.db.getAllMerchants()).filter(merchant =>
+                    this.getMerchantBuyEntry(merchant, item.category) ||
+                    (stockByMerchant.get(merchant.id) || []).some(stock => stock.itemId === item.id));
             }
             
-            // 상인 정보 조회
-            const merchant = await this.db.getMerchantById(merchantId);
-            if (!merchant) {
-                throw new Error('상인을 찾을 수 없습니다.');
+            const quotes = [];
+            for (const merchant of merchants) {
+                quotes.push(await this.quoteMerchant(player, merchant, item));
             }
             
-            // 판매 가격 계산 (현재 시장 가격의 90%)
-            const sellPrice = Math.floor(item.current_price * 0.9);
-            const totalPrice = sellPrice * quantity;
-            
-            // 1. 돈 추가
-            await this.db.updatePlayer(player.id, { 
-                money: player.money + totalPrice 
-            });
-            
-            // 2. 아이템 제거/수량 감소
-            await this.db.removeItemFromInventory(itemId, quantity);
-            
-            // 3. 거래 기록 생성
-            await this.db.createTradeRecord({
-                id: uuidv4(),
-                sellerId: player.id,
-                buyerId: null, // 상인과의 거래
-                merchantId: merchantId,
-                itemName: item.item_name,
-                itemCategory: item.item_category,
-                price: totalPrice,
-                quantity: quantity,
-                tradeType: 'sell',
-                locationLat: player.location_lat,
-                locationLng: player.location_lng
-            });
-            
             return {
                 success: true,
                 data: {
-                    itemName: item.item_name,
-                    quantity,
-                    totalPrice,
-                    newMoney: player.money + totalPrice
+                    item: this.formatItem(item),
+                    quotes
                 }
             };
-            
         } catch (error) {
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                code: error.code || 'INTERNAL_ERROR'
+            };
+        }
+    }
+    
+    async quoteMerchant(player, merchant, item) {
+        const relationship = await this.db.getRelationship(player.id, merchant.id);
+        const tier = getRelationshipTier(relationship ? relationship.trust : 0);
+        
+        const distance = player.location_lat === null || player.location_lng === null
+            ? null
+            : haversineDistance(player.location_lat, player.location_lng, merchant.location_lat, merchant.location_lng);
+        
+        const marketPrice = await this.db.getMarketPrice(item.id, merchant.district);
+        const eventMultiplier = await this.getEventMultiplier(item.category, merchant.district);
+        
+        let buy = null;
+        const stock = await this.db.getMerchantStockItem(merchant.id, item.id);
+        if (stock && marketPrice) {
+            let code = null;
+            if (player.current_license < merchant.required_license || player.current_license < item.required_license) {
+                code = 'LICENSE_REQUIRED';
+            } else if (tier.level < stock.required_relationship) {
+                code = 'RELATIONSHIP_REQUIRED';
+            } else if (stock.quantity === 0) {
+                code = 'OUT_OF_STOCK';
+            }
+            
+            buy = {
+                unitPrice: this.calculateBuyPrice(marketPrice, eventMultiplier, tier),
+                stock: stock.quantity,
+                available: code === null,
+                code
+            };
+        }
+        
+        let sell = null;
+        const buyEntry = this.getMerchantBuyEntry(merchant, item.category);
+        if (buyEntry && marketPrice) {
+            sell = {
+                unitPrice: this.calculateSellPrice(marketPrice, eventMultiplier, buyEntry.spread, tier),
+                spread: buyEntry.spread
             };
         }
+        
+        return {
+            merchantId: merchant.id,
+            merchantName: merchant.name,
+            district: merchant.district,
+            distanceMeters: distance === null ? null : Math.round(distance),
+            withinReach: distance !== null && distance <= this.interactionRadiusMeters,
+            // 상인 자체의 관계 등급 조건을 채우지 못하면 구매 / 판매 모두 불가
+            code: tier.level < merchant.trust_level ? 'RELATIONSHIP_REQUIRED' : null,
+            relationshipTier: tier.level,
+            buy,
+            sell
+        };
+    }
+    
+    // 플레이어 구매 단가: 상인 지역 시세 × 이벤트 배율 × (1 - 관계 등급 할인)
+    calculateBuyPrice(marketPrice, eventMultiplier, tier) {
+        return Math.round(marketPrice.current_price * eventMultiplier * (1 - tier.buyDiscount));
+    }
+    
+    // 플레이어 판매 단가: 상인 지역 시세 × 이벤트 배율 × (1 - 상인 스프레드) × (1 + 관계 등급 가산)
+    calculateSellPrice(marketPrice, eventMultiplier, spread, tier) {
+        return Math.floor(marketPrice.current_price * eventMultiplier * (1 - spread) * (1 + tier.sellBonus));
+    }
+    
+    // 상인의 매입 목록에서 품목군 항목 ({ category, spread }), 사들이지 않으면 null
+    getMerchantBuyEntry(merchant, category) {
+        const buys = JSON.parse(merchant.buy_categories || '[]');
+        return buys.find(entry => entry.category === category) || null;
     }
     
     // === 시장 가격 관리 ===
-    async getCurrentMarketPrices() {
+    async getCurrentMarketPrices(district = null) {
         try {
-            const prices = await this.db.getAllMarketPrices();
-            return prices.map(price => ({
-                itemName: price.item_name,
-                district: price.district,
-                basePrice: price.base_price,
-                currentPrice: price.current_price,
-                demandMultiplier: price.demand_multiplier,
-                lastUpdated: price.last_updated
-            }));
+            const prices = await this.db.getAllMarketPrices(district);
+            const events = await this.db.getActiveMarketEvents(toSqlTimestamp(new Date()));
+            
+            return prices.map(price => {
+                const eventMultiplier = getEventMultiplier(events, price.item_category, price.district);
+                return {
+                    itemId: price.item_id,
+                    itemName: price.item_name,
+                    category: price.item_category,
+                    grade: price.item_grade,
+                    district: price.district,
+                    basePrice: price.base_price,
+                    currentPrice: price.current_price,
+                    effectivePrice: Math.round(price.current_price * eventMultiplier),
+                    eventMultiplier: eventMultiplier,
+                    demandMultiplier: price.demand_multiplier,
+                    lastUpdated: price.last_updated
+                };
+            });
         } catch (error) {
             console.error('시장 가격 조회 오류:', error);
             throw error;
         }
     }
     
+    // 진행 중인 시장 이벤트의 가격 배율 (저장된 시세는 건드리지 않는다)
+    async getEventMultiplier(category, district) {
+        const events = await this.db.getActiveMarketEvents(toSqlTimestamp(new Date()));
+        return getEventMultiplier(events, category, district);
+    }
+    
     async updateMarketPrices() {
         try {
+            // 리로드된 설정이 다음 가격 갱신부터 반영되도록 매번 적용
+            if (!this.options.priceEngine) {
+                this.priceEngine.configure(getConfig().pricing.engine);
+            }
+            
             const prices = await this.db.getAllMarketPrices();
+            const tradeCursor = await this.db.getLatestTradeCursor();
             const updates = [];
             
             for (const price of prices) {
-                // 가격 변동 로직 (±20% 범위)
-                const variation = (Math.random() - 0.5) * 0.4; // -0.2 ~ 0.2
-                const newPrice = Math.max(
-                    Math.floor(price.base_price * 0.5), // 최소 기본가격의 50%
-                    Math.min(
-                        Math.floor(price.base_price * 1.5), // 최대 기본가격의 150%
-                        Math.floor(price.current_price * (1 + variation))
-                    )
-                );
+                // 마지막 갱신 이후 플레이어 거래량으로 수요/공급 계산 (갱신 도중 들어온 거래는 다음 갱신에서 센다)
+                const volume = await this.db.getTradeVolumeBetween(price.item_id, price.district, price.trade_cursor, tradeCursor);
+                const { newPrice, demandMultiplier } = this.priceEngine.computeNextPrice({
+                    basePrice: price.base_price,
+                    demandMultiplier: price.demand_multiplier,
+                    buyVolume: volume.buy_volume,
+                    sellVolume: volume.sell_volume
+                });
                 
-                await this.db.updateMarketPrice(price.item_name, newPrice);
+                await this.db.updateMarketPrice(price.item_id, price.district, newPrice, demandMultiplier);
+                await this.db.updateMarketTradeCursor(price.item_id, price.district, tradeCursor);
                 updates.push({
+                    itemId: price.item_id,
                     itemName: price.item_name,
+                    district: price.district,
                     oldPrice: price.current_price,
                     newPrice: newPrice,
-                    change: newPrice - price.current_price
+                    change: newPrice - price.current_price,
+                    demandMultiplier: demandMultiplier
                 });
             }
             
-            console.log(`📊 ${updates.length}개 아이템 가격 업데이트 완료`);
+            logger.info(`📊 ${updates.length}개 아이템 가격 업데이트 완료`);
             return updates;
-            
+        
         } catch (error) {
             console.error('시장 가격 업데이트 오류:', error);
             throw error;
         }
     }
     
+    // === 시세 이력 ===
+    async getPriceHistory(itemRef, district, interval = 'hour', from = null, to = null) {
+        try {
+            const intervalConfig = HISTORY_INTERVALS[interval];
+            if (!intervalConfig) {
+                throw new Error('interval은 hour, day, week 중 하나여야 합니다.');
+            }
+            
+            const toDate = to ? new Date(to) : new Date();
+            const fromDate = from 
+                ? new Date(from) 
+                : new Date(toDate.getTime() - intervalConfig.defaultRangeHours * 60 * 60 * 1000);
+            
+            if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+                throw new Error('유효한 조회 기간이 필요합니다.');
+            }
+            
+            const item = await this.resolveItem(itemRef);
+            const marketPrice = await this.db.getMarketPrice(item.id, district);
+            if (!marketPrice) {
+                throw new Error('아이템 가격 정보를 찾을 수 없습니다.');
+            }
+            
+            const candles = await this.db.getPriceCandles(
+                item.id,
+                district,
+                intervalConfig.bucket,
+                toSqlTimestamp(fromDate),
+                toSqlTimestamp(toDate)
+            );
+            
+            return {
+                success: true,
+                data: {
+                    itemId: item.id,
+                    itemName: item.name,
+                    district,
+                    interval,
+                    from: fromDate.toISOString(),
+                    to: toDate.toISOString(),
+                    currentPrice: marketPrice.current_price,
+                    candles: candles.map(candle => ({
+                        time: candle.bucket,
+                        open: candle.open,
+                        high: candle.high,
+                        low: candle.low,
+                        close: candle.close,
+                        samples: candle.samples
+                    }))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async compactPriceHistory() {
+        try {
+            let removed = 0;
+            
+            for (const policy of HISTORY_RETENTION) {
+                const before = new Date(Date.now() - policy.olderThanDays * 24 * 60 * 60 * 1000);
+                const result = await this.db.downsamplePriceHistory(toSqlTimestamp(before), policy.bucket);
+                removed += result.changes;
+            }
+            
+            logger.info(`🗜 시세 이력 정리 완료: ${removed}건 삭제`);
+            return removed;
+        } catch (error) {
+            console.error('시세 이력 정리 오류:', error);
+            throw error;
+        }
+    }
+    
     // === 상인 관리 ===
     async getAllMerchants() {
         try {
             const merchants = await this.db.getAllMerchants();
-            return merchants.map(merchant => ({
-                id: merchant.id,
-                name: merchant.name,
-                type: merchant.type,
-                district: merchant.district,
-                location: {
-                    lat: merchant.location_lat,
-                    lng: merchant.location_lng
-                },
-                requiredLicense: merchant.required_license,
-                inventory: JSON.parse(merchant.inventory || '[]'),
-                trustLevel: merchant.trust_level,
-                lastRestocked: merchant.last_restocked
-            }));
+            const stockByMerchant = await this.getStockByMerchant();
+            
+            return merchants.map(merchant => this.formatMerchant(merchant, stockByMerchant.get(merchant.id)));
         } catch (error) {
             console.error('상인 조회 오류:', error);
             throw error;
         }
     }
     
-    async findNearbyMerchants(latitude, longitude, radiusKm = 1) {
+    // geohash 셀로 후보를 좁힌 뒤 실제 거리(미터)로 걸러 가까운 순으로 반환
+    async findNearbyMerchants(latitude, longitude, radiusMeters = NEARBY_DEFAULT_RADIUS_METERS, limit = NEARBY_DEFAULT_LIMIT) {
         try {
-            const merchants = await this.db.findNearbyMerchants(latitude, longitude, radiusKm);
-            return merchants.map(merchant => ({
-                id: merchant.id,
-                name: merchant.name,
-                type: merchant.type,
-                district: merchant.district,
-                location: {
-                    lat: merchant.location_lat,
-                    lng: merchant.location_lng
-                },
-                requiredLicense: merchant.required_license,
-                inventory: JSON.parse(merchant.inventory || '[]'),
-                trustLevel: merchant.trust_level,
-                distance: Math.round(merchant.distance * 1000) // 미터 단위로 변환
-            }));
+            const radius = Math.min(Math.max(radiusMeters, 1), NEARBY_MAX_RADIUS_METERS);
+            const maxResults = Math.min(Math.max(limit, 1), NEARBY_MAX_LIMIT);
+            
+            const cells = geohashCellsInRadius(latitude, longitude, radius);
+            const candidates = await this.db.getMerchantsInGeohashCells(cells);
+            const stockByMerchant = await this.getStockByMerchant();
+            
+            return candidates
+                .map(merchant => ({
+                    merchant,
+                    distance: haversineDistance(latitude, longitude, merchant.location_lat, merchant.location_lng)
+                }))
+                .filter(({ distance }) => distance <= radius)
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, maxResults)
+                .map(({ merchant, distance }) => ({
+                    ...this.formatMerchant(merchant, stockByMerchant.get(merchant.id)),
+                    distance: Math.round(distance) // 미터 단위
+                }));
         } catch (error) {
             console.error('주변 상인 조회 오류:', error);
             throw error;
         }
     }
     
+    async getStockByMerchant() {
+        const rows = await this.db.getAllMerchantStock();
+        const stockByMerchant = new Map();
+        
+        for (const row of rows) {
+            if (!stockByMerchant.has(row.merchant_id)) {
+                stockByMerchant.set(row.merchant_id, []);
+            }
+            stockByMerchant.get(row.merchant_id).push({
+                itemId: row.item_id,
+                itemName: row.item_name,
+                quantity: row.quantity,
+                maxQuantity: row.max_quantity,
+                requiredRelationship: row.required_relationship,
+                soldOut: row.quantity === 0
+            });
+        }
+        
+        return stockByMerchant;
+    }
+    
+    formatMerchant(merchant, stock = []) {
+        return {
+            id: merchant.id,
+            name: merchant.name,
+            type: merchant.type,
+            district: merchant.district,
+            location: {
+                lat: merchant.location_lat,
+                lng: merchant.location_lng
+            },
+            requiredLicense: merchant.required_license,
+            inventory: JSON.parse(merchant.inventory || '[]'),
+            buys: JSON.parse(merchant.buy_categories || '[]'),
+            stock: stock,
+            trustLevel: merchant.trust_level,
+            lastRestocked: merchant.last_restocked
+        };
+    }
+    
+    // 재입고 주기가 지난 상인의 재고를 채운다 (경과한 주기 수만큼)
+    async restockMerchants(now = new Date()) {
+        try {
+            const merchants = await this.db.getAllMerchants();
+            const restocked = [];
+            
+            for (const merchant of merchants) {
+                const policy = getRestockPolicy(merchant.type);
+                const intervalMs = policy.intervalMinutes * 60 * 1000;
+                const lastRestocked = parseSqlTimestamp(merchant.last_restocked);
+                const periods = Math.floor((now - lastRestocked) / intervalMs);
+                
+                if (periods < 1) continue;
+                
+                // 남은 시간은 다음 주기로 이월되도록 주기 단위로만 전진
+                const restockedAt = new Date(lastRestocked.getTime() + periods * intervalMs);
+                await this.db.restockMerchant(merchant.id, periods * policy.restockAmount, toSqlTimestamp(restockedAt));
+                restocked.push(merchant.id);
+            }
+            
+            if (restocked.length > 0) {
+                logger.info(`📦 상인 ${restocked.length}명 재입고 완료`);
+            }
+            return restocked;
+        } catch (error) {
+            console.error('상인 재입고 오류:', error);
+            throw error;
+        }
+    }
+    
     // === 거래 기록 ===
     async getTradeHistory(userId, page = 1, limit = 20) {
         try {
@@ -360,54 +846,178 @@ class GameService {
         }
     }
     
-    // === 라이센스 업그레이드 ===
-    async upgradeLicense(userId) {
+    // 커밋된 상태 변경을 사용자의 모든 기기에 알린다 (알림 실패는 무시)
+    async notifyStateChanged(userId, reason) {
+        if (!this.playerService) return;
+        
         try {
             const player = await this.db.getPlayerByUserId(userId);
-            if (!player) {
-                throw new Error('플레이어를 찾을 수 없습니다.');
+            if (player) {
+                await this.playerService.notifyStateChanged(player.id, reason);
             }
+        } catch (error) {
+            console.error('플레이어 상태 알림 오류:', error);
+        }
+    }
+    
+    // 상인 거래 피드: requestTradeUpdates로 trade_updates 룸에 참가한 클라이언트에게 전송 (플레이어 정보는 제외)
+    async publishTrade(type, merchantId, trade) {
+        if (!this.io) return;
+        
+        try {
+            const merchant = await this.db.getMerchantById(merchantId);
+            this.io.to('trade_updates').emit('tradeUpdate', {
+                type,
+                merchantId,
+                merchantName: merchant ? merchant.name : null,
+                district: merchant ? merchant.district : null,
+                itemId: trade.itemId,
+                itemName: trade.itemName,
+                quantity: trade.quantity,
+                unitPrice: Math.round(trade.totalPrice / trade.quantity),
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('거래 피드 전송 오류:', error);
+        }
+    }
+    
+    // === 라이센스 업그레이드 ===
+    async upgradeLicense(userId) {
+        try {
+            const data = await this.db.transaction(async () => {
+                const player = await this.db.getPlayerByUserId(userId);
+                if (!player) {
+                    throw new GameError('플레이어를 찾을 수 없습니다.', 'PLAYER_NOT_FOUND');
+                }
+                
+                const currentLicense = player.current_license;
+                const nextLicense = currentLicense + 1;
+                
+                // 최대 라이센스 체크
+                const license = this.getLicense(nextLicense);
+                if (!license) {
+                    throw new GameError('이미 최고 등급 라이센스입니다.', 'MAX_LICENSE');
+                }
+                
+                // 필요 조건 체크
+                const requiredMoney = license.upgradeCost;
+                const requiredTrust = license.requiredTrust;
+                
+                if (player.money < requiredMoney) {
+                    throw new GameError(`라이센스 업그레이드에 ${requiredMoney}원이 필요합니다.`, 'INSUFFICIENT_FUNDS');
+                }
+                
+                if (player.trust_points < requiredTrust) {
+                    throw new GameError(`신뢰도 ${requiredTrust}점이 필요합니다.`, 'INSUFFICIENT_TRUST');
+                }
+                
+                // 업그레이드 실행
+                const newInventorySize = license.inventorySize;
+                
+                await this.db.adjustPlayerMoney(player.id, -requiredMoney);
+                await this.db.updatePlayer(player.id, {
+                    current_license: nextLicense,
+                    max_inventory_size: newInventorySize
+                });
+                
+                return {
+                    oldLicense: currentLicense,
+                    newLicense: nextLicense,
+                    cost: requiredMoney,
+                    newInventorySize: newInventorySize,
+                    remainingMoney: player.money - requiredMoney
+                };
+            });
             
-            const currentLicense = player.current_license;
-            const nextLicense = currentLicense + 1;
-            
-            // 최대 라이센스 체크
-            if (nextLicense > 5) {
-                throw new Error('이미 최고 등급 라이센스입니다.');
-            }
+            await this.notifyStateChanged(userId, 'licenseUpgrade');
             
-            // 필요 조건 체크
-            const requiredMoney = this.getLicenseUpgradeCost(nextLicense);
-            const requiredTrust = this.getRequiredTrustPoints(nextLicense);
+            return {
+                success: true,
+                data
+            };
+        
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code || 'INTERNAL_ERROR'
+            };
+        }
+    }
+    
+    // === 상인 관계 / 신뢰도 ===
+    // 상인의 trust_level은 거래에 필요한 최소 관계 등급이다
+    async getMerchantTier(playerId, merchant) {
+        const relationship = await this.db.getRelationship(playerId, merchant.id);
+        const tier = getRelationshipTier(relationship ? relationship.trust : 0);
+        
+        if (tier.level < merchant.trust_level) {
+            throw new GameError(`이 상인과 거래하려면 관계 등급 ${merchant.trust_level} 이상이 필요합니다.`, 'RELATIONSHIP_REQUIRED');
+        }
+        
+        return tier;
+    }
+    
+    // 거래 금액에 따라 전역 신뢰도와 상인 관계 신뢰도를 적립 (최소 금액, 일일 상한 적용)
+    // 일일 상한은 출석 보상과 같이 KST 자정에 초기화된다
+    async awardTradeTrust(playerId, merchantId, tradeValue, now = new Date()) {
+        const rules = getTrustRules();
+        let globalPoints = 0;
+        let relationshipPoints = 0;
+        
+        if (tradeValue >= rules.minTradeValue) {
+            const awardedToday = await this.db.getTrustAwardedToday(playerId, merchantId, toSqlTimestamp(getKstDayStart(now)));
             
-            if (player.money < requiredMoney) {
-                throw new Error(`라이센스 업그레이드에 ${requiredMoney}원이 필요합니다.`);
-            }
+            const earnedGlobal = rules.pointsPerTrade + Math.floor(tradeValue / rules.valuePerBonusPoint);
+            globalPoints = Math.max(0, Math.min(earnedGlobal, rules.dailyGlobalCap - awardedToday.global_points));
             
-            if (player.trust_points < requiredTrust) {
-                throw new Error(`신뢰도 ${requiredTrust}점이 필요합니다.`);
+            const earnedRelationship = rules.relationshipPerTrade + Math.floor(tradeValue / rules.relationshipValuePerPoint);
+            relationshipPoints = Math.max(0, Math.min(earnedRelationship, rules.dailyRelationshipCap - awardedToday.relationship_points));
+        }
+        
+        await this.db.recordRelationshipTrade(playerId, merchantId, relationshipPoints, tradeValue);
+        
+        if (globalPoints > 0) {
+            await this.db.adjustPlayerTrust(playerId, globalPoints);
+        }
+        
+        if (globalPoints > 0 || relationshipPoints > 0) {
+            await this.db.createTrustAward({
+                playerId,
+                merchantId,
+                globalPoints,
+                relationshipPoints,
+                tradeValue
+            });
+        }
+        
+        const relationship = await this.db.getRelationship(playerId, merchantId);
+        
+        return {
+            trustEarned: globalPoints,
+            relationshipEarned: relationshipPoints,
+            relationship: this.formatRelationship(relationship)
+        };
+    }
+    
+    async getPlayerRelationships(userId) {
+        try {
+            const player = await this.db.getPlayerByUserId(userId);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
             }
             
-            // 업그레이드 실행
-            const newInventorySize = this.getInventorySize(nextLicense);
-            
-            await this.db.updatePlayer(player.id, {
-                current_license: nextLicense,
-                money: player.money - requiredMoney,
-                max_inventory_size: newInventorySize
-            });
+            const relationships = await this.db.getPlayerRelationships(player.id);
             
             return {
                 success: true,
-                data: {
-                    oldLicense: currentLicense,
-                    newLicense: nextLicense,
-                    cost: requiredMoney,
-                    newInventorySize: newInventorySize,
-                    remainingMoney: player.money - requiredMoney
-                }
+                data: relationships.map(relationship => ({
+                    ...this.formatRelationship(relationship),
+                    merchantName: relationship.merchant_name,
+                    district: relationship.merchant_district
+                }))
             };
-            
         } catch (error) {
             return {
                 success: false,
@@ -416,52 +1026,112 @@ class GameService {
         }
     }
     
-    // === 유틸리티 메서드 ===
-    determineItemGrade(itemName) {
-        if (itemName.includes('커먼')) return 'common';
-        if (itemName.includes('중급')) return 'rare';
-        if (itemName.includes('고급')) return 'epic';
-        if (itemName.includes('전설')) return 'legendary';
-        return 'common';
-    }
-    
-    getRequiredLicense(itemName) {
-        if (itemName.includes('커먼')) return 1;
-        if (itemName.includes('중급')) return 2;
-        if (itemName.includes('고급')) return 3;
-        if (itemName.includes('전설')) return 4;
-        return 1;
-    }
-    
-    getLicenseUpgradeCost(license) {
-        const costs = {
-            2: 100000,   // 초급 → 중급
-            3: 250000,   // 중급 → 고급
-            4: 500000,   // 고급 → 전문
-            5: 1000000   // 전문 → 마스터
+    formatRelationship(relationship) {
+        const trust = relationship ? relationship.trust : 0;
+        const tier = getRelationshipTier(trust);
+        const nextTier = getNextRelationshipTier(trust);
+        
+        return {
+            merchantId: relationship ? relationship.merchant_id : null,
+            trust: trust,
+            level: tier.level,
+            tierName: tier.name,
+            buyDiscount: tier.buyDiscount,
+            sellBonus: tier.sellBonus,
+            nextTierTrust: nextTier ? nextTier.minTrust : null,
+            tradeCount: relationship ? relationship.trade_count : 0,
+            totalTradeValue: relationship ? relationship.total_trade_value : 0,
+            lastTradeAt: relationship ? relationship.last_trade_at : null
         };
-        return costs[license] || 0;
     }
     
-    getRequiredTrustPoints(license) {
-        const trust = {
-            2: 50,    // 초급 → 중급
-            3: 150,   // 중급 → 고급
-            4: 300,   // 고급 → 전문
-            5: 500    // 전문 → 마스터
+    // === 위치 검증 ===
+    // 마지막으로 보고된 위치가 상인의 거래 반경 안에 있어야 한다
+    assertNearMerchant(player, merchant) {
+        if (player.location_lat === null || player.location_lng === null) {
+            throw new GameError('위치 정보가 필요합니다.', 'LOCATION_REQUIRED');
+        }
+        
+        const distance = haversineDistance(
+            player.location_lat, player.location_lng,
+            merchant.location_lat, merchant.location_lng
+        );
+        
+        if (distance > this.interactionRadiusMeters) {
+            throw new GameError(`상인과 너무 멀리 있습니다. (${Math.round(distance)}m, 최대 ${this.interactionRadiusMeters}m)`, 'MERCHANT_TOO_FAR');
+        }
+    }
+    
+    // 직전 위치와 비교해 현실적으로 불가능한 속도의 이동인지 확인
+    checkMovement(player, latitude, longitude, now) {
+        if (player.location_lat === null || player.location_lng === null || !player.location_updated_at) {
+            return { plausible: true };
+        }
+        
+        const distance = haversineDistance(player.location_lat, player.location_lng, latitude, longitude);
+        const elapsedSeconds = Math.max(1, (now - new Date(player.location_updated_at)) / 1000);
+        const speedKmh = (distance / elapsedSeconds) * 3.6;
+        
+        // GPS 오차 범위 내의 움직임은 속도와 관계없이 허용
+        const plausible = distance <= getConfig().trading.gpsJitterMeters || speedKmh <= this.maxTravelSpeedKmh;
+        
+        return { plausible, distance, elapsedSeconds, speedKmh };
+    }
+    
+    // === 아이템 카탈로그 ===
+    async getItemCatalog() {
+        try {
+            const items = await this.db.getAllItems();
+            return {
+                success: true,
+                data: items.map(item => this.formatItem(item))
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // 아이템 ID로 찾고, 없으면 표시 이름으로 찾는다
+    async resolveItem(itemRef) {
+        const item = await this.db.getItemById(itemRef) || await this.db.getItemByName(itemRef);
+        if (!item) {
+            throw new GameError('아이템을 찾을 수 없습니다.', 'ITEM_NOT_FOUND');
+        }
+        return item;
+    }
+    
+    formatItem(item) {
+        return {
+            id: item.id,
+            name: item.name,
+            category: item.category,
+            grade: item.grade,
+            requiredLicense: item.required_license,
+            size: item.size,
+            weight: item.weight,
+            basePrice: item.base_price,
+            originDistrict: item.origin_district
         };
-        return trust[license] || 0;
     }
     
-    getInventorySize(license) {
-        const sizes = {
-            1: 5,   // 초급
-            2: 8,   // 중급
-            3: 12,  // 고급
-            4: 16,  // 전문
-            5: 20   // 마스터
+    // 인벤토리에 넣을 때 카탈로그에서 복사하는 값
+    inventoryItemData(item) {
+        return {
+            itemId: item.id,
+            itemName: item.name,
+            itemCategory: item.category,
+            itemGrade: item.grade,
+            requiredLicense: item.required_license
         };
-        return sizes[license] || 5;
+    }
+    
+    // === 유틸리티 메서드 ===
+    // 라이센스 레벨별 업그레이드 비용 / 필요 신뢰도 / 인벤토리 크기
+    getLicense(level) {
+        return getConfig().licenses.find(license => license.level === level) || null;
     }
     
     // === 통계 및 리더보드 ===
@@ -472,21 +1142,13 @@ class GameService {
                 throw new Error('플레이어를 찾을 수 없습니다.');
             }
             
-            const tradeHistory = await this.db.getTradeHistory(player.id, 1, 1000);
-            const totalTrades = tradeHistory.total;
-            
-            // 총 거래 금액 계산
-            const totalTradeValue = tradeHistory.trades.reduce((sum, trade) => sum + trade.price, 0);
-            
-            // 가장 많이 거래한 아이템
-            const itemCounts = {};
-            tradeHistory.trades.forEach(trade => {
-                itemCounts[trade.item_name] = (itemCounts[trade.item_name] || 0) + trade.quantity;
-            });
-            
-            const favoriteItem = Object.keys(itemCounts).reduce((a, b) => 
-                itemCounts[a] > itemCounts[b] ? a : b, null
-            );
+            // 집계는 모두 SQL에서 수행
+            const [tradeStats, favorite, inventoryCount, ranking] = await Promise.all([
+                this.db.getPlayerTradeStats(player.id),
+                this.db.getFavoriteItem(player.id),
+                this.db.getInventoryCount(player.id),
+                this.db.getPlayerRank('networth', player.id)
+            ]);
             
             return {
                 success: true,
@@ -496,12 +1158,18 @@ class GameService {
                     currentMoney: player.money,
                     trustPoints: player.trust_points,
                     currentLicense: player.current_license,
-                    totalTrades: totalTrades,
-                    totalTradeValue: totalTradeValue,
-                    favoriteItem: favoriteItem,
-                    inventoryCount: await this.db.getPlayerInventory(player.id).then(inv => 
-                        inv.reduce((sum, item) => sum + item.quantity, 0)
-                    )
+                    totalTrades: tradeStats.total_trades,
+                    totalTradeValue: tradeStats.total_trade_value,
+                    buyCount: tradeStats.buy_count,
+                    sellCount: tradeStats.sell_count,
+                    totalSpent: tradeStats.total_spent,
+                    totalEarned: tradeStats.total_earned,
+                    favoriteItem: favorite ? favorite.item_name : null,
+                    inventoryCount: inventoryCount,
+                    inventoryValue: ranking.inventory_value,
+                    escrowedMoney: ranking.escrowed_money,
+                    netWorth: ranking.net_worth,
+                    netWorthRank: ranking.rank
                 }
             };
         } catch (error) {
@@ -512,42 +1180,86 @@ class GameService {
         }
     }
     
-    async getLeaderboard(type = 'money', limit = 10) {
+    // 보유 아이템의 평가 손익(지역 시세 평균 기준)과 기간별 실현 손익(아이템 / 지역별)
+    async getPortfolio(userId, window = 'all') {
         try {
-            let orderBy;
-            switch (type) {
-                case 'money':
-                    orderBy = 'money DESC';
-                    break;
-                case 'trust':
-                    orderBy = 'trust_points DESC';
-                    break;
-                case 'license':
-                    orderBy = 'current_license DESC, money DESC';
-                    break;
-                default:
-                    orderBy = 'money DESC';
+            if (!(window in PORTFOLIO_WINDOWS)) {
+                throw new Error(`기간은 ${Object.keys(PORTFOLIO_WINDOWS).join(', ')} 중 하나여야 합니다.`);
+            }
+            
+            const player = await this.db.getPlayerByUserId(userId);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
             }
             
-            const sql = `
-                SELECT name, money, trust_points, current_license, 
-                       ROW_NUMBER() OVER (ORDER BY ${orderBy}) as rank
-                FROM players 
-                ORDER BY ${orderBy}
-                LIMIT ?
-            `;
+            const sinceFor = (name) => PORTFOLIO_WINDOWS[name] === null
+                ? null
+                : toSqlTimestamp(new Date(Date.now() - PORTFOLIO_WINDOWS[name] * 60 * 60 * 1000));
+            const since = sinceFor(window);
             
-            const leaderboard = await this.db.all(sql, [limit]);
+            const [stacks, averagePrices, ranking, realized, byItem, byDistrict, windowTotals] = await Promise.all([
+                this.db.getPlayerInventory(player.id),
+                this.db.getAverageMarketPrices(),
+                this.db.getPlayerRank('networth', player.id),
+                this.db.getRealizedProfit(player.id, since),
+                this.db.getRealizedProfit(player.id, since, 'item'),
+                this.db.getRealizedProfit(player.id, since, 'district'),
+                Promise.all(Object.keys(PORTFOLIO_WINDOWS).map(name => this.db.getRealizedProfit(player.id, sinceFor(name))))
+            ]);
+            
+            // 평가 손익: 현재 시세 × 보유 수량 - 취득 원가
+            const prices = new Map(averagePrices.map(row => [row.item_id, row.price]));
+            const holdings = stacks.map(stack => {
+                const marketPrice = Math.round(prices.get(stack.item_id) ?? stack.base_price);
+                const marketValue = marketPrice * stack.quantity;
+                return {
+                    itemId: stack.item_id,
+                    name: stack.item_name,
+                    quantity: stack.quantity,
+                    averageCost: Math.round(stack.cost_basis / stack.quantity),
+                    costBasis: stack.cost_basis,
+                    marketPrice,
+                    marketValue,
+                    profit: marketValue - stack.cost_basis
+                };
+            });
+            
+            const marketValue = holdings.reduce((sum, holding) => sum + holding.marketValue, 0);
+            const costBasis = holdings.reduce((sum, holding) => sum + holding.costBasis, 0);
+            
+            // 거래 제안 / 경매에 에스크로된 아이템의 평가액과 입찰 금액 (순자산은 리더보드와 같은 값)
+            const escrowValue = ranking.escrowed_item_value + ranking.escrowed_money;
             
             return {
                 success: true,
-                data: leaderboard.map(player => ({
-                    rank: player.rank,
-                    name: player.name,
+                data: {
+                    window,
                     money: player.money,
-                    trustPoints: player.trust_points,
-                    license: player.current_license
-                }))
+                    escrowValue,
+                    netWorth: player.money + marketValue + escrowValue,
+                    unrealized: {
+                        marketValue,
+                        costBasis,
+                        profit: marketValue - costBasis,
+                        items: holdings
+                    },
+                    realized: {
+                        ...this.formatRealizedProfit(realized),
+                        byItem: byItem.map(row => ({
+                            itemId: row.item_id,
+                            name: row.item_name,
+                            ...this.formatRealizedProfit(row)
+                        })),
+                        // district가 null이면 플레이어 간 거래
+                        byDistrict: byDistrict.map(row => ({
+                            district: row.district,
+                            ...this.formatRealizedProfit(row)
+                        }))
+                    },
+                    realizedProfitByWindow: Object.fromEntries(
+                        Object.keys(PORTFOLIO_WINDOWS).map((name, index) => [name, windowTotals[index].realized_profit])
+                    )
+                }
             };
         } catch (error) {
             return {
@@ -557,45 +1269,65 @@ class GameService {
         }
     }
     
-    // === 게임 이벤트 ===
-    async triggerRandomEvent() {
+    formatRealizedProfit(row) {
+        return {
+            tradeCount: row.trade_count,
+            quantity: row.quantity,
+            revenue: row.revenue,
+            costBasis: row.cost_basis,
+            profit: row.realized_profit
+        };
+    }
+    
+    // 상위 N명과 (userId가 주어지면) 내 순위, 직전 스냅샷 대비 순위 변동을 함께 반환
+    async getLeaderboard(type = 'money', limit = 10, userId = null) {
         try {
-            const events = [
-                {
-                    type: 'price_surge',
-                    description: '특정 아이템 가격 급등',
-                    effect: async () => {
-                        const prices = await this.db.getAllMarketPrices();
-                        const randomItem = prices[Math.floor(Math.random() * prices.length)];
-                        const newPrice = Math.floor(randomItem.current_price * 1.5);
-                        await this.db.updateMarketPrice(randomItem.item_name, newPrice);
-                        return `${randomItem.item_name} 가격이 급등했습니다! (${randomItem.current_price} → ${newPrice})`;
-                    }
-                },
-                {
-                    type: 'discount_event',
-                    description: '전체 아이템 할인',
-                    effect: async () => {
-                        const prices = await this.db.getAllMarketPrices();
-                        const updates = [];
-                        for (const price of prices) {
-                            const newPrice = Math.floor(price.current_price * 0.8);
-                            await this.db.updateMarketPrice(price.item_name, newPrice);
-                            updates.push(`${price.item_name}: ${price.current_price} → ${newPrice}`);
-                        }
-                        return `전체 아이템 20% 할인 이벤트! ${updates.length}개 아이템 가격 하락`;
-                    }
+            if (!LEADERBOARD_TYPES[type]) {
+                throw new Error(`리더보드 종류는 ${Object.keys(LEADERBOARD_TYPES).join(', ')} 중 하나여야 합니다.`);
+            }
+            
+            const rows = await this.db.getLeaderboard(type, limit);
+            
+            let me = null;
+            if (userId) {
+                const player = await this.db.getPlayerByUserId(userId);
+                if (player) {
+                    me = await this.db.getPlayerRank(type, player.id);
                 }
-            ];
+            }
+            
+            const playerIds = [...new Set([...rows.map(row => row.id), ...(me ? [me.id] : [])])];
+            const previousRanks = playerIds.length > 0 
+                ? await this.db.getLatestSnapshotRanks(type, playerIds) 
+                : [];
+            const previousByPlayer = new Map(previousRanks.map(row => [row.player_id, row.rank]));
             
-            const randomEvent = events[Math.floor(Math.random() * events.length)];
-            const result = await randomEvent.effect();
+            const format = (row) => {
+                const previousRank = previousByPlayer.get(row.id) ?? null;
+                return {
+                    rank: row.rank,
+                    previousRank: previousRank,
+                    rankChange: previousRank !== null ? previousRank - row.rank : null,
+                    playerId: row.id,
+                    name: row.name,
+                    money: row.money,
+                    trustPoints: row.trust_points,
+                    license: row.current_license,
+                    inventoryValue: row.inventory_value,
+                    escrowedMoney: row.escrowed_money,
+                    netWorth: row.net_worth,
+                    score: row.score
+                };
+            };
             
             return {
                 success: true,
-                event: randomEvent.type,
-                description: randomEvent.description,
-                result: result
+                data: {
+                    type,
+                    totalPlayers: await this.db.getPlayerCount(),
+                    entries: rows.map(format),
+                    me: me ? format(me) : null
+                }
             };
         } catch (error) {
             return {
@@ -605,41 +1337,138 @@ class GameService {
         }
     }
     
-    // === 데일리 보너스 ===
-    async claimDailyBonus(userId) {
+    // 모든 리더보드의 현재 순위를 저장하고 오래된 스냅샷은 정리
+    async takeLeaderboardSnapshots(now = new Date()) {
         try {
-            const player = await this.db.getPlayerByUserId(userId);
-            if (!player) {
-                throw new Error('플레이어를 찾을 수 없습니다.');
+            const takenAt = toSqlTimestamp(now);
+            
+            for (const type of Object.keys(LEADERBOARD_TYPES)) {
+                await this.db.createLeaderboardSnapshot(type, takenAt);
             }
             
-            const lastActive = new Date(player.last_active);
-            const now = new Date();
-            const hoursSinceLastActive = (now - lastActive) / (1000 * 60 * 60);
+            const retentionCutoff = new Date(now.getTime() - LEADERBOARD_SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+            await this.db.deleteLeaderboardSnapshotsBefore(toSqlTimestamp(retentionCutoff));
             
-            // 24시간 이후에만 보너스 지급
-            if (hoursSinceLastActive < 24) {
-                const remainingHours = Math.ceil(24 - hoursSinceLastActive);
-                throw new Error(`${remainingHours}시간 후에 데일리 보너스를 받을 수 있습니다.`);
+            logger.info('🏆 리더보드 스냅샷 저장 완료');
+        } catch (error) {
+            console.error('리더보드 스냅샷 오류:', error);
+            throw error;
+        }
+    }
+    
+    // === 일일 출석 보상 ===
+    // 마지막 수령일이 KST 기준 어제면 연속 출석이 이어지고, 그보다 오래됐으면 1일차부터 다시 시작한다.
+    getStreakState(lastClaim, now = new Date()) {
+        const today = getKstDate(now);
+        const yesterday = addDays(today, -1);
+        
+        const claimedToday = lastClaim?.claim_date === today;
+        const continuing = claimedToday || lastClaim?.claim_date === yesterday;
+        const currentStreak = continuing ? lastClaim.streak : 0;
+        
+        return {
+            today,
+            claimedToday,
+            currentStreak,
+            nextStreak: currentStreak + 1
+        };
+    }
+    
+    async getDailyRewardStatus(userId, now = new Date()) {
+        try {
+            const player = await this.db.getPlayerByUserId(userId);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
             }
             
-            // 라이센스에 따른 보너스 계산
-            const bonusAmount = 5000 * player.current_license;
-            const bonusTrust = 5;
+            const lastClaim = await this.db.getLatestDailyClaim(player.id);
+            const { today, claimedToday, currentStreak, nextStreak } = this.getStreakState(lastClaim, now);
+            const nextReward = getRewardForStreak(nextStreak);
             
-            await this.db.updatePlayer(player.id, {
-                money: player.money + bonusAmount,
-                trust_points: player.trust_points + bonusTrust
-            });
+            // 현재 주기에서 이미 받은 일차
+            const calendar = getRewardCalendar();
+            const claimedDays = claimedToday 
+                ? (currentStreak - 1) % calendar.length + 1 
+                : (nextStreak - 1) % calendar.length;
             
             return {
                 success: true,
                 data: {
-                    bonusMoney: bonusAmount,
-                    bonusTrust: bonusTrust,
-                    newMoney: player.money + bonusAmount,
-                    newTrust: player.trust_points + bonusTrust
+                    today,
+                    claimedToday,
+                    canClaim: !claimedToday,
+                    streak: currentStreak,
+                    nextRewardDay: nextReward.day,
+                    nextResetAt: getNextKstMidnight(now).toISOString(),
+                    calendar: calendar.map(reward => ({
+                        ...this.formatDailyReward(reward, player),
+                        claimed: reward.day <= claimedDays,
+                        isNext: reward.day === nextReward.day
+                    }))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async claimDailyReward(userId, now = new Date()) {
+        try {
+            const data = await this.db.transaction(async () => {
+                const player = await this.db.getPlayerByUserId(userId);
+                if (!player) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
                 }
+                
+                const lastClaim = await this.db.getLatestDailyClaim(player.id);
+                const { today, claimedToday, nextStreak } = this.getStreakState(lastClaim, now);
+                
+                if (claimedToday) {
+                    throw new Error('오늘의 출석 보상을 이미 받았습니다.');
+                }
+                
+                const reward = this.formatDailyReward(getRewardForStreak(nextStreak), player);
+                
+                // 1. 수령 기록 (같은 날 중복 수령은 UNIQUE 제약으로도 막힌다)
+                await this.db.createDailyClaim({
+                    playerId: player.id,
+                    claimDate: today,
+                    streak: nextStreak,
+                    rewardDay: reward.day,
+                    moneyReward: reward.money,
+                    trustReward: reward.trust,
+                    itemName: reward.item ? reward.item.name : null,
+                    itemQuantity: reward.item ? reward.item.quantity : 0
+                });
+                
+                // 2. 보상 지급
+                await this.db.adjustPlayerMoney(player.id, reward.money);
+                await this.db.adjustPlayerTrust(player.id, reward.trust);
+                
+                if (reward.item) {
+                    await this.grantRewardItem(player, reward.item.itemId, reward.item.quantity);
+                }
+                
+                const updated = await this.db.getPlayerByUserId(userId);
+                
+                return {
+                    claimDate: today,
+                    streak: nextStreak,
+                    reward,
+                    newMoney: updated.money,
+                    newTrust: updated.trust_points,
+                    nextResetAt: getNextKstMidnight(now).toISOString()
+                };
+            });
+            
+            await this.notifyStateChanged(userId, 'dailyReward');
+            
+            return {
+                success: true,
+                data
             };
         } catch (error) {
             return {
@@ -648,6 +1477,47 @@ class GameService {
             };
         }
     }
+    
+    // 보상 아이템은 산지(가장 싼 지역) 시세로 인벤토리에 넣는다
+    // 보상 / 운영 지급 아이템은 취득 원가 0으로 기록한다
+    async grantRewardItem(player, itemRef, quantity, source = 'reward') {
+        const item = await this.resolveItem(itemRef);
+        const marketPrice = await this.db.getCheapestMarketPrice(item.id);
+        if (!marketPrice) {
+            throw new Error('보상 아이템 정보를 찾을 수 없습니다.');
+        }
+        
+        const inventoryCount = await this.db.getInventoryCount(player.id);
+        if (inventoryCount + quantity > player.max_inventory_size) {
+            throw new Error('인벤토리 공간이 부족합니다. 공간을 비운 뒤 다시 받아주세요.');
+        }
+        
+        await this.db.addItemToInventory({
+            ...this.inventoryItemData(item),
+            id: uuidv4(),
+            playerId: player.id,
+            basePrice: marketPrice.base_price,
+            unitCost: 0,
+            source,
+            quantity: quantity
+        });
+        
+        return item;
+    }
+    
+    // 달력 보상에 플레이어 라이센스 배율을 적용
+    formatDailyReward(reward, player) {
+        return {
+            day: reward.day,
+            money: reward.money * player.current_license,
+            trust: reward.trust,
+            item: reward.item ? {
+                itemId: reward.item.itemId,
+                name: getItemDefinition(reward.item.itemId).name,
+                quantity: reward.item.quantity
+            } : null
+        };
+    }
 }
 
 export default GameService;
@@ -0,0 +1,371 @@
+// src/services/HaggleService.js - 상인과의 흥정 세션
+// 플레이어가 세션을 열면 상인은 정가(buyItem / sellItem과 같은 가격)에서 시작해 제안마다 수락 / 역제안 / 거절한다.
+// 상인이 양보할 수 있는 한계(reservation)는 상인 유형의 흥정 성향과 관계 등급으로 정해지며 클라이언트에 공개하지 않는다.
+// 세션은 서버 메모리에만 두고 플레이어당 하나만 열 수 있다. 제안 횟수와 유효 시간이 제한되고,
+// 거래 없이 끝나면 같은 상인과는 잠시 다시 흥정할 수 없어 여러 세션으로 최저가를 찾아내지 못한다.
+// 실패 code: PLAYER_NOT_FOUND, MERCHANT_NOT_FOUND, ITEM_NOT_FOUND, INVALID_SIDE, INVALID_QUANTITY, INSUFFICIENT_QUANTITY,
+// INVALID_OFFER, HAGGLE_IN_PROGRESS, HAGGLE_COOLDOWN, HAGGLE_NOT_FOUND, HAGGLE_EXPIRED 및 buyItem / sellItem의 code
+import { v4 as uuidv4 } from 'uuid';
+import { getConfig } from '../config/gameConfig.js';
+import { getHaggleStyle } from '../data/merchantTypes.js';
+import { GameError, MAX_BUY_QUANTITY } from './GameService.js';
+
+export const HAGGLE_SIDES = ['buy', 'sell'];
+
+const cooldownKey = (userId, merchantId) => `${userId}:${merchantId}`;
+
+class HaggleService {
+    constructor(database, io, { gameService }) {
+        this.db = database;
+        this.io = io;
+        this.gameService = gameService;
+        
+        // sessionId -> 세션, userId -> sessionId
+        this.sessions = new Map();
+        this.sessionByUser = new Map();
+        
+        // `${userId}:${merchantId}` -> 다시 흥정할 수 있는 시각(ms)
+        this.cooldowns = new Map();
+    }
+    
+    // === 세션 시작 ===
+    // side: 'buy'(플레이어가 구매, itemId는 카탈로그 ID) | 'sell'(플레이어가 판매, itemId는 인벤토리 스택 ID)
+    async openSession(userId, { merchantId, side = 'buy', itemId, quantity = 1, lotId = null }, now = new Date()) {
+        try {
+            if (!HAGGLE_SIDES.includes(side)) {
+                throw new GameError(`흥정 방식은 ${HAGGLE_SIDES.join(', ')} 중 하나여야 합니다.`, 'INVALID_SIDE');
+            }
+            
+            const maxQuantity = side === 'buy' ? MAX_BUY_QUANTITY : Infinity;
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > maxQuantity) {
+                throw new GameError('흥정할 수량이 올바르지 않습니다.', 'INVALID_QUANTITY');
+            }
+            
+            this.assertNoSession(userId);
+            this.assertNoCooldown(userId, merchantId, now);
+            
+            const player = await this.db.getPlayerByUserId(userId);
+            if (!player) {
+                throw new GameError('플레이어를 찾을 수 없습니다.', 'PLAYER_NOT_FOUND');
+            }
+            
+            const merchant = await this.db.getMerchantById(merchantId);
+            if (!merchant) {
+                throw new GameError('상인을 찾을 수 없습니다.', 'MERCHANT_NOT_FOUND');
+            }
+            
+            this.gameService.assertNearMerchant(player, merchant);
+            const tier = await this.gameService.getMerchantTier(player.id, merchant);
+            
+            let item;
+            let stack = null;
+            if (side === 'buy') {
+                item = await this.gameService.resolveItem(itemId);
+            } else {
+                stack = await this.db.getInventoryItem(itemId, player.id);
+                if (!stack) {
+                    throw new GameError('아이템을 찾을 수 없습니다.', 'ITEM_NOT_FOUND');
+                }
+                if (stack.quantity < quantity) {
+                    throw new GameError('흥정하려는 수량이 보유 수량보다 많습니다.', 'INSUFFICIENT_QUANTITY');
+                }
+                item = await this.gameService.resolveItem(stack.item_id);
+            }
+            
+            const listPrice = this.getListPrice(side, await this.gameService.quoteMerchant(player, merchant, item), quantity);
+            
+            // 상인 유형의 기본 양보 폭에 관계 등급만큼 더 양보한다 (흥정을 그만두는 기준은 넘지 않는다)
+            const style = getHaggleStyle(merchant.type);
+            const { trustConcessionPerTier, sessionTimeoutSeconds, maxOffers } = getConfig().haggling;
+            const concession = Math.min(style.maxConcession + tier.level * trustConcessionPerTier, style.walkAwayGap);
+            
+            // 다른 기기에서 동시에 연 경우
+            this.assertNoSession(userId);
+            
+            const session = {
+                id: uuidv4(),
+                userId,
+                playerId: player.id,
+                merchantId: merchant.id,
+                merchantName: merchant.name,
+                side,
+                itemId: item.id,
+                itemName: item.name,
+                stackId: stack ? stack.id : null,
+                lotId,
+                quantity,
+                listPrice,
+                reservationPrice: Math.round(listPrice * (side === 'buy' ? 1 - concession : 1 + concession)),
+                counterPrice: listPrice,
+                style,
+                offers: 0,
+                maxOffers,
+                expiresAt: new Date(now.getTime() + sessionTimeoutSeconds * 1000)
+            };
+            
+            this.sessions.set(session.id, session);
+            this.sessionByUser.set(userId, session.id);
+            
+            return {
+                success: true,
+                data: this.formatSession(session)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code || 'INTERNAL_ERROR'
+            };
+        }
+    }
+    
+    // 흥정 시작 가격 = 지금 바로 거래할 때의 단가
+    getListPrice(side, quote, quantity) {
+        if (side === 'buy') {
+            if (!quote.buy) {
+                throw new GameError('상인이 해당 아이템을 판매하지 않습니다.', 'NOT_SOLD_HERE');
+            }
+            if (!quote.buy.available) {
+                throw new GameError('지금은 이 상인에게서 살 수 없는 아이템입니다.', quote.buy.code);
+            }
+            if (quote.buy.stock < quantity) {
+                throw new GameError(`상인의 재고가 부족합니다. (남은 수량: ${quote.buy.stock}개)`, 'INSUFFICIENT_STOCK');
+            }
+            return quote.buy.unitPrice;
+        }
+        
+        if (!quote.sell) {
+            throw new GameError('상인이 해당 품목군을 사들이지 않습니다.', 'NOT_BOUGHT_HERE');
+        }
+        return quote.sell.unitPrice;
+    }
+    
+    // === 제안 ===
+    // 상인의 응답: deal(수락 후 바로 거래) | counter(역제안) | walkAway(흥정 종료)
+    async makeOffer(userId, sessionId, unitPrice, now = new Date()) {
+        try {
+            const session = this.getSession(userId, sessionId, now);
+            
+            if (!Number.isInteger(unitPrice) || unitPrice < 1) {
+                throw new GameError('제안 가격은 1 이상의 정수여야 합니다.', 'INVALID_OFFER');
+            }
+            
+            session.offers += 1;
+            
+            const buying = session.side === 'buy';
+            const acceptable = buying ? unitPrice >= session.reservationPrice : unitPrice <= session.reservationPrice;
+            
+            if (acceptable) {
+                // 상인이 이미 부른 가격보다 플레이어에게 불리하게는 거래하지 않는다
+                const dealPrice = buying ? Math.min(unitPrice, session.counterPrice) : Math.max(unitPrice, session.counterPrice);
+                return await this.closeDeal(session, dealPrice);
+            }
+            
+            // 정가에서 얼마나 벗어난 제안인지 (플레이어에게 유리한 방향이 양수)
+            const gap = (buying ? session.listPrice - unitPrice : unitPrice - session.listPrice) / session.listPrice;
+            
+            if (gap > session.style.walkAwayGap || session.offers >= session.maxOffers) {
+                const reason = gap > session.style.walkAwayGap ? 'lowball' : 'exhausted';
+                this.finishSession(session, 'walkAway', now);
+                
+                return {
+                    success: true,
+                    data: {
+                        sessionId: session.id,
+                        response: 'walkAway',
+                        reason,
+                        cooldownSeconds: getConfig().haggling.cooldownSeconds
+                    }
+                };
+            }
+            
+            // 남은 양보 폭의 counterStep만큼 다가간다 (reservation은 넘지 않는다)
+            const step = (session.reservationPrice - session.counterPrice) * session.style.counterStep;
+            session.counterPrice = buying
+                ? Math.max(session.reservationPrice, Math.round(session.counterPrice + step))
+                : Math.min(session.reservationPrice, Math.round(session.counterPrice + step));
+            
+            return {
+                success: true,
+                data: {
+                    ...this.formatSession(session),
+                    response: 'counter'
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code || 'INTERNAL_ERROR'
+            };
+        }
+    }
+    
+    // 상인이 마지막으로 부른 가격으로 거래
+    async acceptCounter(userId, sessionId, now = new Date()) {
+        try {
+            const session = this.getSession(userId, sessionId, now);
+            return await this.closeDeal(session, session.counterPrice);
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code || 'INTERNAL_ERROR'
+            };
+        }
+    }
+    
+    async cancelSession(userId, sessionId, now = new Date()) {
+        try {
+            const session = this.getSession(userId, sessionId, now);
+            this.finishSession(session, 'cancelled', now);
+            
+            return {
+                success: true,
+                data: {
+                    sessionId: session.id,
+                    cooldownSeconds: getConfig().haggling.cooldownSeconds
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                code: error.code || 'INTERNAL_ERROR'
+            };
+        }
+    }
+    
+    // 합의한 단가로 buyItem / sellItem을 실행한다. 거리 / 재고 / 잔액 등은 거래 시점에 다시 확인되며,
+    // 실패하면 세션은 거래 없이 끝난다.
+    async closeDeal(session, unitPrice) {
+        // 다른 제안이 같은 세션을 다시 쓰지 않도록 거래 전에 세션을 닫는다
+        this.sessions.delete(session.id);
+        this.sessionByUser.delete(session.userId);
+        
+        const result = session.side === 'buy'
+            ? await this.gameService.buyItem(session.userId, session.merchantId, session.itemId, session.quantity, { unitPrice })
+            : await this.gameService.sellItem(session.userId, session.stackId, session.merchantId, session.quantity, session.lotId, { unitPrice });
+        
+        this.finishSession(session, result.success ? 'deal' : 'failed');
+        
+        if (!result.success) {
+            return result;
+        }
+        
+        return {
+            success: true,
+            data: {
+                sessionId: session.id,
+                response: 'deal',
+                listPrice: session.listPrice,
+                unitPrice,
+                trade: result.data
+            }
+        };
+    }
+    
+    // === 세션 관리 ===
+    getSession(userId, sessionId, now = new Date()) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.userId !== userId) {
+            throw new GameError('진행 중인 흥정을 찾을 수 없습니다.', 'HAGGLE_NOT_FOUND');
+        }
+        
+        if (session.expiresAt <= now) {
+            this.finishSession(session, 'expired', now);
+            throw new GameError('흥정 시간이 지났습니다.', 'HAGGLE_EXPIRED');
+        }
+        
+        return session;
+    }
+    
+    getActiveSession(userId, now = new Date()) {
+        const sessionId = this.sessionByUser.get(userId);
+        if (!sessionId) return null;
+        
+        const session = this.sessions.get(sessionId);
+        if (session.expiresAt <= now) {
+            this.finishSession(session, 'expired', now);
+            return null;
+        }
+        
+        return this.formatSession(session);
+    }
+    
+    assertNoSession(userId) {
+        if (this.sessionByUser.has(userId)) {
+            throw new GameError('이미 진행 중인 흥정이 있습니다.', 'HAGGLE_IN_PROGRESS');
+        }
+    }
+    
+    assertNoCooldown(userId, merchantId, now) {
+        const until = this.cooldowns.get(cooldownKey(userId, merchantId));
+        if (until && until > now.getTime()) {
+            const seconds = Math.ceil((until - now.getTime()) / 1000);
+            throw new GameError(`상인이 아직 흥정에 응하지 않습니다. (${seconds}초 후 가능)`, 'HAGGLE_COOLDOWN');
+        }
+    }
+    
+    // status: deal | failed | walkAway | cancelled | expired. 거래 없이 끝나면 같은 상인과의 흥정을 잠시 막는다.
+    finishSession(session, status, now = new Date()) {
+        this.sessions.delete(session.id);
+        if (this.sessionByUser.get(session.userId) === session.id) {
+            this.sessionByUser.delete(session.userId);
+        }
+        
+        if (status !== 'deal') {
+            const cooldownMs = getConfig().haggling.cooldownSeconds * 1000;
+            this.cooldowns.set(cooldownKey(session.userId, session.merchantId), now.getTime() + cooldownMs);
+        }
+        
+        // 같은 계정으로 접속한 다른 기기에도 알린다
+        if (this.io) {
+            this.io.to(`user_${session.userId}`).emit('haggleEnded', {
+                sessionId: session.id,
+                merchantId: session.merchantId,
+                status,
+                timestamp: now.toISOString()
+            });
+        }
+    }
+    
+    // 만료된 세션과 지난 대기 시간 정리 (주기 작업)
+    expireSessions(now = new Date()) {
+        let expiredCount = 0;
+        
+        for (const session of [...this.sessions.values()]) {
+            if (session.expiresAt <= now) {
+                this.finishSession(session, 'expired', now);
+                expiredCount += 1;
+            }
+        }
+        
+        for (const [key, until] of this.cooldowns) {
+            if (until <= now.getTime()) {
+                this.cooldowns.delete(key);
+            }
+        }
+        
+        return expiredCount;
+    }
+    
+    // 상인의 한계 가격은 포함하지 않는다
+    formatSession(session) {
+        return {
+            sessionId: session.id,
+            merchantId: session.merchantId,
+            merchantName: session.merchantName,
+            side: session.side,
+            itemId: session.itemId,
+            itemName: session.itemName,
+            quantity: session.quantity,
+            listPrice: session.listPrice,
+            counterPrice: session.counterPrice,
+            offersLeft: session.maxOffers - session.offers,
+            expiresAt: session.expiresAt.toISOString()
+        };
+    }
+}
+
+export default HaggleService;
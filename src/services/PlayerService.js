@@ -0,0 +1,102 @@
+// src/services/PlayerService.js - 플레이어 상태 조회 및 기기 간 동기화
+// 돈 / 인벤토리 / 라이센스가 바뀌면 user_${userId} 룸으로 playerStateChanged를 보내
+// 같은 계정으로 접속한 모든 기기가 같은 상태를 보도록 한다.
+
+// 스택(아이템별 보유분)과 그 안의 lot 목록. averageCost는 보유 중인 lot의 가중 평균 취득 단가다.
+export const formatInventory = (stacks, lots) => stacks.map(stack => ({
+    id: stack.id,
+    itemId: stack.item_id,
+    name: stack.item_name,
+    category: stack.item_category,
+    basePrice: stack.base_price,
+    grade: stack.item_grade,
+    requiredLicense: stack.required_license,
+    quantity: stack.quantity,
+    averageCost: stack.quantity > 0 ? Math.round(stack.cost_basis / stack.quantity) : 0,
+    costBasis: stack.cost_basis,
+    acquiredAt: stack.acquired_at,
+    lots: lots
+        .filter(lot => lot.inventory_id === stack.id)
+        .map(lot => ({
+            id: lot.id,
+            quantity: lot.quantity,
+            unitCost: lot.unit_cost,
+            source: lot.source,
+            acquiredAt: lot.acquired_at
+        }))
+}));
+
+class PlayerService {
+    constructor(database, io) {
+        this.db = database;
+        this.io = io;
+    }
+    
+    async getInventory(userId) {
+        try {
+            const player = await this.db.getPlayerByUserId(userId);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+            
+            const [stacks, lots, usedSlots] = await Promise.all([
+                this.db.getPlayerInventory(player.id),
+                this.db.getPlayerInventoryLots(player.id),
+                this.db.getInventoryCount(player.id)
+            ]);
+            
+            return {
+                success: true,
+                data: {
+                    inventory: formatInventory(stacks, lots),
+                    usedSlots,
+                    maxInventorySize: player.max_inventory_size
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getState(player) {
+        const [stacks, lots] = await Promise.all([
+            this.db.getPlayerInventory(player.id),
+            this.db.getPlayerInventoryLots(player.id)
+        ]);
+        
+        return {
+            playerId: player.id,
+            money: player.money,
+            trustPoints: player.trust_points,
+            currentLicense: player.current_license,
+            maxInventorySize: player.max_inventory_size,
+            inventory: formatInventory(stacks, lots)
+        };
+    }
+    
+    // 트랜잭션 커밋 후에 호출한다. 알림 실패는 요청 결과에 영향을 주지 않는다.
+    // reason: 'buy' | 'sell' | 'licenseUpgrade' | 'dailyReward' | 'tradeOffer' | 'auction' | 'adminGrant'
+    async notifyStateChanged(playerIds, reason) {
+        if (!this.io) return;
+        
+        for (const playerId of [].concat(playerIds)) {
+            try {
+                const player = await this.db.getPlayerById(playerId);
+                if (!player) continue;
+                
+                this.io.to(`user_${player.user_id}`).emit('playerStateChanged', {
+                    reason,
+                    ...await this.getState(player),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error('플레이어 상태 알림 오류:', error);
+            }
+        }
+    }
+}
+
+export default PlayerService;
@@ -0,0 +1,231 @@
+// src/services/PresenceService.js - 접속 상태 및 관심 영역(AOI) 위치 브로드캐스트
+import { encodeGeohash, geohashCellsInRadius, haversineDistance } from '../utils/geo.js';
+
+const AREA_PRECISION = 6;             // 영역 룸 geohash 자릿수 (약 1.2km × 0.6km)
+const AOI_RADIUS_METERS = 1000;       // 위치 업데이트를 받는 반경
+const COARSE_DECIMALS = 2;            // 대략적 위치 공유 시 좌표 자릿수 (약 1km)
+
+export const LOCATION_SHARING_MODES = ['exact', 'coarse'];
+
+const areaRoom = (cell) => `geo_${cell}`;
+
+class PresenceService {
+    constructor(database, io) {
+        this.db = database;
+        this.io = io;
+        
+        // userId -> { playerId, name, sockets, latitude, longitude, cell, sharing, connectedAt, announced, loading }
+        this.online = new Map();
+    }
+    
+    // === 접속 / 해제 ===
+    // 플레이어 조회를 기다리는 동안 소켓이 끊기거나 같은 사용자의 다른 기기가 접속할 수 있으므로
+    // 소켓은 먼저 동기적으로 등록하고 플레이어 정보는 조회가 끝난 뒤 채운다.
+    async connect(socket) {
+        const userId = socket.userId;
+        let presence = this.online.get(userId);
+        
+        if (!presence) {
+            presence = {
+                playerId: null,
+                name: null,
+                sockets: new Set(),
+                latitude: null,
+                longitude: null,
+                cell: null,
+                sharing: 'exact',
+                connectedAt: new Date().toISOString(),
+                announced: false
+            };
+            // 조회가 실패하면 항목을 지워 다음 접속이 같은 실패를 기다리지 않고 다시 조회하게 한다
+            presence.loading = this.loadPlayer(userId, presence).catch((error) => {
+                if (this.online.get(userId) === presence) {
+                    this.online.delete(userId);
+                }
+                throw error;
+            });
+            this.online.set(userId, presence);
+        }
+        
+        presence.sockets.add(socket.id);
+        
+        const player = await presence.loading;
+        
+        // 기다리는 동안 끊긴 소켓은 disconnect에서 이미 정리되었다
+        if (!socket.connected || !presence.sockets.has(socket.id)) {
+            return null;
+        }
+        
+        if (!player) {
+            this.disconnect(socket);
+            return null;
+        }
+        
+        if (presence.latitude !== null && presence.longitude !== null) {
+            presence.cell = encodeGeohash(presence.latitude, presence.longitude, AREA_PRECISION);
+            socket.join(areaRoom(presence.cell));
+            
+            if (!presence.announced) {
+                presence.announced = true;
+                this.emitToArea(presence, 'playerJoined', this.publicView(userId, presence), userId);
+            }
+        }
+        
+        return presence;
+    }
+    
+    // 접속 정보에 플레이어 정보를 채운다 (조회 중에 받은 위치가 있으면 그대로 둔다)
+    async loadPlayer(userId, presence) {
+        const player = await this.db.getPlayerByUserId(userId);
+        if (!player) return null;
+        
+        presence.playerId = player.id;
+        presence.name = player.name;
+        presence.sharing = player.location_sharing || 'exact';
+        if (presence.latitude === null || presence.longitude === null) {
+            presence.latitude = player.location_lat;
+            presence.longitude = player.location_lng;
+        }
+        
+        return player;
+    }
+    
+    disconnect(socket) {
+        const userId = socket.userId;
+        const presence = this.online.get(userId);
+        if (!presence) return;
+        
+        presence.sockets.delete(socket.id);
+        
+        // 마지막 기기까지 끊기면 오프라인 처리
+        if (presence.sockets.size === 0) {
+            this.online.delete(userId);
+            
+            if (presence.cell) {
+                this.emitToArea(presence, 'playerLeft', {
+                    userId,
+                    playerId: presence.playerId,
+                    timestamp: new Date().toISOString()
+                }, userId);
+            }
+        }
+    }
+    
+    // === 위치 업데이트 ===
+    // 플레이어가 속한 영역 룸을 갱신하고 반경 내 영역에만 위치를 전송한다.
+    updateLocation(socket, latitude, longitude) {
+        const userId = socket.userId;
+        const presence = this.online.get(userId);
+        if (!presence) return;
+        
+        // 플레이어 정보를 불러오는 중이면 위치만 기억해 두고 connect에서 영역 룸에 참가한다
+        if (!presence.playerId) {
+            presence.latitude = latitude;
+            presence.longitude = longitude;
+            return;
+        }
+        
+        const previousCell = presence.cell;
+        const nextCell = encodeGeohash(latitude, longitude, AREA_PRECISION);
+        
+        presence.latitude = latitude;
+        presence.longitude = longitude;
+        presence.cell = nextCell;
+        
+        if (previousCell !== nextCell) {
+            const userSockets = this.io.in(`user_${userId}`);
+            if (previousCell) {
+                userSockets.socketsLeave(areaRoom(previousCell));
+                this.io.to(areaRoom(previousCell)).except(`user_${userId}`).emit('playerLeft', {
+                    userId,
+                    playerId: presence.playerId,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            userSockets.socketsJoin(areaRoom(nextCell));
+            
+            this.emitToArea(presence, 'playerJoined', this.publicView(userId, presence), userId);
+        }
+        
+        this.emitToArea(presence, 'playerLocationUpdate', this.publicView(userId, presence), userId);
+    }
+    
+    async setSharing(userId, mode) {
+        if (!LOCATION_SHARING_MODES.includes(mode)) {
+            throw new Error(`위치 공유 모드는 ${LOCATION_SHARING_MODES.join(', ')} 중 하나여야 합니다.`);
+        }
+        
+        const player = await this.db.getPlayerByUserId(userId);
+        if (!player) {
+            throw new Error('플레이어를 찾을 수 없습니다.');
+        }
+        
+        await this.db.updatePlayerLocationSharing(player.id, mode);
+        
+        const presence = this.online.get(userId);
+        if (presence) {
+            presence.sharing = mode;
+        }
+        
+        return mode;
+    }
+    
+    // === 조회 ===
+    isOnline(userId) {
+        return this.online.has(userId);
+    }
+    
+    getNearbyPlayers(userId, radiusMeters = AOI_RADIUS_METERS) {
+        const self = this.online.get(userId);
+        if (!self || self.latitude === null || self.longitude === null) {
+            return [];
+        }
+        
+        const nearby = [];
+        for (const [otherUserId, presence] of this.online) {
+            if (otherUserId === userId || !presence.playerId || presence.latitude === null || presence.longitude === null) continue;
+            
+            const distance = haversineDistance(self.latitude, self.longitude, presence.latitude, presence.longitude);
+            if (distance <= radiusMeters) {
+                nearby.push(this.publicView(otherUserId, presence));
+            }
+        }
+        
+        return nearby;
+    }
+    
+    getOnlineCount() {
+        return this.online.size;
+    }
+    
+    // === 내부 헬퍼 ===
+    emitToArea(presence, event, payload, excludeUserId) {
+        const cells = geohashCellsInRadius(presence.latitude, presence.longitude, AOI_RADIUS_METERS, {
+            precision: AREA_PRECISION
+        });
+        
+        this.io.to(cells.map(areaRoom)).except(`user_${excludeUserId}`).emit(event, payload);
+    }
+    
+    // 공유 설정에 맞춰 외부에 보여줄 위치를 만든다
+    publicView(userId, presence) {
+        const coarse = presence.sharing === 'coarse';
+        const round = (value) => {
+            const factor = 10 ** COARSE_DECIMALS;
+            return Math.round(value * factor) / factor;
+        };
+        
+        return {
+            userId,
+            playerId: presence.playerId,
+            name: presence.name,
+            latitude: coarse ? round(presence.latitude) : presence.latitude,
+            longitude: coarse ? round(presence.longitude) : presence.longitude,
+            precision: presence.sharing,
+            online: true,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+export default PresenceService;
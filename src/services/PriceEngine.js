@@ -0,0 +1,72 @@
+// src/services/PriceEngine.js - 수요/공급 기반 가격 엔진
+// DB에 의존하지 않는 순수 계산 모듈이다. 같은 시드와 입력이면 항상 같은 결과를 낸다.
+
+const DEFAULT_OPTIONS = {
+    sensitivity: 0.25,     // 거래 압력이 수요 배수에 미치는 정도
+    liquidity: 10,         // 거래량 완충값 (적은 거래량에 과민 반응하지 않도록)
+    decayRate: 0.2,        // 틱마다 수요 배수가 1.0으로 돌아가는 비율
+    volatility: 0.02,      // 무작위 변동 폭 (±2%)
+    minRatio: 0.5,         // 기본가 대비 최저 비율
+    maxRatio: 1.5          // 기본가 대비 최고 비율
+};
+
+// 시드 기반 의사 난수 생성기 (mulberry32)
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+class PriceEngine {
+    constructor(options = {}) {
+        const { seed = Date.now(), ...rest } = options;
+        this.options = { ...DEFAULT_OPTIONS, ...rest };
+        this.random = createRandom(seed);
+    }
+    
+    // 난수 상태는 유지한 채 계수만 교체 (설정 리로드용)
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+    
+    // 순매수 압력 (-1 ~ 1): 플레이어 구매는 수요, 판매는 공급으로 본다
+    tradePressure(buyVolume, sellVolume) {
+        const { liquidity } = this.options;
+        return (buyVolume - sellVolume) / (buyVolume + sellVolume + liquidity);
+    }
+    
+    // 한 아이템의 다음 가격 계산
+    // input: { basePrice, demandMultiplier, buyVolume, sellVolume }
+    computeNextPrice({ basePrice, demandMultiplier = 1.0, buyVolume = 0, sellVolume = 0 }) {
+        const { sensitivity, decayRate, volatility, minRatio, maxRatio } = this.options;
+        
+        // 1. 기존 수요를 1.0 쪽으로 감쇠시킨 뒤 이번 틱의 거래 압력을 반영
+        const decayed = 1 + (demandMultiplier - 1) * (1 - decayRate);
+        const pressure = this.tradePressure(buyVolume, sellVolume);
+        const nextDemand = clamp(decayed + sensitivity * pressure, minRatio, maxRatio);
+        
+        // 2. 소폭의 무작위 변동
+        const noise = (this.random() * 2 - 1) * volatility;
+        
+        const newPrice = clamp(
+            Math.round(basePrice * nextDemand * (1 + noise)),
+            Math.floor(basePrice * minRatio),
+            Math.floor(basePrice * maxRatio)
+        );
+        
+        return {
+            newPrice,
+            demandMultiplier: Math.round(nextDemand * 10000) / 10000,
+            pressure
+        };
+    }
+}
+
+export default PriceEngine;
@@ -0,0 +1,416 @@
+// src/services/TradeService.js - 플레이어 간 거래
+import { v4 as uuidv4 } from 'uuid';
+import { haversineDistance, hasLocation } from '../utils/geo.js';
+import { getConfig } from '../config/gameConfig.js';
+
+class TradeService {
+    constructor(database, io, { playerService = null } = {}) {
+        this.db = database;
+        this.io = io;
+        this.playerService = playerService;
+    }
+    
+    // === 거래 제안 생성 ===
+    // 제안한 수량만큼 아이템을 판매자 인벤토리에서 빼서 에스크로한다.
+    // 구매자는 수락할 때에야 거래에 응하므로 대금은 미리 묶어 두지 않는다.
+    // 수락 트랜잭션이 잔액 확인과 이체를 한 번에 하므로 대금이 중간 상태로 남는 일은 없다.
+    async createOffer(userId, { itemId, quantity = 1, price, targetPlayerId = null }) {
+        try {
+            const offer = await this.db.transaction(async () => {
+                const seller = await this.db.getPlayerByUserId(userId);
+                if (!seller) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                if (targetPlayerId) {
+                    if (targetPlayerId === seller.id) {
+                        throw new Error('자기 자신에게는 거래를 제안할 수 없습니다.');
+                    }
+                    const target = await this.db.getPlayerById(targetPlayerId);
+                    if (!target) {
+                        throw new Error('거래 대상 플레이어를 찾을 수 없습니다.');
+                    }
+                } else if (!hasLocation(seller)) {
+                    throw new Error('주변 거래를 제안하려면 위치 정보가 필요합니다.');
+                }
+                
+                const item = await this.db.getInventoryItem(itemId, seller.id);
+                if (!item) {
+                    throw new Error('아이템을 찾을 수 없습니다.');
+                }
+                
+                if (item.quantity < quantity) {
+                    throw new Error('제안하려는 수량이 보유 수량보다 많습니다.');
+                }
+                
+                // 아이템 에스크로 (오래된 구매 묶음부터 꺼내고 개당 평균 원가를 제안에 기록)
+                const costBasis = await this.db.removeItemFromInventory(itemId, quantity);
+                
+                const offerId = uuidv4();
+                // 제안 유효 시간은 설정(trading.offerDurationHours)을 따른다
+                const expiresAt = new Date(Date.now() + getConfig().trading.offerDurationHours * 60 * 60 * 1000);
+                
+                await this.db.createTradeOffer({
+                    id: offerId,
+                    sellerId: seller.id,
+                    buyerId: targetPlayerId,
+                    itemId: item.item_id,
+                    itemName: item.item_name,
+                    itemCategory: item.item_category,
+                    basePrice: item.base_price,
+                    itemPrice: Math.round(costBasis / quantity),
+                    itemGrade: item.item_grade,
+                    requiredLicense: item.required_license,
+                    quantity: quantity,
+                    price: price,
+                    locationLat: seller.location_lat,
+                    locationLng: seller.location_lng,
+                    expiresAt: expiresAt.toISOString()
+                });
+                
+                return await this.db.getTradeOfferById(offerId);
+            });
+            
+            const formatted = this.formatOffer(offer);
+            
+            // 에스크로로 판매자 인벤토리가 바뀌었다
+            await this.notifyStateChanged([offer.seller_id]);
+            
+            if (offer.buyer_id) {
+                await this.notifyPlayers([offer.buyer_id], 'tradeOfferReceived', formatted);
+            } else {
+                const nearbyPlayerIds = await this.findNearbyPlayerIds(offer, offer.seller_id);
+                await this.notifyPlayers(nearbyPlayerIds, 'tradeOfferReceived', formatted);
+            }
+            
+            return {
+                success: true,
+                data: formatted
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 거래 제안 조회 ===
+    async getMyOffers(userId) {
+        try {
+            const player = await this.db.getPlayerByUserId(userId);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+            
+            const offers = await this.db.getTradeOffersForPlayer(player.id);
+            
+            return {
+                success: true,
+                data: {
+                    incoming: offers
+                        .filter(offer => offer.buyer_id === player.id)
+                        .map(offer => this.formatOffer(offer)),
+                    outgoing: offers
+                        .filter(offer => offer.seller_id === player.id)
+                        .map(offer => this.formatOffer(offer))
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async getNearbyOffers(userId) {
+        try {
+            const player = await this.db.getPlayerByUserId(userId);
+            if (!player) {
+                throw new Error('플레이어를 찾을 수 없습니다.');
+            }
+            
+            if (!hasLocation(player)) {
+                throw new Error('위치 정보가 필요합니다.');
+            }
+            
+            const offers = await this.db.getOpenTradeOffers();
+            
+            return {
+                success: true,
+                data: offers
+                    .filter(offer => offer.seller_id !== player.id && this.isWithinReach(offer, player))
+                    .map(offer => ({
+                        ...this.formatOffer(offer),
+                        distance: Math.round(this.distanceTo(offer, player))
+                    }))
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // === 거래 제안 처리 ===
+    // 수락 시 대금 이체, 아이템 지급, 거래 기록을 하나의 트랜잭션으로 정산한다.
+    async acceptOffer(userId, offerId) {
+        try {
+            const offer = await this.db.transaction(async () => {
+                const buyer = await this.db.getPlayerByUserId(userId);
+                if (!buyer) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                const offer = await this.getPendingOffer(offerId);
+                
+                if (offer.seller_id === buyer.id) {
+                    throw new Error('자신의 거래 제안은 수락할 수 없습니다.');
+                }
+                
+                if (offer.buyer_id && offer.buyer_id !== buyer.id) {
+                    throw new Error('다른 플레이어에게 보낸 거래 제안입니다.');
+                }
+                
+                if (!offer.buyer_id && !this.isWithinReach(offer, buyer)) {
+                    throw new Error('거래 제안 위치에서 너무 멀리 있습니다.');
+                }
+                
+                const inventoryCount = await this.db.getInventoryCount(buyer.id);
+                if (inventoryCount + offer.quantity > buyer.max_inventory_size) {
+                    throw new Error('인벤토리 공간이 부족합니다.');
+                }
+                
+                // 1. 대금 이체 (구매자 잔액 부족 시 실패하고 제안과 에스크로는 그대로 남는다)
+                await this.db.adjustPlayerMoney(buyer.id, -offer.price);
+                await this.db.adjustPlayerMoney(offer.seller_id, offer.price);
+                
+                // 2. 에스크로된 아이템을 구매자에게 지급
+                await this.db.addItemToInventory({
+                    id: uuidv4(),
+                    playerId: buyer.id,
+                    itemId: offer.item_id,
+                    itemName: offer.item_name,
+                    itemCategory: offer.item_category,
+                    basePrice: offer.base_price,
+                    itemGrade: offer.item_grade,
+                    requiredLicense: offer.required_license,
+                    unitCost: Math.round(offer.price / offer.quantity),
+                    source: 'trade',
+                    quantity: offer.quantity
+                });
+                
+                // 3. 제안 상태 변경 및 거래 기록 생성
+                await this.db.resolveTradeOffer(offer.id, 'accepted', buyer.id);
+                
+                await this.db.createTradeRecord({
+                    id: uuidv4(),
+                    sellerId: offer.seller_id,
+                    buyerId: buyer.id,
+                    merchantId: null, // 플레이어 간 거래
+                    itemId: offer.item_id,
+                    itemName: offer.item_name,
+                    itemCategory: offer.item_category,
+                    price: offer.price,
+                    quantity: offer.quantity,
+                    tradeType: 'p2p',
+                    costBasis: offer.item_price * offer.quantity, // 판매자가 에스크로한 아이템의 취득 원가
+                    locationLat: buyer.location_lat,
+                    locationLng: buyer.location_lng
+                });
+                
+                return await this.db.getTradeOfferById(offer.id);
+            });
+            
+            return await this.finishResolution(offer);
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    async declineOffer(userId, offerId) {
+        return await this.closeOffer(userId, offerId, 'declined');
+    }
+    
+    async cancelOffer(userId, offerId) {
+        return await this.closeOffer(userId, offerId, 'cancelled');
+    }
+    
+    // 거절/취소 시 에스크로된 아이템을 판매자에게 돌려준다.
+    async closeOffer(userId, offerId, status) {
+        try {
+            const offer = await this.db.transaction(async () => {
+                const player = await this.db.getPlayerByUserId(userId);
+                if (!player) {
+                    throw new Error('플레이어를 찾을 수 없습니다.');
+                }
+                
+                const offer = await this.getPendingOffer(offerId);
+                
+                if (status === 'cancelled' && offer.seller_id !== player.id) {
+                    throw new Error('자신의 거래 제안만 취소할 수 있습니다.');
+                }
+                
+                if (status === 'declined' && offer.buyer_id !== player.id) {
+                    throw new Error('자신에게 온 거래 제안만 거절할 수 있습니다.');
+                }
+                
+                await this.returnEscrow(offer);
+                await this.db.resolveTradeOffer(offer.id, status);
+                
+                return await this.db.getTradeOfferById(offer.id);
+            });
+            
+            return await this.finishResolution(offer);
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // 만료된 제안 정리 (주기적으로 호출)
+    async expireOffers() {
+        const expiredOffers = await this.db.getExpiredTradeOffers();
+        let expiredCount = 0;
+        
+        for (const expired of expiredOffers) {
+            try {
+                const offer = await this.db.transaction(async () => {
+                    await this.returnEscrow(expired);
+                    await this.db.resolveTradeOffer(expired.id, 'expired');
+                    return await this.db.getTradeOfferById(expired.id);
+                });
+                
+                await this.finishResolution(offer);
+                expiredCount++;
+            } catch (error) {
+                console.error('거래 제안 만료 처리 오류:', error);
+            }
+        }
+        
+        return expiredCount;
+    }
+    
+    // === 내부 헬퍼 ===
+    async getPendingOffer(offerId) {
+        const offer = await this.db.getTradeOfferById(offerId);
+        if (!offer) {
+            throw new Error('거래 제안을 찾을 수 없습니다.');
+        }
+        
+        if (offer.status !== 'pending') {
+            throw new Error('이미 처리된 거래 제안입니다.');
+        }
+        
+        if (new Date(offer.expires_at) <= new Date()) {
+            throw new Error('만료된 거래 제안입니다.');
+        }
+        
+        return offer;
+    }
+    
+    async returnEscrow(offer) {
+        await this.db.addItemToInventory({
+            id: uuidv4(),
+            playerId: offer.seller_id,
+            itemId: offer.item_id,
+            itemName: offer.item_name,
+            itemCategory: offer.item_category,
+            basePrice: offer.base_price,
+            itemGrade: offer.item_grade,
+            requiredLicense: offer.required_license,
+            unitCost: offer.item_price,
+            source: 'escrow_return',
+            quantity: offer.quantity
+        });
+    }
+    
+    async finishResolution(offer) {
+        const formatted = this.formatOffer(offer);
+        const playerIds = [offer.seller_id, offer.buyer_id].filter(Boolean);
+        await this.notifyPlayers(playerIds, 'tradeOfferUpdated', formatted);
+        
+        // 수락: 양쪽 돈 / 인벤토리 변경, 거절 / 취소 / 만료: 판매자에게 에스크로 반환
+        await this.notifyStateChanged(offer.status === 'accepted' ? playerIds : [offer.seller_id]);
+        
+        return {
+            success: true,
+            data: formatted
+        };
+    }
+    
+    distanceTo(offer, player) {
+        return haversineDistance(
+            offer.location_lat, offer.location_lng,
+            player.location_lat, player.location_lng
+        );
+    }
+    
+    isWithinReach(offer, player) {
+        return hasLocation(offer) && hasLocation(player) &&
+            this.distanceTo(offer, player) <= getConfig().trading.offerNearbyRadiusMeters;
+    }
+    
+    async findNearbyPlayerIds(offer, excludePlayerId) {
+        const players = await this.db.getPlayersWithLocation();
+        return players
+            .filter(player => player.id !== excludePlayerId && this.isWithinReach(offer, player))
+            .map(player => player.id);
+    }
+    
+    // 플레이어 ID를 사용자 룸(user_${userId})으로 변환해 알림 전송
+    async notifyPlayers(playerIds, event, payload) {
+        if (!this.io) return;
+        
+        for (const playerId of playerIds) {
+            try {
+                const player = await this.db.getPlayerById(playerId);
+                if (player) {
+                    this.io.to(`user_${player.user_id}`).emit(event, payload);
+                }
+            } catch (error) {
+                console.error('거래 알림 전송 오류:', error);
+            }
+        }
+    }
+    
+    async notifyStateChanged(playerIds) {
+        if (this.playerService) {
+            await this.playerService.notifyStateChanged(playerIds, 'tradeOffer');
+        }
+    }
+    
+    formatOffer(offer) {
+        return {
+            id: offer.id,
+            sellerId: offer.seller_id,
+            buyerId: offer.buyer_id,
+            item: {
+                itemId: offer.item_id,
+                name: offer.item_name,
+                category: offer.item_category,
+                grade: offer.item_grade,
+                requiredLicense: offer.required_license,
+                quantity: offer.quantity
+            },
+            price: offer.price,
+            status: offer.status,
+            location: {
+                lat: offer.location_lat,
+                lng: offer.location_lng
+            },
+            createdAt: offer.created_at,
+            expiresAt: offer.expires_at,
+            resolvedAt: offer.resolved_at
+        };
+    }
+}
+
+export default TradeService;
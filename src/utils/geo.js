@@ -0,0 +1,124 @@
+// src/utils/geo.js - 위치 계산 유틸리티
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// 두 좌표 사이의 거리 (Haversine 공식, 미터 단위)
+export const haversineDistance = (lat1, lng1, lat2, lng2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+export const hasLocation = (entity) =>
+    typeof entity?.location_lat === 'number' && typeof entity?.location_lng === 'number';
+
+// === Geohash ===
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const METERS_PER_DEGREE_LAT = 111320;
+
+export const GEOHASH_STORAGE_PRECISION = 9; // 약 5m × 5m
+
+export const encodeGeohash = (latitude, longitude, precision = GEOHASH_STORAGE_PRECISION) => {
+    let latRange = [-90, 90];
+    let lngRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let bitCount = 0;
+    let evenBit = true;
+    
+    while (hash.length < precision) {
+        const range = evenBit ? lngRange : latRange;
+        const value = evenBit ? longitude : latitude;
+        const mid = (range[0] + range[1]) / 2;
+        
+        bits <<= 1;
+        if (value >= mid) {
+            bits |= 1;
+            range[0] = mid;
+        } else {
+            range[1] = mid;
+        }
+        
+        evenBit = !evenBit;
+        if (++bitCount === 5) {
+            hash += GEOHASH_BASE32[bits];
+            bits = 0;
+            bitCount = 0;
+        }
+    }
+    
+    return hash;
+};
+
+// precision 자리 geohash 한 칸의 크기 (도 단위)
+export const geohashCellSize = (precision) => {
+    const totalBits = precision * 5;
+    const lngBits = Math.ceil(totalBits / 2);
+    const latBits = Math.floor(totalBits / 2);
+    return {
+        latDegrees: 180 / 2 ** latBits,
+        lngDegrees: 360 / 2 ** lngBits
+    };
+};
+
+// 반경을 감싸는 사각형의 위경도 범위
+export const boundingBox = (latitude, longitude, radiusMeters) => {
+    const latDelta = radiusMeters / METERS_PER_DEGREE_LAT;
+    const lngDelta = radiusMeters / (METERS_PER_DEGREE_LAT * Math.cos(latitude * Math.PI / 180));
+    return {
+        minLat: latitude - latDelta,
+        maxLat: latitude + latDelta,
+        minLng: longitude - lngDelta,
+        maxLng: longitude + lngDelta
+    };
+};
+
+// 반경과 겹치는 geohash 셀 목록
+// precision을 생략하면 셀 개수가 maxCells 이하가 되는 가장 세밀한 자릿수를 고른다.
+export const geohashCellsInRadius = (latitude, longitude, radiusMeters, { precision = null, maxCells = 16 } = {}) => {
+    const box = boundingBox(latitude, longitude, radiusMeters);
+    
+    const countCells = (p) => {
+        const { latDegrees, lngDegrees } = geohashCellSize(p);
+        const rows = Math.ceil((box.maxLat - box.minLat) / latDegrees) + 1;
+        const cols = Math.ceil((box.maxLng - box.minLng) / lngDegrees) + 1;
+        return rows * cols;
+    };
+    
+    let cellPrecision = precision;
+    if (!cellPrecision) {
+        cellPrecision = 1;
+        for (let p = GEOHASH_STORAGE_PRECISION; p >= 1; p--) {
+            if (countCells(p) <= maxCells) {
+                cellPrecision = p;
+                break;
+            }
+        }
+    }
+    
+    // 셀 크기 간격으로 훑으면 범위와 겹치는 모든 셀을 한 번 이상 지나간다
+    const { latDegrees, lngDegrees } = geohashCellSize(cellPrecision);
+    const steps = (min, max, step) => {
+        const values = [];
+        for (let value = min; value < max; value += step) {
+            values.push(value);
+        }
+        values.push(max);
+        return values;
+    };
+    
+    const cells = new Set();
+    for (const lat of steps(box.minLat, box.maxLat, latDegrees)) {
+        for (const lng of steps(box.minLng, box.maxLng, lngDegrees)) {
+            cells.add(encodeGeohash(lat, lng, cellPrecision));
+        }
+    }
+    
+    return [...cells];
+};
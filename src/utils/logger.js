@@ -0,0 +1,24 @@
+// src/utils/logger.js - 서버 진행 로그 (시작 / 연결 / 주기 작업)
+// 경고와 오류는 console.warn / console.error로 바로 남기고, 끌 수 있는 진행 로그만 여기를 거친다.
+// 수준은 LOG_LEVEL 환경 변수 또는 createApp({ logLevel })로 정한다 (게임 설정처럼 프로세스 전체에 적용된다).
+
+export const LOG_LEVELS = ['info', 'silent'];
+
+let currentLevel = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+export const setLogLevel = (level) => {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`로그 수준은 ${LOG_LEVELS.join(', ')} 중 하나여야 합니다.`);
+    }
+    currentLevel = level;
+};
+
+export const getLogLevel = () => currentLevel;
+
+export const logger = {
+    info: (...args) => {
+        if (currentLevel === 'info') {
+            console.log(...args);
+        }
+    }
+};
@@ -0,0 +1,7 @@
+// src/utils/time.js - SQLite 타임스탬프 변환
+
+// SQLite 비교용 UTC 문자열 (YYYY-MM-DD HH:MM:SS)
+export const toSqlTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// SQLite CURRENT_TIMESTAMP 값은 UTC이므로 명시적으로 UTC로 해석
+export const parseSqlTimestamp = (value) => new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
@@ -0,0 +1,91 @@
+// test/admin.test.js - 운영자 상인 관리 API
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createPlayer, loadTestConfig, getSeedMerchant } from './helpers.js';
+
+describe('운영자 상인 관리 API', () => {
+    let server;
+    let merchant;
+    let admin;
+    
+    before(async () => {
+        const config = loadTestConfig();
+        merchant = getSeedMerchant(config);
+        server = await startTestServer({ config });
+        
+        // 역할은 요청마다 DB에서 확인하므로 기존 토큰으로 바로 관리자 API를 쓸 수 있다
+        admin = await createPlayer(server);
+        await server.db.updateUserRole(admin.userId, 'admin');
+    });
+    
+    after(async () => {
+        await server.close();
+    });
+    
+    it('관리자가 아니면 접근할 수 없다', async () => {
+        const player = await createPlayer(server);
+        const { status } = await server.request('GET', '/api/admin/merchants', { token: player.token });
+        assert.equal(status, 403);
+    });
+    
+    it('강등된 운영자는 토큰이 만료되기 전에도 바로 접근이 막힌다', async () => {
+        const operator = await createPlayer(server);
+        await server.db.updateUserRole(operator.userId, 'admin');
+        assert.equal((await server.request('GET', '/api/admin/merchants', { token: operator.token })).status, 200);
+        
+        const demoted = await server.request('PUT', `/api/admin/players/${operator.playerId}/role`, {
+            token: admin.token,
+            body: { role: 'player', reason: '권한 회수' }
+        });
+        assert.equal(demoted.status, 200, demoted.body.error);
+        
+        const { status, body } = await server.request('GET', '/api/admin/merchants', { token: operator.token });
+        assert.equal(status, 403);
+        assert.equal(body.code, 'ADMIN_REQUIRED');
+    });
+    
+    it('상인의 필요 관계 등급을 설정하고 바꿀 수 있다', async () => {
+        const created = await server.request('POST', '/api/admin/merchants', {
+            token: admin.token,
+            body: {
+                name: '단골 전용 상인',
+                type: merchant.type,
+                district: merchant.district,
+                lat: merchant.lat,
+                lng: merchant.lng,
+                items: ['it_parts_common'],
+                trustLevel: 2
+            }
+        });
+        assert.equal(created.status, 200, created.body.error);
+        assert.equal(created.body.data.trustLevel, 2);
+        
+        const updated = await server.request('PATCH', `/api/admin/merchants/${created.body.data.id}`, {
+            token: admin.token,
+            body: { trustLevel: 0 }
+        });
+        assert.equal(updated.status, 200, updated.body.error);
+        assert.equal(updated.body.data.trustLevel, 0);
+        
+        // 다른 필드만 바꾸면 관계 등급은 그대로 남는다
+        await server.request('PATCH', `/api/admin/merchants/${created.body.data.id}`, {
+            token: admin.token,
+            body: { trustLevel: 3 }
+        });
+        const renamed = await server.request('PATCH', `/api/admin/merchants/${created.body.data.id}`, {
+            token: admin.token,
+            body: { name: '이름을 바꾼 상인' }
+        });
+        assert.equal(renamed.body.data.trustLevel, 3);
+    });
+    
+    it('잘못된 필요 관계 등급은 거부한다', async () => {
+        for (const trustLevel of [-1, 1.5, 'high']) {
+            const { status } = await server.request('PATCH', `/api/admin/merchants/${merchant.id}`, {
+                token: admin.token,
+                body: { trustLevel }
+            });
+            assert.equal(status, 400);
+        }
+    });
+});
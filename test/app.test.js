@@ -0,0 +1,30 @@
+// test/app.test.js - 한 프로세스에서 여러 서버 인스턴스 띄우기
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createPlayer } from './helpers.js';
+
+describe('서버 인스턴스', () => {
+    it('앞서 닫은 서버의 라우트가 다음 서버로 새지 않는다', async () => {
+        const first = await startTestServer();
+        await createPlayer(first);
+        await first.close();
+        
+        // 라우터를 모듈에서 공유하면 닫힌 첫 번째 DB로 요청이 가서 실패한다
+        const second = await startTestServer();
+        try {
+            const player = await createPlayer(second);
+            
+            const { status, body } = await second.request('GET', '/api/game/player', { token: player.token });
+            assert.equal(status, 200, body.error);
+            assert.equal(body.data.id, player.playerId);
+            
+            const offers = await second.request('GET', '/api/trade/offers', { token: player.token });
+            assert.equal(offers.status, 200, offers.body.error);
+            
+            const auctions = await second.request('GET', '/api/auctions', { token: player.token });
+            assert.equal(auctions.status, 200, auctions.body.error);
+        } finally {
+            await second.close();
+        }
+    });
+});
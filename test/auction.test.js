@@ -0,0 +1,240 @@
+// test/auction.test.js - 플레이어 경매장 (출품 / 입찰 에스크로 / 정산)
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, connectSocket, waitForEvent, loadTestConfig, getSeedMerchant, createTradingFixtures } from './helpers.js';
+
+describe('경매장', () => {
+    let server;
+    let merchant;
+    let createTrader, refillStock, setPrice, buy, getPlayer;
+    const sockets = [];
+    
+    before(async () => {
+        const config = loadTestConfig();
+        merchant = getSeedMerchant(config);
+        server = await startTestServer({ config });
+        ({ createTrader, refillStock, setPrice, buy, getPlayer } = createTradingFixtures(server, merchant, { money: 100000 }));
+    });
+    
+    after(async () => {
+        sockets.forEach(socket => socket.close());
+        await server.close();
+    });
+    
+    beforeEach(async () => {
+        await refillStock();
+        await setPrice(1000);
+    });
+    
+    const connect = async (player) => {
+        const { socket } = await connectSocket(server, player.token);
+        sockets.push(socket);
+        return socket;
+    };
+    
+    // 상인에게서 산 아이템을 출품한다 (개당 취득 원가 1000원)
+    const listItem = async (seller, options = {}) => {
+        const quantity = options.quantity || 1;
+        await buy(seller, quantity);
+        const { inventory } = await getPlayer(seller);
+        
+        return await server.request('POST', '/api/auctions', {
+            token: seller.token,
+            body: {
+                itemId: inventory[0].id,
+                quantity,
+                startingPrice: 5000,
+                durationHours: 1,
+                district: merchant.district,
+                ...options.body
+            }
+        });
+    };
+    
+    const bid = (player, auctionId, amount) => server.request('POST', `/api/auctions/${auctionId}/bids`, {
+        token: player.token,
+        body: { amount }
+    });
+    
+    const settleAll = () => server.app.auctionService.settleExpiredAuctions(new Date(Date.now() + 2 * 60 * 60 * 1000));
+    
+    it('출품하면 아이템이 에스크로되고 품목군 / 지역별로 조회된다', async () => {
+        const seller = await createTrader();
+        const { status, body } = await listItem(seller, { quantity: 2 });
+        assert.equal(status, 201, body.error);
+        assert.equal(body.data.item.quantity, 2);
+        assert.equal(body.data.minimumBid, 5000);
+        
+        const { inventory } = await getPlayer(seller);
+        assert.equal(inventory.length, 0);
+        
+        const byCategory = await server.request('GET', `/api/auctions?category=${encodeURIComponent('IT부품')}&district=${encodeURIComponent(merchant.district)}`);
+        assert.ok(byCategory.body.data.some(auction => auction.id === body.data.id));
+        
+        const otherCategory = await server.request('GET', `/api/auctions?category=${encodeURIComponent('예술품')}`);
+        assert.ok(!otherCategory.body.data.some(auction => auction.id === body.data.id));
+        
+        const otherDistrict = await server.request('GET', `/api/auctions?district=${encodeURIComponent('홍대')}`);
+        assert.ok(!otherDistrict.body.data.some(auction => auction.id === body.data.id));
+    });
+    
+    it('입찰 금액을 에스크로하고 상위 입찰이 들어오면 환불하며 알림을 보낸다', async () => {
+        const seller = await createTrader();
+        const first = await createTrader();
+        const second = await createTrader();
+        const sellerSocket = await connect(seller);
+        const firstSocket = await connect(first);
+        
+        const { body: listed } = await listItem(seller);
+        const auctionId = listed.data.id;
+        
+        const bidPushed = waitForEvent(sellerSocket, 'auctionBid');
+        const firstBid = await bid(first, auctionId, 5000);
+        assert.equal(firstBid.status, 200, firstBid.body.error);
+        assert.equal((await bidPushed).amount, 5000);
+        assert.equal((await getPlayer(first)).money, 100000 - 5000);
+        
+        // 최소 인상폭(5%)보다 적게 올린 입찰은 거부
+        const tooLow = await bid(second, auctionId, 5100);
+        assert.equal(tooLow.status, 400);
+        assert.equal(firstBid.body.data.minimumBid, 5250);
+        
+        const outbidPushed = waitForEvent(firstSocket, 'auctionOutbid');
+        const secondBid = await bid(second, auctionId, 6000);
+        assert.equal(secondBid.body.data.currentBid, 6000);
+        assert.equal(secondBid.body.data.currentBidderId, (await getPlayer(second)).id);
+        
+        const outbid = await outbidPushed;
+        assert.equal(outbid.refundedAmount, 5000);
+        assert.equal((await getPlayer(first)).money, 100000);
+        assert.equal((await getPlayer(second)).money, 100000 - 6000);
+        
+        const detail = await server.request('GET', `/api/auctions/${auctionId}`);
+        assert.deepEqual(detail.body.data.bids.map(entry => entry.status), ['active', 'outbid']);
+    });
+    
+    it('마감되면 낙찰자에게 아이템을, 판매자에게 대금을 주고 거래 기록을 남긴다', async () => {
+        const seller = await createTrader();
+        const buyer = await createTrader();
+        const buyerSocket = await connect(buyer);
+        
+        const { body: listed } = await listItem(seller, { quantity: 2 });
+        await bid(buyer, listed.data.id, 8000);
+        const sellerMoney = (await getPlayer(seller)).money;
+        
+        const settled = waitForEvent(buyerSocket, 'auctionSettled');
+        assert.ok(await settleAll() >= 1);
+        assert.equal((await settled).status, 'sold');
+        
+        assert.equal((await getPlayer(seller)).money, sellerMoney + 8000);
+        
+        const { inventory } = await getPlayer(buyer);
+        assert.equal(inventory[0].itemId, 'it_parts_common');
+        assert.equal(inventory[0].quantity, 2);
+        assert.equal(inventory[0].lots[0].source, 'auction');
+        assert.equal(inventory[0].lots[0].unitCost, 4000);
+        
+        const history = await server.request('GET', '/api/game/trade/history', { token: seller.token });
+        const sale = history.body.data.find(trade => trade.trade_type === 'auction');
+        assert.equal(sale.price, 8000);
+        assert.equal(sale.cost_basis, 2000);
+        assert.equal(sale.realized_profit, 6000);
+        assert.equal(sale.district, merchant.district);
+    });
+    
+    it('입찰 없이 마감되면 아이템을 판매자에게 돌려준다', async () => {
+        const seller = await createTrader();
+        const { body: listed } = await listItem(seller);
+        
+        await settleAll();
+        
+        const detail = await server.request('GET', `/api/auctions/${listed.data.id}`);
+        assert.equal(detail.body.data.status, 'expired');
+        
+        const { inventory } = await getPlayer(seller);
+        assert.equal(inventory[0].quantity, 1);
+        assert.equal(inventory[0].lots[0].source, 'escrow_return');
+    });
+    
+    it('즉시 구매가 이상으로 입찰하면 그 가격에 바로 낙찰된다', async () => {
+        const seller = await createTrader();
+        const buyer = await createTrader();
+        const { body: listed } = await listItem(seller, { body: { buyoutPrice: 9000 } });
+        
+        const { body } = await bid(buyer, listed.data.id, 12000);
+        assert.equal(body.data.status, 'sold');
+        assert.equal(body.data.currentBid, 9000);
+        assert.equal((await getPlayer(buyer)).money, 100000 - 9000);
+        assert.equal((await getPlayer(buyer)).inventory[0].quantity, 1);
+        
+        const late = await bid(await createTrader(), listed.data.id, 13000);
+        assert.equal(late.status, 400);
+    });
+    
+    it('출품한 아이템과 최고 입찰 금액은 경매가 끝날 때까지 순자산에 포함된다', async () => {
+        const seller = await createTrader();
+        const bidder = await createTrader();
+        const getStats = async (player) => {
+            const { body } = await server.request('GET', '/api/game/player/stats', { token: player.token });
+            return body.data;
+        };
+        
+        await buy(seller);
+        const sellerBefore = await getStats(seller);
+        const bidderBefore = await getStats(bidder);
+        
+        const { inventory } = await getPlayer(seller);
+        const { body: listed } = await server.request('POST', '/api/auctions', {
+            token: seller.token,
+            body: { itemId: inventory[0].id, startingPrice: 5000, durationHours: 1, district: merchant.district }
+        });
+        await bid(bidder, listed.data.id, 5000);
+        
+        const sellerAfter = await getStats(seller);
+        assert.equal(sellerAfter.inventoryValue, sellerBefore.inventoryValue);
+        assert.equal(sellerAfter.netWorth, sellerBefore.netWorth);
+        
+        const bidderAfter = await getStats(bidder);
+        assert.equal(bidderAfter.currentMoney, bidderBefore.currentMoney - 5000);
+        assert.equal(bidderAfter.escrowedMoney, 5000);
+        assert.equal(bidderAfter.netWorth, bidderBefore.netWorth);
+    });
+    
+    it('입찰이 없는 경매만 취소할 수 있다', async () => {
+        const seller = await createTrader();
+        const bidder = await createTrader();
+        
+        const { body: open } = await listItem(seller);
+        const cancelled = await server.request('POST', `/api/auctions/${open.data.id}/cancel`, { token: seller.token });
+        assert.equal(cancelled.body.data.status, 'cancelled');
+        assert.equal((await getPlayer(seller)).inventory[0].quantity, 1);
+        
+        const { body: contested } = await listItem(seller);
+        await bid(bidder, contested.data.id, 5000);
+        const refused = await server.request('POST', `/api/auctions/${contested.data.id}/cancel`, { token: seller.token });
+        assert.equal(refused.status, 400);
+    });
+    
+    it('잘못된 출품과 입찰은 거부한다', async () => {
+        const seller = await createTrader();
+        const poor = await createTrader({ money: 0 });
+        
+        const duration = await listItem(seller, { body: { durationHours: 1000 } });
+        assert.equal(duration.status, 400);
+        
+        const district = await listItem(seller, { body: { district: '부산' } });
+        assert.equal(district.status, 400);
+        
+        const buyout = await listItem(seller, { body: { buyoutPrice: 4000 } });
+        assert.equal(buyout.status, 400);
+        
+        const { body: listed } = await listItem(seller);
+        
+        const own = await bid(seller, listed.data.id, 5000);
+        assert.equal(own.status, 400);
+        
+        const noFunds = await bid(poor, listed.data.id, 5000);
+        assert.equal(noFunds.status, 400);
+        assert.equal((await server.request('GET', `/api/auctions/${listed.data.id}`)).body.data.bidCount, 0);
+    });
+});
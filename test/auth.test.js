@@ -0,0 +1,133 @@
+// test/auth.test.js - 회원가입 / 로그인 / 토큰 갱신 / 로그아웃
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createPlayer, connectSocket, waitForEvent } from './helpers.js';
+
+describe('인증 API', () => {
+    let server;
+    const sockets = [];
+    
+    before(async () => {
+        server = await startTestServer();
+    });
+    
+    after(async () => {
+        sockets.forEach(socket => socket.close());
+        await server.close();
+    });
+    
+    const connect = async (token) => {
+        const { socket } = await connectSocket(server, token);
+        sockets.push(socket);
+        return socket;
+    };
+    
+    // 같은 계정으로 로그인해 두 번째 세션을 만든다
+    const login = async (player) => {
+        const { body } = await server.request('POST', '/api/auth/login', {
+            body: { email: player.email, password: player.password }
+        });
+        return body.token;
+    };
+    
+    it('회원가입하면 토큰과 시작 플레이어 정보를 돌려준다', async () => {
+        const { status, body } = await server.request('POST', '/api/auth/register', {
+            body: { email: 'new@test.local', password: 'password123', playerName: '신규상인' }
+        });
+        
+        assert.equal(status, 201);
+        assert.equal(body.success, true);
+        assert.ok(body.token);
+        assert.ok(body.refreshToken);
+        assert.equal(body.player.currentLicense, 1);
+    });
+    
+    it('이미 가입된 이메일은 거부한다', async () => {
+        const player = await createPlayer(server);
+        const { status, body } = await server.request('POST', '/api/auth/register', {
+            body: { email: player.email, password: 'password123', playerName: '중복상인' }
+        });
+        
+        assert.equal(status, 400);
+        assert.equal(body.success, false);
+    });
+    
+    it('짧은 비밀번호는 거부한다', async () => {
+        const { status } = await server.request('POST', '/api/auth/register', {
+            body: { email: 'short@test.local', password: '123', playerName: '짧은비번' }
+        });
+        
+        assert.equal(status, 400);
+    });
+    
+    it('로그인한 토큰으로 플레이어 정보를 조회할 수 있다', async () => {
+        const player = await createPlayer(server);
+        const login = await server.request('POST', '/api/auth/login', {
+            body: { email: player.email, password: player.password }
+        });
+        assert.equal(login.status, 200);
+        
+        const { status, body } = await server.request('GET', '/api/game/player', { token: login.body.token });
+        assert.equal(status, 200);
+        assert.equal(body.data.id, player.playerId);
+    });
+    
+    it('잘못된 비밀번호로는 로그인할 수 없다', async () => {
+        const player = await createPlayer(server);
+        const { status, body } = await server.request('POST', '/api/auth/login', {
+            body: { email: player.email, password: 'wrong-password' }
+        });
+        
+        assert.equal(status, 401);
+        assert.equal(body.success, false);
+    });
+    
+    it('토큰 없이 보호된 API를 호출하면 401', async () => {
+        const { status } = await server.request('GET', '/api/game/player');
+        assert.equal(status, 401);
+    });
+    
+    it('리프레시 토큰은 한 번만 사용할 수 있다', async () => {
+        const player = await createPlayer(server);
+        
+        const first = await server.request('POST', '/api/auth/refresh', { body: { refreshToken: player.refreshToken } });
+        assert.equal(first.status, 200);
+        assert.ok(first.body.token);
+        
+        const reused = await server.request('POST', '/api/auth/refresh', { body: { refreshToken: player.refreshToken } });
+        assert.equal(reused.status, 401);
+    });
+    
+    it('로그아웃하면 액세스 토큰이 더 이상 유효하지 않다', async () => {
+        const player = await createPlayer(server);
+        
+        const logout = await server.request('POST', '/api/auth/logout', { token: player.token });
+        assert.equal(logout.status, 200);
+        
+        const { status } = await server.request('GET', '/api/game/player', { token: player.token });
+        assert.equal(status, 401);
+    });
+    
+    it('로그아웃하면 그 세션으로 열린 소켓만 끊는다', async () => {
+        const player = await createPlayer(server);
+        const current = await connect(player.token);
+        const other = await connect(await login(player));
+        
+        const disconnected = waitForEvent(current, 'disconnect');
+        await server.request('POST', '/api/auth/logout', { token: player.token });
+        
+        assert.equal(await disconnected, 'io server disconnect');
+        assert.equal(other.connected, true);
+    });
+    
+    it('모든 기기에서 로그아웃하면 열린 소켓을 모두 끊는다', async () => {
+        const player = await createPlayer(server);
+        const first = await connect(player.token);
+        const second = await connect(await login(player));
+        
+        const disconnected = Promise.all([waitForEvent(first, 'disconnect'), waitForEvent(second, 'disconnect')]);
+        await server.request('POST', '/api/auth/logout-all', { token: player.token });
+        
+        assert.deepEqual(await disconnected, ['io server disconnect', 'io server disconnect']);
+    });
+});
@@ -0,0 +1,194 @@
+// test/haggle.test.js - 상인과의 흥정 세션 (소켓 명령)
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, connectSocket, waitForEvent, loadTestConfig, getSeedMerchant, createTradingFixtures } from './helpers.js';
+
+describe('상인 흥정', () => {
+    let server;
+    let itMerchant;
+    let beautyMerchant;
+    let createTrader, refillStock, setPrice;
+    const sockets = [];
+    
+    before(async () => {
+        const config = loadTestConfig();
+        itMerchant = getSeedMerchant(config);
+        beautyMerchant = getSeedMerchant(config, 'merchant_myeongdong_beauty');
+        server = await startTestServer({ config });
+        ({ createTrader, refillStock, setPrice } = createTradingFixtures(server, itMerchant, { money: 100000 }));
+    });
+    
+    after(async () => {
+        sockets.forEach(socket => socket.close());
+        await server.close();
+    });
+    
+    // 정가를 10000원으로 고정한다 (관계 등급 0의 구매 정가 = 시세)
+    beforeEach(async () => {
+        await refillStock();
+        await setPrice(10000);
+        await setPrice(10000, 'cosmetics_common', beautyMerchant.district);
+    });
+    
+    const connectTrader = async (merchant = itMerchant) => {
+        const player = await createTrader({ location: { lat: merchant.lat, lng: merchant.lng } });
+        const { socket } = await connectSocket(server, player.token);
+        sockets.push(socket);
+        return { player, socket };
+    };
+    
+    const openBuy = (socket, merchant = itMerchant, itemId = 'it_parts_common') =>
+        socket.emitWithAck('haggleOpen', { merchantId: merchant.id, side: 'buy', itemId });
+    
+    const offer = (socket, session, unitPrice) =>
+        socket.emitWithAck('haggleOffer', { sessionId: session.sessionId, unitPrice });
+    
+    it('정가에서 시작해 역제안하고 양보 한계 안의 제안은 그 가격에 거래한다', async () => {
+        const { socket } = await connectTrader();
+        
+        const opened = await openBuy(socket);
+        assert.equal(opened.success, true, opened.error);
+        assert.equal(opened.data.listPrice, 10000);
+        assert.equal(opened.data.counterPrice, 10000);
+        assert.equal(opened.data.reservationPrice, undefined);
+        
+        const counter = await offer(socket, opened.data, 9000);
+        assert.equal(counter.data.response, 'counter');
+        assert.ok(counter.data.counterPrice < 10000 && counter.data.counterPrice > 9000);
+        assert.equal(counter.data.offersLeft, opened.data.offersLeft - 1);
+        
+        const deal = await offer(socket, opened.data, 9500);
+        assert.equal(deal.data.response, 'deal');
+        assert.equal(deal.data.unitPrice, 9500);
+        assert.equal(deal.data.trade.unitPrice, 9500);
+        assert.equal(deal.data.trade.remainingMoney, 100000 - 9500);
+    });
+    
+    it('상인이 마지막으로 부른 가격을 수락할 수 있다', async () => {
+        const { socket } = await connectTrader();
+        const opened = await openBuy(socket);
+        
+        const counter = await offer(socket, opened.data, 9000);
+        const deal = await socket.emitWithAck('haggleAccept', { sessionId: opened.data.sessionId });
+        
+        assert.equal(deal.success, true, deal.error);
+        assert.equal(deal.data.unitPrice, counter.data.counterPrice);
+        assert.equal(deal.data.trade.totalPrice, counter.data.counterPrice);
+    });
+    
+    it('시세와 너무 먼 제안을 받으면 상인이 흥정을 그만두고 잠시 다시 응하지 않는다', async () => {
+        const { socket } = await connectTrader();
+        const opened = await openBuy(socket);
+        
+        const ended = waitForEvent(socket, 'haggleEnded');
+        const result = await offer(socket, opened.data, 5000);
+        assert.equal(result.data.response, 'walkAway');
+        assert.equal(result.data.reason, 'lowball');
+        assert.equal((await ended).status, 'walkAway');
+        
+        const reopened = await openBuy(socket);
+        assert.equal(reopened.code, 'HAGGLE_COOLDOWN');
+    });
+    
+    it('제안 횟수를 다 쓰면 흥정이 끝난다', async () => {
+        const { socket } = await connectTrader();
+        const opened = await openBuy(socket);
+        
+        let result;
+        for (let attempt = 0; attempt < opened.data.offersLeft; attempt++) {
+            result = await offer(socket, opened.data, 9000);
+        }
+        
+        assert.equal(result.data.response, 'walkAway');
+        assert.equal(result.data.reason, 'exhausted');
+        
+        const after = await offer(socket, opened.data, 9000);
+        assert.equal(after.code, 'HAGGLE_NOT_FOUND');
+    });
+    
+    it('상인 유형에 따라 같은 제안에도 반응이 다르다', async () => {
+        const electronics = await connectTrader(itMerchant);
+        const beauty = await connectTrader(beautyMerchant);
+        
+        const itSession = await openBuy(electronics.socket, itMerchant, 'it_parts_common');
+        const beautySession = await openBuy(beauty.socket, beautyMerchant, 'cosmetics_common');
+        
+        // 정가보다 22% 낮은 제안: IT상인은 역제안, 성격이 급한 화장품상인은 흥정을 그만둔다
+        const itResult = await offer(electronics.socket, itSession.data, 7800);
+        const beautyResult = await offer(beauty.socket, beautySession.data, 7800);
+        
+        assert.equal(itResult.data.response, 'counter');
+        assert.equal(beautyResult.data.response, 'walkAway');
+    });
+    
+    it('관계 등급이 높으면 더 많이 양보한다', async () => {
+        const stranger = await connectTrader();
+        const regular = await connectTrader();
+        await server.db.recordRelationshipTrade(regular.player.playerId, itMerchant.id, 60, 0);
+        
+        const strangerSession = await openBuy(stranger.socket);
+        const regularSession = await openBuy(regular.socket);
+        
+        const strangerResult = await offer(stranger.socket, strangerSession.data, 8500);
+        const regularResult = await offer(regular.socket, regularSession.data, 8500);
+        
+        assert.equal(strangerResult.data.response, 'counter');
+        assert.equal(regularResult.data.response, 'deal');
+        assert.equal(regularResult.data.unitPrice, 8500);
+    });
+    
+    it('판매 흥정은 정가보다 높은 가격을 받아낼 수 있다', async () => {
+        const { socket } = await connectTrader();
+        const bought = await socket.emitWithAck('buyItem', { merchantId: itMerchant.id, itemId: 'it_parts_common' });
+        const inventory = await socket.emitWithAck('getInventory');
+        
+        const opened = await socket.emitWithAck('haggleOpen', {
+            merchantId: itMerchant.id,
+            side: 'sell',
+            itemId: inventory.data.inventory[0].id
+        });
+        assert.equal(opened.success, true, opened.error);
+        
+        const askPrice = opened.data.listPrice + 100;
+        const deal = await offer(socket, opened.data, askPrice);
+        assert.equal(deal.data.response, 'deal');
+        assert.equal(deal.data.trade.totalPrice, askPrice);
+        assert.equal(deal.data.trade.newMoney, bought.data.remainingMoney + askPrice);
+    });
+    
+    it('세션은 한 번에 하나만 열 수 있고 시간이 지나면 만료된다', async () => {
+        const { socket } = await connectTrader();
+        const opened = await openBuy(socket);
+        
+        const duplicate = await openBuy(socket);
+        assert.equal(duplicate.code, 'HAGGLE_IN_PROGRESS');
+        
+        const active = await socket.emitWithAck('haggleSession');
+        assert.equal(active.data.sessionId, opened.data.sessionId);
+        
+        const ended = waitForEvent(socket, 'haggleEnded');
+        const expiredCount = server.app.haggleService.expireSessions(new Date(Date.parse(opened.data.expiresAt) + 1000));
+        assert.ok(expiredCount >= 1);
+        assert.equal((await ended).status, 'expired');
+        
+        const late = await offer(socket, opened.data, 9500);
+        assert.equal(late.code, 'HAGGLE_NOT_FOUND');
+    });
+    
+    it('잘못된 요청은 거부한다', async () => {
+        const { socket } = await connectTrader();
+        
+        const side = await socket.emitWithAck('haggleOpen', { merchantId: itMerchant.id, side: 'steal', itemId: 'it_parts_common' });
+        assert.equal(side.code, 'INVALID_SIDE');
+        
+        const notSold = await openBuy(socket, itMerchant, 'art_common');
+        assert.equal(notSold.code, 'NOT_SOLD_HERE');
+        
+        const opened = await openBuy(socket);
+        const badOffer = await offer(socket, opened.data, -1);
+        assert.equal(badOffer.code, 'INVALID_OFFER');
+        
+        const missing = await socket.emitWithAck('haggleOffer', {});
+        assert.equal(missing.code, 'INVALID_REQUEST');
+    });
+});
@@ -0,0 +1,153 @@
+// test/helpers.js - 통합 테스트용 서버 / 시드 데이터 헬퍼
+// 테스트마다 ':memory:' DB를 쓰는 서버를 빈 포트로 띄우고 끝나면 닫는다.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { io as ioClient } from 'socket.io-client';
+import { createApp } from '../src/app.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_PATH = path.join(__dirname, '../config/game.json');
+
+// 기본 게임 설정의 복사본 (테스트에서 값을 바꿔 createApp에 넘길 수 있다)
+export const loadTestConfig = () => JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+
+// 시드 상인 중 하나 (구매 / 판매 테스트의 기준 위치)
+export const getSeedMerchant = (config, merchantId = 'merchant_gangnam_it') =>
+    config.seed.merchants.find(merchant => merchant.id === merchantId);
+
+// 서버 진행 로그는 테스트 러너 출력(stdout)과 섞이므로 TEST_VERBOSE가 없으면 끈다 (경고 / 오류 로그는 그대로 남는다)
+export const startTestServer = async (options = {}) => {
+    const app = await createApp({
+        dbPath: ':memory:',
+        config: options.config || loadTestConfig(),
+        rateLimitMax: 10000,
+        logRequests: false,
+        logLevel: process.env.TEST_VERBOSE ? 'info' : 'silent',
+        ...options
+    });
+    const port = await app.listen(0);
+    const baseUrl = `http://127.0.0.1:${port}`;
+    
+    const request = async (method, url, { token, body } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        
+        return { status: response.status, body: await response.json() };
+    };
+    
+    return { app, db: app.db, baseUrl, request, close: () => app.close() };
+};
+
+let playerCount = 0;
+
+// 회원가입 후 플레이어 상태를 직접 설정한다
+// overrides: { money, trustPoints, license, location: { lat, lng } }
+export const createPlayer = async (server, overrides = {}) => {
+    playerCount += 1;
+    const email = overrides.email || `player${playerCount}@test.local`;
+    const password = overrides.password || 'password123';
+    
+    const { status, body } = await server.request('POST', '/api/auth/register', {
+        body: { email, password, playerName: overrides.playerName || `테스터${playerCount}` }
+    });
+    if (status !== 201) {
+        throw new Error(`테스트 플레이어 생성 실패: ${body.error}`);
+    }
+    
+    const updates = {};
+    if (overrides.money !== undefined) updates.money = overrides.money;
+    if (overrides.trustPoints !== undefined) updates.trust_points = overrides.trustPoints;
+    if (overrides.license !== undefined) updates.current_license = overrides.license;
+    if (overrides.location) {
+        updates.location_lat = overrides.location.lat;
+        updates.location_lng = overrides.location.lng;
+    }
+    if (Object.keys(updates).length > 0) {
+        await server.db.updatePlayer(body.player.id, updates);
+    }
+    
+    return {
+        email,
+        password,
+        userId: body.user.id,
+        playerId: body.player.id,
+        token: body.token,
+        refreshToken: body.refreshToken
+    };
+};
+
+// 상인 한 명을 기준으로 한 거래 도우미 (기본 아이템: it_parts_common)
+// 서버가 before()에서 만들어지므로 describe 안에서 let으로 선언한 뒤 before()에서 받아 쓴다.
+export const createTradingFixtures = (server, merchant, { itemId = 'it_parts_common', money = 1000000 } = {}) => {
+    const createTrader = (overrides = {}) => createPlayer(server, {
+        money,
+        location: { lat: merchant.lat, lng: merchant.lng },
+        ...overrides
+    });
+    
+    // 테스트마다 여러 개씩 사므로 상인 재고를 넉넉하게 채운다
+    const refillStock = () => server.db.run('UPDATE merchant_stock SET quantity = 100');
+    
+    const setPrice = (price, priceItemId = itemId, district = merchant.district) =>
+        server.db.updateMarketPrice(priceItemId, district, price);
+    
+    const buy = (player, quantity = 1) => server.request('POST', '/api/game/trade/buy', {
+        token: player.token,
+        body: { merchantId: merchant.id, itemId, quantity }
+    });
+    
+    const sell = (player, body) => server.request('POST', '/api/game/trade/sell', {
+        token: player.token,
+        body: { merchantId: merchant.id, ...body }
+    });
+    
+    const getPlayer = async (player) => {
+        const { body } = await server.request('GET', '/api/game/player', { token: player.token });
+        return body.data;
+    };
+    
+    const getInventory = async (player) => (await getPlayer(player)).inventory;
+    
+    // 인벤토리 첫 스택을 buyer 상인에게 판다
+    const sellStack = async (player, quantity = 1, buyer = merchant) => {
+        const [stack] = await getInventory(player);
+        return await sell(player, { merchantId: buyer.id, itemId: stack.id, quantity });
+    };
+    
+    return { createTrader, refillStock, setPrice, buy, sell, sellStack, getPlayer, getInventory };
+};
+
+// 서버는 인증된 연결에 바로 welcome을 보내므로 welcome까지 받은 뒤 반환한다
+export const connectSocket = (server, token) => new Promise((resolve, reject) => {
+    const socket = ioClient(server.baseUrl, {
+        auth: token ? { token } : {},
+        transports: ['websocket'],
+        reconnection: false,
+        forceNew: true
+    });
+    
+    socket.once('welcome', (welcome) => resolve({ socket, welcome }));
+    socket.once('connect_error', (error) => {
+        socket.close();
+        reject(error);
+    });
+});
+
+export const waitForEvent = (socket, event, timeoutMs = 2000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`이벤트 대기 시간 초과: ${event}`)), timeoutMs);
+    socket.once(event, (data) => {
+        clearTimeout(timer);
+        resolve(data);
+    });
+});
@@ -0,0 +1,124 @@
+// test/inventory.test.js - 아이템별 스택, 구매 묶음(lot)과 취득 원가
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, loadTestConfig, getSeedMerchant, createTradingFixtures } from './helpers.js';
+
+describe('인벤토리 스택 / 구매 묶음', () => {
+    let server;
+    let createTrader, refillStock, setPrice, buy, sell, getInventory;
+    
+    before(async () => {
+        const config = loadTestConfig();
+        server = await startTestServer({ config });
+        ({ createTrader, refillStock, setPrice, buy, sell, getInventory } = createTradingFixtures(server, getSeedMerchant(config)));
+    });
+    
+    after(async () => {
+        await server.close();
+    });
+    
+    beforeEach(async () => {
+        await refillStock();
+    });
+    
+    it('같은 아이템을 여러 번 사면 하나의 스택에 구매 묶음이 쌓인다', async () => {
+        const player = await createTrader();
+        await setPrice(1000);
+        await buy(player, 2);
+        await setPrice(2500);
+        await buy(player, 1);
+        
+        const inventory = await getInventory(player);
+        assert.equal(inventory.length, 1);
+        
+        const [stack] = inventory;
+        assert.equal(stack.quantity, 3);
+        assert.equal(stack.costBasis, 4500);
+        assert.equal(stack.averageCost, 1500);
+        assert.deepEqual(stack.lots.map(lot => [lot.quantity, lot.unitCost, lot.source]), [[2, 1000, 'buy'], [1, 2500, 'buy']]);
+    });
+    
+    it('판매는 오래된 구매 묶음부터 꺼낸다', async () => {
+        const player = await createTrader();
+        await setPrice(1000);
+        await buy(player, 2);
+        await setPrice(3000);
+        await buy(player, 2);
+        
+        const [stack] = await getInventory(player);
+        const { status, body } = await sell(player, { itemId: stack.id, quantity: 3 });
+        assert.equal(status, 200, body.error);
+        assert.equal(body.data.costBasis, 1000 * 2 + 3000);
+        
+        const [remaining] = await getInventory(player);
+        assert.equal(remaining.quantity, 1);
+        assert.equal(remaining.lots.length, 1);
+        assert.equal(remaining.lots[0].unitCost, 3000);
+    });
+    
+    it('구매 묶음을 지정해서 팔 수 있다', async () => {
+        const player = await createTrader();
+        await setPrice(1000);
+        await buy(player, 1);
+        await setPrice(4000);
+        await buy(player, 2);
+        
+        const [stack] = await getInventory(player);
+        const expensiveLot = stack.lots.find(lot => lot.unitCost === 4000);
+        
+        const { body } = await sell(player, { itemId: stack.id, quantity: 1, lotId: expensiveLot.id });
+        assert.equal(body.data.costBasis, 4000);
+        
+        const [remaining] = await getInventory(player);
+        assert.deepEqual(remaining.lots.map(lot => [lot.quantity, lot.unitCost]), [[1, 1000], [1, 4000]]);
+        
+        const tooMany = await sell(player, { itemId: stack.id, quantity: 2, lotId: expensiveLot.id });
+        assert.equal(tooMany.body.code, 'INSUFFICIENT_QUANTITY');
+        
+        const unknownLot = await sell(player, { itemId: stack.id, quantity: 1, lotId: 'missing-lot' });
+        assert.equal(unknownLot.body.code, 'LOT_NOT_FOUND');
+    });
+    
+    it('스택을 모두 팔면 인벤토리에서 사라진다', async () => {
+        const player = await createTrader();
+        await buy(player, 2);
+        
+        const [stack] = await getInventory(player);
+        await sell(player, { itemId: stack.id, quantity: 2 });
+        
+        assert.deepEqual(await getInventory(player), []);
+    });
+    
+    it('인벤토리 용량은 스택 수가 아니라 보유 수량으로 센다', async () => {
+        const player = await createTrader();
+        const { body: playerData } = await server.request('GET', '/api/game/player', { token: player.token });
+        const capacity = playerData.data.maxInventorySize;
+        
+        await buy(player, capacity);
+        
+        const { status, body } = await buy(player, 1);
+        assert.equal(status, 400);
+        assert.equal(body.code, 'INVENTORY_FULL');
+    });
+    
+    it('취소된 거래 제안의 아이템은 취득 원가 그대로 돌아온다', async () => {
+        const player = await createTrader();
+        await setPrice(2000);
+        await buy(player, 2);
+        
+        const [stack] = await getInventory(player);
+        const offer = await server.request('POST', '/api/trade/offers', {
+            token: player.token,
+            body: { itemId: stack.id, quantity: 2, price: 9000 }
+        });
+        assert.equal(offer.status, 201, offer.body.error);
+        assert.deepEqual(await getInventory(player), []);
+        
+        await server.request('POST', `/api/trade/offers/${offer.body.data.id}/cancel`, { token: player.token });
+        
+        const [returned] = await getInventory(player);
+        assert.equal(returned.quantity, 2);
+        assert.equal(returned.costBasis, 4000);
+        assert.equal(returned.lots[0].source, 'escrow_return');
+    });
+});
@@ -0,0 +1,58 @@
+// test/leaderboard.test.js - 순자산 리더보드 / 플레이어 통계
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, loadTestConfig, getSeedMerchant, createTradingFixtures } from './helpers.js';
+
+describe('순자산 리더보드', () => {
+    let server;
+    let createTrader, refillStock, setPrice, buy, getInventory;
+    
+    before(async () => {
+        const config = loadTestConfig();
+        server = await startTestServer({ config });
+        ({ createTrader, refillStock, setPrice, buy, getInventory } = createTradingFixtures(server, getSeedMerchant(config), { money: 100000 }));
+    });
+    
+    after(async () => {
+        await server.close();
+    });
+    
+    beforeEach(async () => {
+        await refillStock();
+        await setPrice(1000);
+    });
+    
+    const getStats = async (player) => {
+        const { body } = await server.request('GET', '/api/game/player/stats', { token: player.token });
+        return body.data;
+    };
+    
+    it('순자산은 보유 현금과 인벤토리 평가액의 합이다', async () => {
+        const player = await createTrader();
+        await buy(player, 2);
+        
+        const stats = await getStats(player);
+        assert.ok(stats.inventoryValue > 0);
+        assert.equal(stats.netWorth, stats.currentMoney + stats.inventoryValue);
+    });
+    
+    it('거래 제안에 에스크로된 아이템도 판매자의 순자산에 포함된다', async () => {
+        const player = await createTrader();
+        await buy(player, 2);
+        const beforeOffer = await getStats(player);
+        
+        const [stack] = await getInventory(player);
+        const offer = await server.request('POST', '/api/trade/offers', {
+            token: player.token,
+            body: { itemId: stack.id, quantity: 2, price: 9000 }
+        });
+        assert.equal(offer.status, 201, offer.body.error);
+        
+        const afterOffer = await getStats(player);
+        assert.equal(afterOffer.inventoryValue, beforeOffer.inventoryValue);
+        assert.equal(afterOffer.netWorth, beforeOffer.netWorth);
+        
+        const { body } = await server.request('GET', '/api/game/leaderboard?type=networth&limit=100', { token: player.token });
+        assert.equal(body.data.me.netWorth, beforeOffer.netWorth);
+    });
+});
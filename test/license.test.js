@@ -0,0 +1,64 @@
+// test/license.test.js - 라이센스 업그레이드
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createPlayer, loadTestConfig } from './helpers.js';
+
+describe('라이센스 업그레이드 API', () => {
+    let server;
+    let nextLicense;
+    
+    before(async () => {
+        const config = loadTestConfig();
+        nextLicense = config.licenses.find(license => license.level === 2);
+        server = await startTestServer({ config });
+    });
+    
+    after(async () => {
+        await server.close();
+    });
+    
+    const upgrade = (player) => server.request('POST', '/api/game/license/upgrade', { token: player.token });
+    
+    it('돈과 신뢰도가 충분하면 다음 등급으로 올라간다', async () => {
+        const player = await createPlayer(server, {
+            money: nextLicense.upgradeCost + 1000,
+            trustPoints: nextLicense.requiredTrust
+        });
+        
+        const { status, body } = await upgrade(player);
+        assert.equal(status, 200, body.error);
+        assert.equal(body.data.newLicense, 2);
+        assert.equal(body.data.newInventorySize, nextLicense.inventorySize);
+        
+        const playerData = await server.request('GET', '/api/game/player', { token: player.token });
+        assert.equal(playerData.body.data.currentLicense, 2);
+        assert.equal(playerData.body.data.money, 1000);
+        assert.equal(playerData.body.data.maxInventorySize, nextLicense.inventorySize);
+    });
+    
+    it('돈이 부족하면 업그레이드할 수 없다', async () => {
+        const player = await createPlayer(server, { money: 0, trustPoints: nextLicense.requiredTrust });
+        
+        const { status, body } = await upgrade(player);
+        assert.equal(status, 400);
+        assert.match(body.error, /원이 필요합니다/);
+    });
+    
+    it('신뢰도가 부족하면 업그레이드할 수 없다', async () => {
+        const player = await createPlayer(server, { money: nextLicense.upgradeCost, trustPoints: 0 });
+        
+        const { status, body } = await upgrade(player);
+        assert.equal(status, 400);
+        assert.match(body.error, /신뢰도/);
+    });
+    
+    it('최고 등급에서는 더 올라가지 않는다', async () => {
+        const config = loadTestConfig();
+        const maxLevel = Math.max(...config.licenses.map(license => license.level));
+        const player = await createPlayer(server, { money: 100000000, trustPoints: 100000, license: maxLevel });
+        
+        const { status, body } = await upgrade(player);
+        assert.equal(status, 400);
+        assert.equal(body.error, '이미 최고 등급 라이센스입니다.');
+    });
+});
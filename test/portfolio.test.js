@@ -0,0 +1,178 @@
+// test/portfolio.test.js - 실현 / 평가 손익과 포트폴리오 API
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, loadTestConfig, getSeedMerchant, createTradingFixtures } from './helpers.js';
+
+describe('포트폴리오 API', () => {
+    let server;
+    let merchant;
+    let sellSpread;
+    let createTrader, refillStock, buy, sellStack, getInventory;
+    
+    before(async () => {
+        const config = loadTestConfig();
+        merchant = getSeedMerchant(config);
+        sellSpread = merchant.buys.find(entry => entry.category === 'IT부품').spread;
+        server = await startTestServer({ config });
+        ({ createTrader, refillStock, buy, sellStack, getInventory } = createTradingFixtures(server, merchant));
+    });
+    
+    after(async () => {
+        await server.close();
+    });
+    
+    beforeEach(async () => {
+        await refillStock();
+    });
+    
+    // 모든 지역 시세를 같게 맞춰 평가 기준(지역 평균)을 고정한다
+    const setPrice = (price) => server.db.run('UPDATE market_prices SET current_price = ? WHERE item_id = ?', [price, 'it_parts_common']);
+    
+    const getPortfolio = async (player, window) => {
+        const query = window ? `?window=${window}` : '';
+        const { status, body } = await server.request('GET', `/api/game/player/portfolio${query}`, { token: player.token });
+        assert.equal(status, 200, body.error);
+        return body.data;
+    };
+    
+    it('판매하면 취득 원가와 실현 손익을 거래 기록에 남긴다', async () => {
+        const player = await createTrader();
+        await setPrice(1000);
+        await buy(player, 2);
+        await setPrice(5000);
+        
+        const { body } = await sellStack(player, 2);
+        const expectedRevenue = Math.floor(5000 * (1 - sellSpread)) * 2;
+        assert.equal(body.data.costBasis, 2000);
+        assert.equal(body.data.realizedProfit, expectedRevenue - 2000);
+        
+        const history = await server.request('GET', '/api/game/trade/history', { token: player.token });
+        const sale = history.body.data.find(trade => trade.trade_type === 'sell');
+        assert.equal(sale.cost_basis, 2000);
+        assert.equal(sale.realized_profit, expectedRevenue - 2000);
+        assert.equal(sale.unit_price, expectedRevenue / 2);
+        assert.equal(sale.district, merchant.district);
+    });
+    
+    it('보유 아이템은 현재 시세로 평가 손익을 계산한다', async () => {
+        const player = await createTrader();
+        await setPrice(1000);
+        await buy(player, 3);
+        await setPrice(1500);
+        
+        const portfolio = await getPortfolio(player);
+        const [holding] = portfolio.unrealized.items;
+        
+        assert.equal(holding.itemId, 'it_parts_common');
+        assert.equal(holding.averageCost, 1000);
+        assert.equal(holding.marketPrice, 1500);
+        assert.equal(holding.marketValue, 4500);
+        assert.equal(holding.profit, 1500);
+        assert.equal(portfolio.unrealized.profit, 1500);
+        assert.equal(portfolio.netWorth, portfolio.money + 4500);
+    });
+    
+    it('거래 제안 / 경매에 에스크로된 자산도 순자산에 포함하고 리더보드와 같은 값을 낸다', async () => {
+        const player = await createTrader();
+        const seller = await createTrader();
+        await setPrice(1000);
+        await buy(player, 3);
+        await buy(seller, 1);
+        await setPrice(1500);
+        const before = await getPortfolio(player);
+        assert.equal(before.escrowValue, 0);
+        
+        const [stack] = await getInventory(player);
+        const offer = await server.request('POST', '/api/trade/offers', {
+            token: player.token,
+            body: { itemId: stack.id, quantity: 1, price: 9000 }
+        });
+        assert.equal(offer.status, 201, offer.body.error);
+        
+        const [listed] = await getInventory(seller);
+        const auction = await server.request('POST', '/api/auctions', {
+            token: seller.token,
+            body: { itemId: listed.id, quantity: 1, startingPrice: 5000, durationHours: 1, district: merchant.district }
+        });
+        const bid = await server.request('POST', `/api/auctions/${auction.body.data.id}/bids`, {
+            token: player.token,
+            body: { amount: 5000 }
+        });
+        assert.equal(bid.status, 200, bid.body.error);
+        
+        const portfolio = await getPortfolio(player);
+        assert.equal(portfolio.unrealized.marketValue, 3000);
+        assert.equal(portfolio.escrowValue, 1500 + 5000);
+        assert.equal(portfolio.netWorth, before.netWorth);
+        assert.equal(portfolio.netWorth, portfolio.money + portfolio.unrealized.marketValue + portfolio.escrowValue);
+        
+        const { body } = await server.request('GET', '/api/game/leaderboard?type=networth&limit=100', { token: player.token });
+        assert.equal(body.data.me.netWorth, portfolio.netWorth);
+    });
+    
+    it('실현 손익을 아이템 / 지역별, 기간별로 나눠 보여준다', async () => {
+        const player = await createTrader();
+        await setPrice(1000);
+        await buy(player, 2);
+        await setPrice(4000);
+        const { body: sale } = await sellStack(player, 2);
+        
+        // 2주 전 판매 기록은 week / day 집계에서 빠진다
+        await server.db.run(
+            `UPDATE trades SET timestamp = datetime('now', '-14 days') WHERE id = (
+                SELECT id FROM trades WHERE seller_id = ? ORDER BY timestamp DESC LIMIT 1
+            )`,
+            [player.playerId]
+        );
+        await setPrice(1000);
+        await buy(player, 1);
+        await setPrice(2000);
+        const { body: recentSale } = await sellStack(player, 1);
+        
+        const all = await getPortfolio(player);
+        assert.equal(all.window, 'all');
+        assert.equal(all.realized.tradeCount, 2);
+        assert.equal(all.realized.profit, sale.data.realizedProfit + recentSale.data.realizedProfit);
+        assert.equal(all.realized.byItem.length, 1);
+        assert.equal(all.realized.byItem[0].itemId, 'it_parts_common');
+        assert.equal(all.realized.byDistrict[0].district, merchant.district);
+        
+        const week = await getPortfolio(player, 'week');
+        assert.equal(week.realized.tradeCount, 1);
+        assert.equal(week.realized.profit, recentSale.data.realizedProfit);
+        assert.deepEqual(week.realizedProfitByWindow, {
+            day: recentSale.data.realizedProfit,
+            week: recentSale.data.realizedProfit,
+            all: all.realized.profit
+        });
+    });
+    
+    it('플레이어 간 거래도 판매자의 실현 손익으로 기록한다', async () => {
+        const seller = await createTrader();
+        const buyer = await createTrader();
+        await setPrice(1000);
+        await buy(seller, 2);
+        
+        const [stack] = await getInventory(seller);
+        const offer = await server.request('POST', '/api/trade/offers', {
+            token: seller.token,
+            body: { itemId: stack.id, quantity: 2, price: 5000, targetPlayerId: buyer.playerId }
+        });
+        const accepted = await server.request('POST', `/api/trade/offers/${offer.body.data.id}/accept`, { token: buyer.token });
+        assert.equal(accepted.status, 200, accepted.body.error);
+        
+        const portfolio = await getPortfolio(seller);
+        assert.equal(portfolio.realized.profit, 3000);
+        assert.deepEqual(portfolio.realized.byDistrict.map(row => [row.district, row.profit]), [[null, 3000]]);
+        
+        // 구매자는 지불한 금액이 취득 원가가 된다
+        const buyerPortfolio = await getPortfolio(buyer);
+        assert.equal(buyerPortfolio.unrealized.costBasis, 5000);
+    });
+    
+    it('알 수 없는 기간은 거부한다', async () => {
+        const player = await createTrader();
+        const { status } = await server.request('GET', '/api/game/player/portfolio?window=month', { token: player.token });
+        assert.equal(status, 400);
+    });
+});
@@ -0,0 +1,81 @@
+// test/priceEngine.test.js - 수요/공급 가격 엔진 (DB 없이 순수 계산)
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PriceEngine from '../src/services/PriceEngine.js';
+
+describe('가격 엔진', () => {
+    const basePrice = 10000;
+    
+    // 무작위 변동 없이 거래 압력만 보는 엔진
+    const steadyEngine = () => new PriceEngine({ seed: 1, volatility: 0 });
+    
+    const simulate = (engine, ticks, volume) => {
+        let demandMultiplier = 1.0;
+        const prices = [];
+        for (let tick = 0; tick < ticks; tick++) {
+            const result = engine.computeNextPrice({ basePrice, demandMultiplier, ...volume });
+            demandMultiplier = result.demandMultiplier;
+            prices.push(result.newPrice);
+        }
+        return prices;
+    };
+    
+    it('같은 시드와 입력이면 같은 가격을 낸다', () => {
+        const volume = { buyVolume: 5, sellVolume: 2 };
+        
+        assert.deepEqual(
+            simulate(new PriceEngine({ seed: 42 }), 20, volume),
+            simulate(new PriceEngine({ seed: 42 }), 20, volume)
+        );
+        assert.notDeepEqual(
+            simulate(new PriceEngine({ seed: 42 }), 20, volume),
+            simulate(new PriceEngine({ seed: 43 }), 20, volume)
+        );
+    });
+    
+    it('거래가 없으면 기본가에 머문다', () => {
+        const { newPrice, demandMultiplier, pressure } = steadyEngine().computeNextPrice({ basePrice });
+        
+        assert.equal(newPrice, basePrice);
+        assert.equal(demandMultiplier, 1);
+        assert.equal(pressure, 0);
+    });
+    
+    it('구매(수요)가 많으면 가격이 오른다', () => {
+        const { newPrice, pressure } = steadyEngine().computeNextPrice({ basePrice, buyVolume: 20 });
+        
+        assert.ok(pressure > 0);
+        assert.ok(newPrice > basePrice);
+    });
+    
+    it('판매(공급)가 많으면 가격이 내린다', () => {
+        const { newPrice, pressure } = steadyEngine().computeNextPrice({ basePrice, sellVolume: 20 });
+        
+        assert.ok(pressure < 0);
+        assert.ok(newPrice < basePrice);
+    });
+    
+    it('거래가 멈추면 수요 배수가 1.0으로 돌아간다', () => {
+        const engine = steadyEngine();
+        const { demandMultiplier } = engine.computeNextPrice({ basePrice, demandMultiplier: 1.4 });
+        
+        assert.ok(demandMultiplier < 1.4 && demandMultiplier > 1);
+    });
+    
+    it('가격과 수요 배수는 최저 / 최고 비율을 벗어나지 않는다', () => {
+        const engine = new PriceEngine({ seed: 7, volatility: 0.5 });
+        const { minRatio, maxRatio } = engine.options;
+        
+        for (const volume of [{ buyVolume: 1000 }, { sellVolume: 1000 }]) {
+            let demandMultiplier = 1.0;
+            for (let tick = 0; tick < 50; tick++) {
+                const result = engine.computeNextPrice({ basePrice, demandMultiplier, ...volume });
+                demandMultiplier = result.demandMultiplier;
+                
+                assert.ok(result.newPrice >= Math.floor(basePrice * minRatio));
+                assert.ok(result.newPrice <= Math.floor(basePrice * maxRatio));
+                assert.ok(demandMultiplier >= minRatio && demandMultiplier <= maxRatio);
+            }
+        }
+    });
+});
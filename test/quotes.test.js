@@ -0,0 +1,126 @@
+// test/quotes.test.js - 상인별 매입 품목군 / 스프레드와 견적 API
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, loadTestConfig, getSeedMerchant, createTradingFixtures } from './helpers.js';
+
+describe('상인 매입 목록과 견적 API', () => {
+    let server;
+    let itMerchant;
+    let artMerchant;
+    let beautyMerchant;
+    let createTrader, refillStock, setPrice, buy, sellStack;
+    
+    before(async () => {
+        const config = loadTestConfig();
+        itMerchant = getSeedMerchant(config);
+        artMerchant = getSeedMerchant(config, 'merchant_hongdae_art');
+        beautyMerchant = getSeedMerchant(config, 'merchant_myeongdong_beauty');
+        server = await startTestServer({ config });
+        ({ createTrader, refillStock, setPrice, buy, sellStack } = createTradingFixtures(server, itMerchant));
+    });
+    
+    after(async () => {
+        await server.close();
+    });
+    
+    beforeEach(async () => {
+        await refillStock();
+    });
+    
+    const moveTo = (player, merchant) => server.db.updatePlayer(player.playerId, {
+        location_lat: merchant.lat,
+        location_lng: merchant.lng
+    });
+    
+    const getQuotes = (player, query) => server.request('GET', `/api/game/quotes?${query}`, { token: player.token });
+    
+    it('상인 정보에 매입 품목군과 스프레드가 포함된다', async () => {
+        const { body } = await server.request('GET', '/api/game/merchants');
+        const merchant = body.data.find(entry => entry.id === artMerchant.id);
+        assert.deepEqual(merchant.buys, artMerchant.buys);
+    });
+    
+    it('상인이 사들이지 않는 품목군은 팔 수 없다', async () => {
+        const player = await createTrader();
+        await buy(player);
+        await moveTo(player, artMerchant);
+        
+        const { status, body } = await sellStack(player, 1, artMerchant);
+        assert.equal(status, 400);
+        assert.equal(body.code, 'NOT_BOUGHT_HERE');
+    });
+    
+    it('판매가는 상인 지역 시세에서 상인 스프레드를 뺀 값이다', async () => {
+        const player = await createTrader();
+        await buy(player, 2);
+        await setPrice(10000);
+        
+        const { body } = await sellStack(player, 2);
+        const spread = itMerchant.buys.find(entry => entry.category === 'IT부품').spread;
+        assert.equal(body.data.unitPrice, Math.floor(10000 * (1 - spread)));
+        assert.equal(body.data.totalPrice, body.data.unitPrice * 2);
+    });
+    
+    it('견적은 실제 구매 / 판매 단가와 같다', async () => {
+        const player = await createTrader();
+        await setPrice(3000);
+        
+        const { status, body } = await getQuotes(player, `itemId=it_parts_common&merchantIds=${itMerchant.id}`);
+        assert.equal(status, 200, body.error);
+        
+        const [quote] = body.data.quotes;
+        assert.equal(quote.merchantId, itMerchant.id);
+        assert.equal(quote.withinReach, true);
+        assert.equal(quote.buy.available, true);
+        
+        const bought = await buy(player);
+        assert.equal(bought.body.data.unitPrice, quote.buy.unitPrice);
+        
+        const sold = await sellStack(player);
+        assert.equal(sold.body.data.unitPrice, quote.sell.unitPrice);
+        assert.ok(quote.sell.unitPrice < quote.buy.unitPrice);
+    });
+    
+    it('여러 상인의 견적을 한 번에 비교할 수 있다', async () => {
+        const player = await createTrader();
+        
+        // 명품: 홍대 예술품상인과 명동 화장품상인이 사들이고, 명동은 관계 등급 1부터 판매한다
+        const { body } = await getQuotes(player, 'itemId=luxury_common');
+        const byMerchant = new Map(body.data.quotes.map(quote => [quote.merchantId, quote]));
+        assert.deepEqual([...byMerchant.keys()].sort(), [artMerchant.id, beautyMerchant.id].sort());
+        
+        const art = byMerchant.get(artMerchant.id);
+        assert.equal(art.buy, null);
+        assert.equal(art.sell.spread, 0.15);
+        assert.equal(art.withinReach, false);
+        
+        const beauty = byMerchant.get(beautyMerchant.id);
+        assert.equal(beauty.buy.available, false);
+        assert.equal(beauty.buy.code, 'RELATIONSHIP_REQUIRED');
+        assert.equal(beauty.sell.spread, 0.12);
+    });
+    
+    it('사들이지도 팔지도 않는 상인의 견적은 비어 있다', async () => {
+        const player = await createTrader();
+        
+        const { body } = await getQuotes(player, `itemId=art_common&merchantIds=${itMerchant.id}`);
+        const [quote] = body.data.quotes;
+        assert.equal(quote.buy, null);
+        assert.equal(quote.sell, null);
+    });
+    
+    it('없는 상인이나 아이템을 지정하면 실패한다', async () => {
+        const player = await createTrader();
+        
+        const unknownMerchant = await getQuotes(player, 'itemId=it_parts_common&merchantIds=merchant_unknown');
+        assert.equal(unknownMerchant.status, 400);
+        assert.equal(unknownMerchant.body.code, 'MERCHANT_NOT_FOUND');
+        
+        const unknownItem = await getQuotes(player, 'itemId=unknown_item');
+        assert.equal(unknownItem.status, 400);
+        assert.equal(unknownItem.body.code, 'ITEM_NOT_FOUND');
+        
+        const missingItem = await getQuotes(player, '');
+        assert.equal(missingItem.status, 400);
+    });
+});
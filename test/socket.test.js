@@ -0,0 +1,133 @@
+// test/socket.test.js - Socket.IO 인증 및 이벤트
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createPlayer, connectSocket, waitForEvent, loadTestConfig, getSeedMerchant } from './helpers.js';
+
+describe('Socket.IO 이벤트', () => {
+    let server;
+    let merchant;
+    const sockets = [];
+    
+    before(async () => {
+        const config = loadTestConfig();
+        merchant = getSeedMerchant(config);
+        server = await startTestServer({ config });
+    });
+    
+    after(async () => {
+        sockets.forEach(socket => socket.close());
+        await server.close();
+    });
+    
+    const connect = async (player) => {
+        const connection = await connectSocket(server, player.token);
+        sockets.push(connection.socket);
+        return connection;
+    };
+    
+    it('토큰이 없으면 연결을 거부한다', async () => {
+        await assert.rejects(connectSocket(server), /Authentication token required/);
+    });
+    
+    it('잘못된 토큰이면 연결을 거부한다', async () => {
+        await assert.rejects(connectSocket(server, 'not-a-token'), /Invalid token/);
+    });
+    
+    it('연결되면 welcome 이벤트를 받는다', async () => {
+        const player = await createPlayer(server);
+        const { welcome } = await connect(player);
+        
+        assert.equal(welcome.userId, player.userId);
+    });
+    
+    it('위치를 보내면 주변 상인 목록을 받는다', async () => {
+        const player = await createPlayer(server);
+        const { socket } = await connect(player);
+        
+        const nearby = waitForEvent(socket, 'nearbyMerchants');
+        socket.emit('updateLocation', { latitude: merchant.lat, longitude: merchant.lng });
+        
+        const merchants = await nearby;
+        assert.ok(merchants.some(entry => entry.id === merchant.id));
+    });
+    
+    it('잘못된 위치 데이터는 error 이벤트로 알린다', async () => {
+        const player = await createPlayer(server);
+        const { socket } = await connect(player);
+        
+        const error = waitForEvent(socket, 'error');
+        socket.emit('updateLocation', { latitude: 'north', longitude: 127 });
+        
+        assert.equal((await error).message, '잘못된 위치 데이터입니다.');
+    });
+    
+    it('시장 가격과 플레이어 통계를 요청할 수 있다', async () => {
+        const player = await createPlayer(server);
+        const { socket } = await connect(player);
+        
+        const prices = waitForEvent(socket, 'marketPrices');
+        socket.emit('requestMarketPrices');
+        assert.ok((await prices).length > 0);
+        
+        const stats = waitForEvent(socket, 'playerStats');
+        socket.emit('requestPlayerStats');
+        assert.ok(await stats);
+    });
+    
+    it('출석 보상을 수령하면 dailyRewardClaimed 이벤트를 받는다', async () => {
+        const player = await createPlayer(server);
+        const { socket } = await connect(player);
+        
+        const claimed = waitForEvent(socket, 'dailyRewardClaimed');
+        socket.emit('claimDailyReward');
+        
+        const reward = await claimed;
+        assert.ok(reward);
+    });
+    
+    it('플레이어 조회를 기다리는 동안 끊긴 소켓은 접속 상태로 남지 않는다', async () => {
+        const player = await createPlayer(server);
+        const presence = server.app.presenceService;
+        const socket = { id: 'pending-socket', userId: player.userId, connected: true, join: () => {} };
+        
+        // 진행 중인 트랜잭션으로 쿼리 큐를 붙잡아 접속 등록이 플레이어 조회에서 기다리게 한다
+        let release;
+        let opened;
+        const transactionOpened = new Promise(resolve => { opened = resolve; });
+        const held = server.db.transaction(() => new Promise(resolve => {
+            release = resolve;
+            opened();
+        }));
+        await transactionOpened;
+        
+        const connecting = presence.connect(socket);
+        socket.connected = false;
+        presence.disconnect(socket);
+        
+        release();
+        await held;
+        assert.equal(await connecting, null);
+        assert.equal(presence.isOnline(player.userId), false);
+    });
+    
+    it('플레이어 조회가 실패해도 다음 접속은 다시 조회한다', async () => {
+        const player = await createPlayer(server);
+        const presence = server.app.presenceService;
+        const connectFake = (id) => presence.connect({ id, userId: player.userId, connected: true, join: () => {} });
+        
+        // 첫 조회만 실패시킨다
+        server.db.getPlayerByUserId = async () => {
+            delete server.db.getPlayerByUserId;
+            throw new Error('일시적인 조회 오류');
+        };
+        
+        await assert.rejects(connectFake('failing-socket'), /일시적인 조회 오류/);
+        assert.equal(presence.isOnline(player.userId), false);
+        
+        const connected = await connectFake('retry-socket');
+        assert.equal(connected.playerId, player.playerId);
+        assert.equal(presence.isOnline(player.userId), true);
+        
+        presence.disconnect({ id: 'retry-socket', userId: player.userId });
+    });
+});
@@ -0,0 +1,167 @@
+// test/socketCommands.test.js - 소켓 거래 명령(ack 응답)과 playerStateChanged 동기화
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createPlayer, connectSocket, waitForEvent, loadTestConfig, getSeedMerchant } from './helpers.js';
+
+describe('소켓 거래 명령', () => {
+    let server;
+    let merchant;
+    const sockets = [];
+    
+    before(async () => {
+        const config = loadTestConfig();
+        merchant = getSeedMerchant(config);
+        server = await startTestServer({ config });
+    });
+    
+    after(async () => {
+        sockets.forEach(socket => socket.close());
+        await server.close();
+    });
+    
+    const connect = async (player) => {
+        const { socket } = await connectSocket(server, player.token);
+        sockets.push(socket);
+        return socket;
+    };
+    
+    const createTrader = (overrides = {}) => createPlayer(server, {
+        money: 100000,
+        location: { lat: merchant.lat, lng: merchant.lng },
+        ...overrides
+    });
+    
+    it('buyItem은 ack로 결과를 돌려주고 다른 기기에 playerStateChanged를 보낸다', async () => {
+        const player = await createTrader();
+        const phone = await connect(player);
+        const tablet = await connect(player);
+        
+        const pushed = waitForEvent(tablet, 'playerStateChanged');
+        const result = await phone.emitWithAck('buyItem', { merchantId: merchant.id, itemId: 'it_parts_common', quantity: 2 });
+        
+        assert.equal(result.success, true, result.error);
+        assert.equal(result.data.quantity, 2);
+        
+        const state = await pushed;
+        assert.equal(state.reason, 'buy');
+        assert.equal(state.money, result.data.remainingMoney);
+        assert.equal(state.currentLicense, 1);
+        assert.equal(state.inventory[0].itemId, 'it_parts_common');
+        assert.equal(state.inventory[0].quantity, 2);
+    });
+    
+    it('실패하면 오류 코드를 돌려준다', async () => {
+        const player = await createTrader({ money: 10 });
+        const socket = await connect(player);
+        
+        const noFunds = await socket.emitWithAck('buyItem', { merchantId: merchant.id, itemId: 'it_parts_common' });
+        assert.deepEqual(noFunds, { success: false, error: '돈이 부족합니다.', code: 'INSUFFICIENT_FUNDS' });
+        
+        const license = await socket.emitWithAck('buyItem', { merchantId: merchant.id, itemId: 'it_parts_rare' });
+        assert.equal(license.code, 'LICENSE_REQUIRED');
+        
+        const quantity = await socket.emitWithAck('buyItem', { merchantId: merchant.id, itemId: 'it_parts_common', quantity: 0 });
+        assert.equal(quantity.code, 'INVALID_QUANTITY');
+        
+        const missing = await socket.emitWithAck('buyItem', { merchantId: merchant.id });
+        assert.equal(missing.code, 'INVALID_REQUEST');
+    });
+    
+    it('REST로 구매해도 접속 중인 기기에 playerStateChanged를 보낸다', async () => {
+        const player = await createTrader();
+        const socket = await connect(player);
+        
+        const pushed = waitForEvent(socket, 'playerStateChanged');
+        const { status, body } = await server.request('POST', '/api/game/trade/buy', {
+            token: player.token,
+            body: { merchantId: merchant.id, itemId: 'it_parts_common' }
+        });
+        assert.equal(status, 200);
+        
+        const state = await pushed;
+        assert.equal(state.money, body.data.remainingMoney);
+    });
+    
+    it('REST 실패 응답에도 오류 코드가 들어 있다', async () => {
+        const player = await createTrader({ location: { lat: 37.0, lng: 127.0 } });
+        
+        const { status, body } = await server.request('POST', '/api/game/trade/buy', {
+            token: player.token,
+            body: { merchantId: merchant.id, itemId: 'it_parts_common' }
+        });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'MERCHANT_TOO_FAR');
+    });
+    
+    it('getInventory와 sellItem', async () => {
+        const player = await createTrader();
+        const socket = await connect(player);
+        
+        await socket.emitWithAck('buyItem', { merchantId: merchant.id, itemId: 'it_parts_common', quantity: 3 });
+        
+        const inventory = await socket.emitWithAck('getInventory');
+        assert.equal(inventory.success, true);
+        assert.equal(inventory.data.usedSlots, 3);
+        
+        const pushed = waitForEvent(socket, 'playerStateChanged');
+        const sold = await socket.emitWithAck('sellItem', {
+            itemId: inventory.data.inventory[0].id,
+            merchantId: merchant.id,
+            quantity: 2
+        });
+        assert.equal(sold.success, true, sold.error);
+        
+        const state = await pushed;
+        assert.equal(state.reason, 'sell');
+        assert.equal(state.money, sold.data.newMoney);
+        assert.equal(state.inventory[0].quantity, 1);
+        
+        const oversell = await socket.emitWithAck('sellItem', {
+            itemId: inventory.data.inventory[0].id,
+            merchantId: merchant.id,
+            quantity: 5
+        });
+        assert.equal(oversell.code, 'INSUFFICIENT_QUANTITY');
+    });
+    
+    it('upgradeLicense는 새 라이센스를 playerStateChanged로 알린다', async () => {
+        const player = await createTrader({ money: 1000000, trustPoints: 1000 });
+        const socket = await connect(player);
+        
+        const pushed = waitForEvent(socket, 'playerStateChanged');
+        const result = await socket.emitWithAck('upgradeLicense');
+        assert.equal(result.success, true, result.error);
+        
+        const state = await pushed;
+        assert.equal(state.reason, 'licenseUpgrade');
+        assert.equal(state.currentLicense, 2);
+        assert.equal(state.maxInventorySize, result.data.newInventorySize);
+    });
+    
+    it('trade_updates 룸에 상인 거래 피드를 보낸다', async () => {
+        const watcher = await connect(await createPlayer(server));
+        watcher.emit('requestTradeUpdates');
+        
+        const player = await createTrader();
+        const socket = await connect(player);
+        
+        const feed = waitForEvent(watcher, 'tradeUpdate');
+        const result = await socket.emitWithAck('buyItem', { merchantId: merchant.id, itemId: 'it_parts_common', quantity: 2 });
+        
+        const update = await feed;
+        assert.equal(update.type, 'buy');
+        assert.equal(update.merchantId, merchant.id);
+        assert.equal(update.district, merchant.district);
+        assert.equal(update.unitPrice, result.data.totalPrice / 2);
+        assert.equal(update.playerId, undefined);
+    });
+    
+    it('ack 콜백 없이 보낸 명령은 error 이벤트로 알린다', async () => {
+        const socket = await connect(await createTrader());
+        
+        const error = waitForEvent(socket, 'error');
+        socket.emit('getInventory', {});
+        
+        assert.equal((await error).code, 'ACK_REQUIRED');
+    });
+});
@@ -0,0 +1,174 @@
+// test/tradeOffers.test.js - 플레이어 간 거래 제안 (에스크로 / 정산 / 알림)
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, connectSocket, waitForEvent, loadTestConfig, getSeedMerchant, createTradingFixtures } from './helpers.js';
+
+describe('플레이어 간 거래 제안', () => {
+    let server;
+    let createTrader, refillStock, setPrice, buy, getPlayer, getInventory;
+    const sockets = [];
+    
+    before(async () => {
+        const config = loadTestConfig();
+        server = await startTestServer({ config });
+        ({ createTrader, refillStock, setPrice, buy, getPlayer, getInventory } = createTradingFixtures(server, getSeedMerchant(config), { money: 100000 }));
+    });
+    
+    after(async () => {
+        sockets.forEach(socket => socket.close());
+        await server.close();
+    });
+    
+    beforeEach(async () => {
+        await refillStock();
+        await setPrice(1000);
+    });
+    
+    const connect = async (player) => {
+        const { socket } = await connectSocket(server, player.token);
+        sockets.push(socket);
+        return socket;
+    };
+    
+    // 판매자가 상인에게서 산 아이템을 구매자에게 제안한다 (개당 취득 원가 1000원)
+    const offerTo = async (seller, buyer, { quantity = 2, price = 5000 } = {}) => {
+        await buy(seller, quantity);
+        const [stack] = await getInventory(seller);
+        
+        const { status, body } = await server.request('POST', '/api/trade/offers', {
+            token: seller.token,
+            body: { itemId: stack.id, quantity, price, targetPlayerId: buyer.playerId }
+        });
+        assert.equal(status, 201, body.error);
+        return body.data;
+    };
+    
+    const act = (player, offer, action) =>
+        server.request('POST', `/api/trade/offers/${offer.id}/${action}`, { token: player.token });
+    
+    const getTradeRecords = (offer) => server.db.all(
+        `SELECT * FROM trades WHERE trade_type = 'p2p' AND seller_id = ? AND buyer_id = ?`,
+        [offer.sellerId, offer.buyerId]
+    );
+    
+    it('제안하면 아이템이 에스크로되고 대상 플레이어에게 알림이 간다', async () => {
+        const seller = await createTrader();
+        const buyer = await createTrader();
+        const buyerSocket = await connect(buyer);
+        
+        const received = waitForEvent(buyerSocket, 'tradeOfferReceived');
+        const offer = await offerTo(seller, buyer);
+        
+        assert.equal((await received).id, offer.id);
+        assert.equal(offer.status, 'pending');
+        assert.equal(offer.item.quantity, 2);
+        assert.deepEqual(await getInventory(seller), []);
+        
+        const { body } = await server.request('GET', '/api/trade/offers', { token: buyer.token });
+        assert.deepEqual(body.data.incoming.map(incoming => incoming.id), [offer.id]);
+    });
+    
+    it('수락하면 대금과 아이템이 옮겨지고 거래 기록이 남는다', async () => {
+        const seller = await createTrader();
+        const buyer = await createTrader();
+        const offer = await offerTo(seller, buyer);
+        const sellerMoney = (await getPlayer(seller)).money;
+        
+        const sellerSocket = await connect(seller);
+        const buyerSocket = await connect(buyer);
+        const sellerUpdated = waitForEvent(sellerSocket, 'tradeOfferUpdated');
+        const buyerUpdated = waitForEvent(buyerSocket, 'tradeOfferUpdated');
+        const sellerState = waitForEvent(sellerSocket, 'playerStateChanged');
+        const buyerState = waitForEvent(buyerSocket, 'playerStateChanged');
+        
+        const { status, body } = await act(buyer, offer, 'accept');
+        assert.equal(status, 200, body.error);
+        assert.equal(body.data.status, 'accepted');
+        
+        assert.equal((await sellerUpdated).status, 'accepted');
+        assert.equal((await buyerUpdated).status, 'accepted');
+        assert.equal((await sellerState).money, sellerMoney + 5000);
+        assert.equal((await buyerState).money, 100000 - 5000);
+        
+        const buyerInventory = await getInventory(buyer);
+        assert.equal(buyerInventory.length, 1);
+        assert.equal(buyerInventory[0].quantity, 2);
+        
+        const [record] = await getTradeRecords(offer);
+        assert.equal(record.price, 5000);
+        assert.equal(record.quantity, 2);
+        assert.equal(record.merchant_id, null);
+        
+        // 이미 처리된 제안은 다시 수락할 수 없다
+        const again = await act(buyer, offer, 'accept');
+        assert.equal(again.status, 400);
+    });
+    
+    it('구매자 잔액이 부족하면 수락이 실패하고 제안은 대기 상태로 남는다', async () => {
+        const seller = await createTrader();
+        const buyer = await createTrader({ money: 1000 });
+        const offer = await offerTo(seller, buyer);
+        
+        const { status } = await act(buyer, offer, 'accept');
+        assert.equal(status, 400);
+        
+        assert.equal((await getPlayer(buyer)).money, 1000);
+        assert.deepEqual(await getInventory(buyer), []);
+        assert.deepEqual(await getInventory(seller), []);
+        assert.deepEqual(await getTradeRecords(offer), []);
+        
+        const { body } = await server.request('GET', '/api/trade/offers', { token: seller.token });
+        assert.equal(body.data.outgoing[0].status, 'pending');
+    });
+    
+    it('거절 / 취소하면 에스크로된 아이템이 판매자에게 돌아간다', async () => {
+        for (const [action, actor] of [['decline', 'buyer'], ['cancel', 'seller']]) {
+            const players = { seller: await createTrader(), buyer: await createTrader() };
+            const offer = await offerTo(players.seller, players.buyer);
+            const sellerMoney = (await getPlayer(players.seller)).money;
+            
+            const sellerSocket = await connect(players.seller);
+            const buyerSocket = await connect(players.buyer);
+            const sellerUpdated = waitForEvent(sellerSocket, 'tradeOfferUpdated');
+            const buyerUpdated = waitForEvent(buyerSocket, 'tradeOfferUpdated');
+            
+            // 상대편은 이 동작을 할 수 없다
+            const other = actor === 'buyer' ? players.seller : players.buyer;
+            assert.equal((await act(other, offer, action)).status, 400);
+            
+            const { status, body } = await act(players[actor], offer, action);
+            assert.equal(status, 200, body.error);
+            
+            const expected = action === 'decline' ? 'declined' : 'cancelled';
+            assert.equal((await sellerUpdated).status, expected);
+            assert.equal((await buyerUpdated).status, expected);
+            
+            const [stack] = await getInventory(players.seller);
+            assert.equal(stack.quantity, 2);
+            assert.equal((await getPlayer(players.seller)).money, sellerMoney);
+            assert.deepEqual(await getInventory(players.buyer), []);
+            assert.deepEqual(await getTradeRecords(offer), []);
+        }
+    });
+    
+    it('만료되면 에스크로된 아이템이 판매자에게 돌아가고 양쪽에 알린다', async () => {
+        const seller = await createTrader();
+        const buyer = await createTrader();
+        const offer = await offerTo(seller, buyer);
+        
+        const sellerSocket = await connect(seller);
+        const buyerSocket = await connect(buyer);
+        const sellerUpdated = waitForEvent(sellerSocket, 'tradeOfferUpdated');
+        const buyerUpdated = waitForEvent(buyerSocket, 'tradeOfferUpdated');
+        
+        await server.db.run(`UPDATE trade_offers SET expires_at = ? WHERE id = ?`, [new Date(Date.now() - 1000).toISOString(), offer.id]);
+        assert.ok(await server.app.tradeService.expireOffers() >= 1);
+        
+        assert.equal((await sellerUpdated).status, 'expired');
+        assert.equal((await buyerUpdated).status, 'expired');
+        
+        const [stack] = await getInventory(seller);
+        assert.equal(stack.quantity, 2);
+        assert.equal((await act(buyer, offer, 'accept')).status, 400);
+    });
+});
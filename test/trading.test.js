@@ -0,0 +1,175 @@
+// test/trading.test.js - 상인 구매 / 판매
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, createPlayer, loadTestConfig, getSeedMerchant } from './helpers.js';
+
+describe('상인 거래 API', () => {
+    let server;
+    let merchant;
+    
+    before(async () => {
+        const config = loadTestConfig();
+        merchant = getSeedMerchant(config);
+        server = await startTestServer({ config });
+    });
+    
+    after(async () => {
+        await server.close();
+    });
+    
+    const nearMerchant = () => ({ lat: merchant.lat, lng: merchant.lng });
+    
+    const buy = (player, body) => server.request('POST', '/api/game/trade/buy', {
+        token: player.token,
+        body: { merchantId: merchant.id, ...body }
+    });
+    
+    it('상인 근처에서 아이템을 사면 돈이 줄고 인벤토리에 추가된다', async () => {
+        const player = await createPlayer(server, { money: 100000, location: nearMerchant() });
+        
+        const { status, body } = await buy(player, { itemId: 'it_parts_common', quantity: 2 });
+        assert.equal(status, 200, body.error);
+        assert.equal(body.data.itemId, 'it_parts_common');
+        assert.equal(body.data.quantity, 2);
+        assert.equal(body.data.remainingMoney, 100000 - body.data.totalPrice);
+        
+        const playerData = await server.request('GET', '/api/game/player', { token: player.token });
+        const item = playerData.body.data.inventory.find(entry => entry.itemId === 'it_parts_common');
+        assert.equal(item.quantity, 2);
+    });
+    
+    it('상인과 멀리 떨어져 있으면 살 수 없다', async () => {
+        const player = await createPlayer(server, { money: 100000, location: { lat: 37.0, lng: 127.0 } });
+        
+        const { status, body } = await buy(player, { itemId: 'it_parts_common' });
+        assert.equal(status, 400);
+        assert.match(body.error, /멀리/);
+    });
+    
+    it('돈이 부족하면 구매가 롤백된다', async () => {
+        const player = await createPlayer(server, { money: 10, location: nearMerchant() });
+        
+        const { status, body } = await buy(player, { itemId: 'it_parts_common' });
+        assert.equal(status, 400);
+        assert.equal(body.error, '돈이 부족합니다.');
+        
+        const playerData = await server.request('GET', '/api/game/player', { token: player.token });
+        assert.equal(playerData.body.data.money, 10);
+        assert.equal(playerData.body.data.inventory.length, 0);
+    });
+    
+    it('라이센스가 낮으면 상위 등급 아이템을 살 수 없다', async () => {
+        const player = await createPlayer(server, { money: 1000000, location: nearMerchant() });
+        
+        const { status, body } = await buy(player, { itemId: 'it_parts_rare' });
+        assert.equal(status, 400);
+        assert.match(body.error, /라이센스 2 이상/);
+    });
+    
+    it('산 아이템을 팔면 돈이 늘고 인벤토리에서 빠진다', async () => {
+        const player = await createPlayer(server, { money: 100000, location: nearMerchant() });
+        await buy(player, { itemId: 'it_parts_common', quantity: 1 });
+        
+        const before = await server.request('GET', '/api/game/player', { token: player.token });
+        const inventoryItem = before.body.data.inventory[0];
+        
+        const { status, body } = await server.request('POST', '/api/game/trade/sell', {
+            token: player.token,
+            body: { itemId: inventoryItem.id, merchantId: merchant.id, quantity: 1 }
+        });
+        assert.equal(status, 200, body.error);
+        assert.ok(body.data.totalPrice > 0);
+        assert.equal(body.data.newMoney, before.body.data.money + body.data.totalPrice);
+        
+        const after = await server.request('GET', '/api/game/player', { token: player.token });
+        assert.equal(after.body.data.inventory.length, 0);
+    });
+    
+    it('보유 수량보다 많이 팔 수 없다', async () => {
+        const player = await createPlayer(server, { money: 100000, location: nearMerchant() });
+        await buy(player, { itemId: 'it_parts_common', quantity: 1 });
+        
+        const playerData = await server.request('GET', '/api/game/player', { token: player.token });
+        const { status } = await server.request('POST', '/api/game/trade/sell', {
+            token: player.token,
+            body: { itemId: playerData.body.data.inventory[0].id, merchantId: merchant.id, quantity: 5 }
+        });
+        assert.equal(status, 400);
+    });
+    
+    it('구매하면 거래 기록이 남는다', async () => {
+        const player = await createPlayer(server, { money: 100000, location: nearMerchant() });
+        await buy(player, { itemId: 'it_parts_common', quantity: 1 });
+        
+        const { body } = await server.request('GET', '/api/game/trade/history', { token: player.token });
+        assert.equal(body.pagination.total, 1);
+        assert.equal(body.data[0].trade_type, 'buy');
+        assert.equal(body.data[0].item_id, 'it_parts_common');
+    });
+    
+    it('가격 갱신과 같은 초에 들어온 거래도 거래 당시 지역의 다음 갱신 거래량에 들어간다', async () => {
+        const player = await createPlayer(server, { money: 100000, location: nearMerchant() });
+        const volumeSinceUpdate = async (district) => {
+            const price = await server.db.getMarketPrice('it_parts_common', district);
+            return await server.db.getTradeVolumeBetween('it_parts_common', district, price.trade_cursor, await server.db.getLatestTradeCursor());
+        };
+        
+        await server.app.gameService.updateMarketPrices();
+        await buy(player, { itemId: 'it_parts_common', quantity: 3 });
+        assert.equal((await volumeSinceUpdate(merchant.district)).buy_volume, 3);
+        
+        // 상인이 다른 지역으로 옮겨 가도 지난 거래량은 거래했던 지역에 남는다
+        await server.db.updateMerchant(merchant.id, { district: '홍대' });
+        try {
+            assert.equal((await volumeSinceUpdate(merchant.district)).buy_volume, 3);
+            assert.equal((await volumeSinceUpdate('홍대')).buy_volume, 0);
+        } finally {
+            await server.db.updateMerchant(merchant.id, { district: merchant.district });
+        }
+        
+        await server.app.gameService.updateMarketPrices();
+        assert.equal((await volumeSinceUpdate(merchant.district)).buy_volume, 0);
+    });
+    
+    it('신뢰도 일일 상한은 KST 자정에 초기화된다', async () => {
+        const { dailyGlobalCap } = loadTestConfig().relationships.trustRules;
+        const now = new Date('2026-03-10T16:00:00Z'); // KST 3월 11일 01:00
+        
+        const awardAt = async (createdAt) => {
+            const player = await createPlayer(server);
+            await server.db.run(
+                'INSERT INTO trust_awards (player_id, merchant_id, global_points, trade_value, created_at) VALUES (?, ?, ?, ?, ?)',
+                [player.playerId, merchant.id, dailyGlobalCap, 100000, createdAt]
+            );
+            return await server.app.gameService.awardTradeTrust(player.playerId, merchant.id, 10000, now);
+        };
+        
+        // KST 전날(UTC로는 같은 날) 적립분은 오늘 상한에 들어가지 않는다
+        assert.ok((await awardAt('2026-03-10 14:59:59')).trustEarned > 0);
+        assert.equal((await awardAt('2026-03-10 15:00:00')).trustEarned, 0);
+    });
+    
+    it('실패한 트랜잭션이 열려 있는 동안 밖에서 실행한 쓰기는 롤백되지 않는다', async () => {
+        const player = await createPlayer(server, { money: 100000 });
+        
+        let opened;
+        const transactionOpened = new Promise(resolve => { opened = resolve; });
+        const failing = server.db.transaction(async () => {
+            await server.db.run('UPDATE players SET money = 0 WHERE id = ?', [player.playerId]);
+            opened();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            throw new Error('의도한 실패');
+        });
+        
+        // 트랜잭션이 열려 있는 동안 다른 요청이 쓰기를 보낸다
+        await transactionOpened;
+        const outside = server.db.run('UPDATE players SET trust_points = 77 WHERE id = ?', [player.playerId]);
+        
+        await assert.rejects(failing, /의도한 실패/);
+        await outside;
+        
+        const row = await server.db.get('SELECT money, trust_points FROM players WHERE id = ?', [player.playerId]);
+        assert.equal(row.money, 100000);
+        assert.equal(row.trust_points, 77);
+    });
+});